@@ -4,7 +4,7 @@
  * Run: npm install docx && node create-sample-doc.js
  */
 
-const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, BorderStyle, WidthType } = require('docx');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } = require('docx');
 const fs = require('fs');
 const path = require('path');
 
@@ -0,0 +1,27 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+    {
+        ignores: ['node_modules/', 'data/', 'keys/']
+    },
+    js.configs.recommended,
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2023,
+            sourceType: 'commonjs',
+            globals: { ...globals.node }
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+        }
+    },
+    {
+        files: ['public/**/*.js'],
+        languageOptions: {
+            sourceType: 'script',
+            globals: { ...globals.browser }
+        }
+    }
+];
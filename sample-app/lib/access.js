@@ -0,0 +1,196 @@
+/**
+ * Document roles and access checks
+ */
+
+const { config } = require('./tenants');
+const { storage, findDocument } = require('./storage');
+const { folderService } = require('./folders');
+const { lockService } = require('./locks');
+
+// ============================================================================
+// Document Access Control
+// ============================================================================
+
+/**
+ * Whether a user may use the admin API and manage every document
+ * (listed in ADMIN_USER_IDS, or calling with an API key that has the admin scope)
+ */
+function isAdmin(user) {
+    if (!user) return false;
+    if (user.apiKey) return user.apiKey.scopes.includes('admin');
+    return config.adminUserIds.includes(user.id);
+}
+
+/**
+ * Whether a user may rename, move or delete a folder, or change its permissions
+ * or policy: its owner or an admin
+ */
+function canManageFolder(folder, user) {
+    return folder.ownerId === user.id || isAdmin(user);
+}
+
+// Document roles, lowest first
+const DOCUMENT_ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Roles that can be granted through sharing ('owner' transfers ownership instead)
+const SHAREABLE_ROLES = ['viewer', 'commenter', 'editor'];
+
+// WOPI token permission granted by each role
+const ROLE_PERMISSIONS = {
+    viewer: 'view',
+    commenter: 'comment',
+    editor: 'edit',
+    owner: 'edit'
+};
+
+// Role granted on the documents inside a folder with a permissions map
+const FOLDER_PERMISSION_ROLES = {
+    view: 'viewer',
+    edit: 'editor'
+};
+
+function roleAtLeast(role, required) {
+    return DOCUMENT_ROLES.indexOf(role) >= DOCUMENT_ROLES.indexOf(required);
+}
+
+/**
+ * Per-document access control lists
+ *
+ * Documents carry an ownerId and an optional acl:
+ *   { users: { userId: role }, groups: { groupId: role } }
+ * with role one of viewer, commenter or editor. A user's role on a document is
+ * the highest of:
+ *   - owner, for the document's ownerId
+ *   - their own ACL entry and the entries of their groups (user.groups)
+ *   - the role granted by the nearest folder with a permissions map
+ * Documents without an owner outside any restricted folder are open to everyone.
+ * The owner (or an admin) manages sharing.
+ */
+const documentAccess = {
+    /**
+     * Resolve a user's role on a document, or null (no access)
+     */
+    async role(doc, user) {
+        if (doc.ownerId && doc.ownerId === user.id) return 'owner';
+
+        const grants = [doc.acl?.users?.[user.id]];
+        (user.groups || []).forEach(group => grants.push(doc.acl?.groups?.[group]));
+        if (await folderService.restrictingFolder(doc.folderId)) {
+            grants.push(FOLDER_PERMISSION_ROLES[await folderService.effectivePermission(doc.folderId, user)]);
+        } else if (!doc.ownerId) {
+            grants.push('editor');
+        }
+
+        return grants
+            .filter(role => DOCUMENT_ROLES.includes(role))
+            .reduce((best, role) => (!best || roleAtLeast(role, best) ? role : best), null);
+    },
+
+    canManage(role, user) {
+        return role === 'owner' || isAdmin(user);
+    },
+
+    /**
+     * Why a user may not move a document to the trash, or null if they may
+     * Only the owner or an admin may, and not while an editor session holds the
+     * lock; returns { status, error, lock? }. The REST API, WOPI DeleteFile and
+     * folder deletion all check this.
+     */
+    async deleteRefusal(doc, user) {
+        if (!this.canManage(await this.role(doc, user), user)) {
+            return { status: 403, error: 'Only the document owner can delete it' };
+        }
+        const lock = lockService.getActiveLock(doc.id);
+        if (lock) {
+            return { status: 409, error: 'Document is open in an editor and cannot be deleted', lock };
+        }
+        return null;
+    },
+
+    /**
+     * Everyone with access to a document, as seen by the given user: the owner,
+     * ACL entries and the grants inherited from a restricted folder
+     */
+    async describe(doc, user) {
+        const role = await this.role(doc, user);
+        const acl = doc.acl || {};
+        const folder = await folderService.restrictingFolder(doc.folderId);
+        const inherited = [];
+        if (folder) {
+            if (folder.ownerId) inherited.push({ type: 'user', id: folder.ownerId, role: 'editor' });
+            for (const [userId, permission] of Object.entries(folder.permissions)) {
+                if (userId !== folder.ownerId) {
+                    inherited.push({ type: 'user', id: userId, role: FOLDER_PERMISSION_ROLES[permission] });
+                }
+            }
+        }
+
+        return {
+            id: doc.id,
+            name: doc.name,
+            ownerId: doc.ownerId || null,
+            users: Object.entries(acl.users || {}).map(([id, role]) => ({ type: 'user', id, role })),
+            groups: Object.entries(acl.groups || {}).map(([id, role]) => ({ type: 'group', id, role })),
+            inherited: folder ? { folderId: folder.id, folderName: folder.name, entries: inherited } : null,
+            role,
+            canManage: this.canManage(role, user)
+        };
+    },
+
+    /**
+     * Grant a user or group a role on a document
+     * Granting a user 'owner' transfers ownership; the previous owner becomes an editor
+     */
+    async share(doc, type, principalId, role) {
+        const acl = {
+            users: { ...(doc.acl?.users || {}) },
+            groups: { ...(doc.acl?.groups || {}) }
+        };
+        const patch = { acl };
+
+        if (role === 'owner') {
+            delete acl.users[principalId];
+            if (doc.ownerId) acl.users[doc.ownerId] = 'editor';
+            patch.ownerId = principalId;
+        } else {
+            acl[type === 'group' ? 'groups' : 'users'][principalId] = role;
+        }
+
+        return storage.updateMetadata(doc.id, patch);
+    },
+
+    /**
+     * Remove a user or group from a document's ACL
+     * Returns null if there was no such entry
+     */
+    async unshare(doc, type, principalId) {
+        const key = type === 'group' ? 'groups' : 'users';
+        if (!doc.acl?.[key]?.[principalId]) return null;
+        const entries = { ...doc.acl[key] };
+        delete entries[principalId];
+        return storage.updateMetadata(doc.id, { acl: { ...doc.acl, [key]: entries } });
+    }
+};
+
+/**
+ * Load a live document and check the caller's role on it
+ * Sends the error response and returns null if the document is missing
+ * or the user's role is below the required one
+ */
+async function loadDocumentForUser(req, res, fileId, required = 'viewer') {
+    const doc = await findDocument(fileId);
+    if (!doc) {
+        res.status(404).json({ error: 'Document not found' });
+        return null;
+    }
+    const role = await documentAccess.role(doc, req.user);
+    if (!role || !roleAtLeast(role, required)) {
+        res.status(403).json({ error: 'Access denied' });
+        return null;
+    }
+    return { doc, role };
+}
+
+module.exports = {
+    isAdmin, canManageFolder, SHAREABLE_ROLES, ROLE_PERMISSIONS, roleAtLeast, documentAccess, loadDocumentForUser
+};
@@ -0,0 +1,648 @@
+/**
+ * Login sessions, API keys and the authentication middleware
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { SESSION_COOKIE, LOGIN_COOKIE, parseCookies, sanitizeParam } = require('./utils');
+const { config, tenantFields } = require('./tenants');
+const { storage } = require('./storage');
+const { editorSessions, tokenRevocations } = require('./revocations');
+const { isAdmin } = require('./access');
+const { editorPool } = require('./editor-routing');
+const { tokenService } = require('./tokens');
+
+// ============================================================================
+// Login Sessions (OpenID Connect)
+// ============================================================================
+
+// Signature algorithms accepted on ID tokens (HS* tokens are signed with the client secret)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'HS256'];
+
+/**
+ * Options for cookies set by this app; Secure when served over HTTPS
+ */
+function cookieOptions(pathPrefix, maxAgeSeconds) {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: config.publicUrl.startsWith('https://'),
+        path: pathPrefix,
+        ...(maxAgeSeconds !== undefined && { maxAge: maxAgeSeconds * 1000 })
+    };
+}
+
+/**
+ * Read a (possibly dotted) claim path, e.g. "realm_access.roles"
+ */
+function claimValue(claims, claimPath) {
+    return claimPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+/**
+ * Only same-origin paths may be used as the page to return to after login
+ */
+function safeReturnPath(value) {
+    return typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : '/';
+}
+
+/**
+ * OpenID Connect relying party (authorization code flow with PKCE)
+ *
+ * Provider metadata and signing keys are fetched from the issuer and cached.
+ * The state, nonce and PKCE verifier of a login in progress travel in a short
+ * signed cookie, so no server-side storage is needed between /auth/login and
+ * /auth/callback.
+ */
+const oidcClient = {
+    discovery: null,    // { metadata, fetchedAt }
+    jwks: null,         // { keys, fetchedAt }
+
+    get enabled() {
+        return Boolean(config.oidc.issuer && config.oidc.clientId);
+    },
+
+    /**
+     * Fetch a JSON document from the provider; errors carry its error_description
+     * @returns {Promise<any>}
+     */
+    async fetchJson(url, options = {}) {
+        const response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+        const body = /** @type {any} */ (await response.json().catch(() => null));
+        if (!response.ok || !body) {
+            const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+            throw new Error(`${url}: ${detail}`);
+        }
+        return body;
+    },
+
+    /**
+     * Provider metadata from /.well-known/openid-configuration (cached for an hour)
+     */
+    async metadata() {
+        if (this.discovery && Date.now() - this.discovery.fetchedAt < 60 * 60 * 1000) {
+            return this.discovery.metadata;
+        }
+        const metadata = await this.fetchJson(`${config.oidc.issuer}/.well-known/openid-configuration`);
+        if (metadata.issuer !== config.oidc.issuer) {
+            throw new Error(`Issuer mismatch: discovery document is for ${metadata.issuer}`);
+        }
+        this.discovery = { metadata, fetchedAt: Date.now() };
+        console.log(`[OIDC] Discovered ${metadata.issuer}`);
+        return metadata;
+    },
+
+    /**
+     * Public key for an ID token signature, refetching the JWK set once a
+     * minute at most when the kid is unknown (the provider rotated its keys)
+     */
+    async signingKey(kid) {
+        const findKey = () => {
+            const candidates = (this.jwks?.keys || []).filter(jwk => jwk.use !== 'enc');
+            if (kid) return candidates.find(jwk => jwk.kid === kid);
+            return candidates.length === 1 ? candidates[0] : undefined;
+        };
+
+        let jwk = findKey();
+        if (!jwk && (!this.jwks || Date.now() - this.jwks.fetchedAt > 60 * 1000)) {
+            const metadata = await this.metadata();
+            const { keys } = await this.fetchJson(metadata.jwks_uri);
+            this.jwks = { keys: Array.isArray(keys) ? keys : [], fetchedAt: Date.now() };
+            jwk = findKey();
+        }
+        if (!jwk) {
+            throw new Error(`No signing key found for kid ${kid}`);
+        }
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    },
+
+    /**
+     * Start a login: returns the provider URL to redirect to and the login
+     * state to keep in the browser until the callback
+     */
+    async authorizationRequest(returnTo) {
+        const metadata = await this.metadata();
+        const login = {
+            state: crypto.randomBytes(16).toString('hex'),
+            nonce: crypto.randomBytes(16).toString('hex'),
+            codeVerifier: crypto.randomBytes(32).toString('base64url'),
+            returnTo: safeReturnPath(returnTo)
+        };
+
+        const url = new URL(metadata.authorization_endpoint);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', config.oidc.clientId);
+        url.searchParams.set('redirect_uri', config.oidc.redirectUri);
+        url.searchParams.set('scope', config.oidc.scopes);
+        url.searchParams.set('state', login.state);
+        url.searchParams.set('nonce', login.nonce);
+        url.searchParams.set('code_challenge', crypto.createHash('sha256').update(login.codeVerifier).digest('base64url'));
+        url.searchParams.set('code_challenge_method', 'S256');
+
+        return { url: url.toString(), login };
+    },
+
+    /**
+     * Exchange an authorization code for tokens at the token endpoint
+     */
+    async exchangeCode(code, login) {
+        const metadata = await this.metadata();
+        const params = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: config.oidc.redirectUri,
+            code_verifier: login.codeVerifier,
+            client_id: config.oidc.clientId
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+        if (config.oidc.clientSecret) {
+            const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+            if (methods.includes('client_secret_basic')) {
+                const credentials = `${encodeURIComponent(config.oidc.clientId)}:${encodeURIComponent(config.oidc.clientSecret)}`;
+                headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+            } else {
+                params.set('client_secret', config.oidc.clientSecret);
+            }
+        }
+
+        return this.fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params.toString() });
+    },
+
+    /**
+     * Verify an ID token's signature, issuer, audience, expiry and nonce
+     * @returns {Promise<import('jsonwebtoken').JwtPayload>}
+     */
+    async verifyIdToken(idToken, nonce) {
+        const metadata = await this.metadata();
+        const header = jwt.decode(idToken, { complete: true })?.header;
+        if (!header || !ID_TOKEN_ALGORITHMS.includes(header.alg)) {
+            throw new Error(`Unsupported ID token algorithm: ${header?.alg}`);
+        }
+
+        let key;
+        if (header.alg.startsWith('HS')) {
+            if (!config.oidc.clientSecret) throw new Error('HS256 ID token but no client secret configured');
+            key = config.oidc.clientSecret;
+        } else {
+            key = await this.signingKey(header.kid);
+        }
+
+        return /** @type {import('jsonwebtoken').JwtPayload} */ (jwt.verify(idToken, key, {
+            algorithms: [/** @type {import('jsonwebtoken').Algorithm} */ (header.alg)],
+            issuer: metadata.issuer,
+            audience: config.oidc.clientId,
+            nonce,
+            clockTolerance: 60
+        }));
+    },
+
+    /**
+     * Userinfo endpoint claims, for providers that keep profile claims out of the ID token
+     */
+    async userinfo(accessToken) {
+        const metadata = await this.metadata();
+        if (!metadata.userinfo_endpoint || !accessToken) return {};
+        return this.fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+        });
+    },
+
+    /**
+     * Map provider claims onto the app's user object using config.oidc.claims
+     */
+    mapClaims(claims) {
+        const mapping = config.oidc.claims;
+        const id = claimValue(claims, mapping.id);
+        if (id === undefined || id === null || id === '') {
+            throw new Error(`ID token has no "${mapping.id}" claim`);
+        }
+        const email = claimValue(claims, mapping.email);
+        const groups = claimValue(claims, mapping.groups);
+
+        return {
+            id: String(id),
+            name: String(claimValue(claims, mapping.name) || email || id),
+            email: email ? String(email) : '',
+            groups: Array.isArray(groups)
+                ? groups.map(String)
+                : (typeof groups === 'string' ? groups.split(/[\s,]+/).filter(Boolean) : [])
+        };
+    },
+
+    /**
+     * Finish a login: code -> tokens -> verified claims -> user
+     */
+    async completeLogin(code, login) {
+        const tokens = await this.exchangeCode(code, login);
+        if (!tokens.id_token) {
+            throw new Error('Token response has no id_token');
+        }
+        let claims = await this.verifyIdToken(tokens.id_token, login.nonce);
+
+        const mapping = config.oidc.claims;
+        const missing = [mapping.name, mapping.email, mapping.groups].some(claim => claimValue(claims, claim) === undefined);
+        if (missing) {
+            try {
+                const info = await this.userinfo(tokens.access_token);
+                if (!info.sub || info.sub === claims.sub) {
+                    claims = { ...info, ...claims };
+                }
+            } catch (error) {
+                console.warn('[OIDC] Userinfo request failed:', error.message);
+            }
+        }
+
+        return this.mapClaims(claims);
+    },
+
+    /**
+     * Provider logout URL (RP-initiated logout), or null if it has none
+     */
+    async logoutUrl() {
+        if (!this.enabled) return null;
+        const metadata = await this.metadata().catch(() => null);
+        if (!metadata?.end_session_endpoint) return null;
+        const url = new URL(metadata.end_session_endpoint);
+        url.searchParams.set('client_id', config.oidc.clientId);
+        url.searchParams.set('post_logout_redirect_uri', config.publicUrl);
+        return url.toString();
+    }
+};
+
+tenantFields(oidcClient, ['discovery', 'jwks']);
+
+/**
+ * Login sessions: a signed, HttpOnly cookie holding the user
+ *
+ * Sessions carry a jti and the user's claims under the same names as WOPI
+ * tokens, so logging out revokes the jti and an admin revocation by userId
+ * also ends the user's login sessions.
+ */
+const loginSessions = {
+    create(res, user) {
+        const now = Math.floor(Date.now() / 1000);
+        const token = tokenService.sign({
+            userId: user.id,
+            userName: user.name,
+            userEmail: user.email,
+            groups: user.groups || [],
+            jti: crypto.randomBytes(16).toString('hex'),
+            iat: now,
+            exp: now + config.sessionTtlSeconds,
+            type: 'app_session'
+        });
+        res.cookie(SESSION_COOKIE, token, cookieOptions('/', config.sessionTtlSeconds));
+    },
+
+    /**
+     * The session payload from the request's cookie, or null
+     */
+    fromRequest(req) {
+        const token = parseCookies(req)[SESSION_COOKIE];
+        if (!token) return null;
+        try {
+            const payload = tokenService.verify(token);
+            if (payload.type !== 'app_session' || tokenRevocations.isRevoked(payload)) return null;
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    userFrom(payload) {
+        return {
+            id: payload.userId,
+            name: payload.userName,
+            email: payload.userEmail,
+            groups: payload.groups || []
+        };
+    },
+
+    async destroy(req, res) {
+        const payload = this.fromRequest(req);
+        if (payload) {
+            await tokenRevocations.revokeToken(payload.jti, this.userFrom(payload), 'Logged out', payload.exp);
+        }
+        res.clearCookie(SESSION_COOKIE, cookieOptions('/'));
+        return payload;
+    },
+
+    /**
+     * Keep a login in progress (state, nonce, PKCE verifier) for ten minutes
+     */
+    saveLogin(res, login) {
+        const now = Math.floor(Date.now() / 1000);
+        const token = tokenService.sign({ ...login, iat: now, exp: now + 600, type: 'oidc_login' });
+        res.cookie(LOGIN_COOKIE, token, cookieOptions('/auth', 600));
+    },
+
+    takeLogin(req, res) {
+        res.clearCookie(LOGIN_COOKIE, cookieOptions('/auth'));
+        const token = parseCookies(req)[LOGIN_COOKIE];
+        if (!token) return null;
+        try {
+            const payload = tokenService.verify(token);
+            return payload.type === 'oidc_login' ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+};
+
+// ============================================================================
+// API Keys
+// ============================================================================
+
+// Scopes an API key can be given
+const API_KEY_SCOPES = ['read', 'write', 'token-issue', 'admin'];
+
+// Prefix of every API key, so leaked keys are easy to recognise
+const API_KEY_PREFIX = 'tsk_';
+
+/**
+ * Scope an API key needs for a request:
+ *   admin       - /api/admin
+ *   token-issue - requesting WOPI tokens / editor URLs
+ *   read        - other GET requests
+ *   write       - everything else (uploads, moves, deletes, sharing...)
+ */
+function apiKeyScopeFor(req) {
+    const requestPath = req.baseUrl + req.path;
+    if (requestPath.startsWith('/api/admin')) return 'admin';
+    if (req.method === 'POST' && /^\/api\/documents\/[^/]+\/token$/.test(requestPath)) return 'token-issue';
+    return req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+}
+
+/**
+ * API keys for server-to-server clients, persisted as the "api-keys" storage state entry
+ *
+ * Key: tsk_<keyId>_<secret>. Only a SHA-256 hash of the whole key is stored,
+ * the key itself is shown once when it is created. Each key acts as a user
+ * (by default a service user of its own, apikey-<keyId>) limited to its scopes:
+ * documents are shared with that user like with anyone else.
+ *
+ * Keys are held in memory so validateAppAuth stays synchronous. lastUsedAt is
+ * written back at most once a minute per key.
+ */
+const apiKeyService = {
+    keys: new Map(), // keyId -> key
+    savedUse: new Map(), // keyId -> time lastUsedAt was last persisted
+
+    async load() {
+        const saved = await storage.readState('api-keys');
+        this.keys = new Map((saved || []).map(key => [key.id, key]));
+    },
+
+    async save() {
+        await storage.writeState('api-keys', Array.from(this.keys.values()));
+    },
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    },
+
+    /**
+     * active, expired or revoked
+     */
+    status(key) {
+        if (key.revokedAt) return 'revoked';
+        if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) return 'expired';
+        return 'active';
+    },
+
+    /**
+     * Create a key; returns { key, secret } - secret is the full API key, which is not stored
+     * user: who requests with this key act as ({ id, name, email, groups }), optional
+     */
+    async create({ name, scopes, user, expiresAt }, by) {
+        const id = crypto.randomBytes(6).toString('hex');
+        const secret = `${API_KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+        const key = {
+            id,
+            name,
+            scopes,
+            user: user || { id: `apikey-${id}`, name, email: '', groups: [] },
+            hash: this.hash(secret),
+            createdBy: by.id,
+            createdAt: new Date().toISOString(),
+            expiresAt: expiresAt || null,
+            lastUsedAt: null,
+            lastUsedIp: null,
+            revokedAt: null,
+            revokedBy: null
+        };
+        this.keys.set(id, key);
+        await this.save();
+        console.log(`[API Keys] Created "${name}" (${id}) scopes=${scopes.join(',')} as ${key.user.id} by ${by.id}`);
+        return { key, secret };
+    },
+
+    /**
+     * The active key matching a presented API key, or null
+     */
+    verify(secret) {
+        const match = /^tsk_([0-9a-f]{12})_[\w-]+$/.exec(String(secret));
+        const key = match && this.keys.get(match[1]);
+        if (!key || this.status(key) !== 'active') return null;
+
+        const expected = Buffer.from(key.hash, 'hex');
+        const actual = Buffer.from(this.hash(secret), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? key : null;
+    },
+
+    recordUse(key, ip) {
+        key.lastUsedAt = new Date().toISOString();
+        key.lastUsedIp = ip;
+        if (Date.now() - (this.savedUse.get(key.id) || 0) < 60 * 1000) return;
+        this.savedUse.set(key.id, Date.now());
+        this.save().catch(error => console.error('[API Keys] Failed to record use:', error.message));
+    },
+
+    async revoke(keyId, by) {
+        const key = this.keys.get(keyId);
+        key.revokedAt = new Date().toISOString();
+        key.revokedBy = by.id;
+        await this.save();
+        console.warn(`[API Keys] Revoked "${key.name}" (${key.id}) by ${by.id}`);
+        return key;
+    },
+
+    describe(key) {
+        return {
+            id: key.id,
+            name: key.name,
+            prefix: `${API_KEY_PREFIX}${key.id}_`,
+            scopes: key.scopes,
+            user: key.user,
+            status: this.status(key),
+            createdBy: key.createdBy,
+            createdAt: key.createdAt,
+            expiresAt: key.expiresAt,
+            lastUsedAt: key.lastUsedAt,
+            lastUsedIp: key.lastUsedIp,
+            revokedAt: key.revokedAt,
+            revokedBy: key.revokedBy
+        };
+    }
+};
+
+tenantFields(apiKeyService, ['keys', 'savedUse']);
+
+// ============================================================================
+// WOPI Token Validation Middleware
+// ============================================================================
+
+/**
+ * Middleware to validate WOPI access tokens
+ * Extracts token from query param or Authorization header
+ */
+function validateWopiToken(req, res, next) {
+    // WOPI tokens come as query parameter 'access_token'
+    const token = req.query.access_token ||
+                  req.headers['authorization']?.replace('Bearer ', '');
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+    }
+
+    const payload = tokenService.validateWopiToken(token);
+    if (!payload) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    // Verify the token is for the requested file
+    // Sanitize fileId to prevent type confusion (could be array)
+    const fileId = sanitizeParam(req.params.fileId);
+    if (payload.fileId !== fileId) {
+        return res.status(403).json({ error: 'Token not valid for this file' });
+    }
+
+    // Attach user info to request
+    req.wopiUser = {
+        id: payload.userId,
+        name: payload.userName,
+        email: payload.userEmail,
+        groups: payload.groups || [],
+        guest: payload.guest === true,
+        permissions: payload.permissions
+    };
+    req.wopiToken = payload;
+    editorSessions.touch(payload);
+    editorPool.touch(fileId);
+
+    next();
+}
+
+/**
+ * Middleware to validate WOPI container access tokens
+ * Same as validateWopiToken, but the token must be scoped to the requested container
+ */
+function validateWopiContainerToken(req, res, next) {
+    const token = req.query.access_token ||
+                  req.headers['authorization']?.replace('Bearer ', '');
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+    }
+
+    const payload = tokenService.validateWopiToken(token, 'wopi_container');
+    if (!payload) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const containerId = sanitizeParam(req.params.containerId);
+    if (payload.containerId !== containerId) {
+        return res.status(403).json({ error: 'Token not valid for this container' });
+    }
+
+    req.wopiUser = {
+        id: payload.userId,
+        name: payload.userName,
+        email: payload.userEmail,
+        groups: payload.groups || [],
+        permissions: payload.permissions
+    };
+    req.wopiToken = payload;
+
+    next();
+}
+
+/**
+ * Middleware to authenticate app API requests
+ * Accepts an API key (X-API-Key header or Bearer tsk_...), a Bearer app token
+ * or a login session cookie. Without any, the request acts as the demo user
+ * when allowed, otherwise it is rejected.
+ * Sets req.user and req.authMethod ('apiKey' | 'token' | 'session' | 'demo').
+ */
+function validateAppAuth(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const presentedKey = req.headers['x-api-key'] ||
+        (authHeader?.startsWith(`Bearer ${API_KEY_PREFIX}`) ? authHeader.replace('Bearer ', '') : null);
+
+    if (presentedKey) {
+        const key = apiKeyService.verify(presentedKey);
+        if (!key) {
+            console.warn(`[API Keys] Rejected key from ${req.ip} on ${req.method} ${req.originalUrl.split('?')[0]}`);
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+
+        const scope = apiKeyScopeFor(req);
+        if (!key.scopes.includes(scope)) {
+            return res.status(403).json({ error: `API key lacks the ${scope} scope`, scope });
+        }
+
+        apiKeyService.recordUse(key, req.ip);
+        req.user = { ...key.user, groups: key.user.groups || [], apiKey: { id: key.id, name: key.name, scopes: key.scopes } };
+        req.authMethod = 'apiKey';
+        return next();
+    }
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        const token = authHeader.replace('Bearer ', '');
+        const user = tokenService.validateAppToken(token);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid authentication token' });
+        }
+
+        req.user = user;
+        req.authMethod = 'token';
+        return next();
+    }
+
+    const session = loginSessions.fromRequest(req);
+    if (session) {
+        req.user = loginSessions.userFrom(session);
+        req.authMethod = 'session';
+        return next();
+    }
+
+    if (config.allowDemoUser) {
+        req.user = config.demoUser;
+        req.authMethod = 'demo';
+        return next();
+    }
+
+    res.status(401).json({
+        error: 'Authentication required',
+        loginUrl: oidcClient.enabled ? '/auth/login' : null
+    });
+}
+
+/**
+ * Middleware to restrict a route to admin users
+ * Must run after validateAppAuth
+ */
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.user)) {
+        console.warn(`[Admin] Access denied for user ${req.user?.id} on ${req.method} ${req.path}`);
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+module.exports = {
+    safeReturnPath, oidcClient, loginSessions, API_KEY_SCOPES, apiKeyService, validateWopiToken,
+    validateWopiContainerToken, validateAppAuth, requireAdmin
+};
@@ -0,0 +1,228 @@
+/**
+ * Environment validation and the base (default tenant) configuration
+ */
+
+const path = require('path');
+const os = require('os');
+
+// Validate required environment variables
+// JWT_SECRET is only required for HS256; RS256/ES256 sign with generated key pairs
+const JWT_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+const jwtAlgorithm = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+if (!JWT_ALGORITHMS.includes(jwtAlgorithm)) {
+    console.error(`ERROR: JWT_ALGORITHM must be one of: ${JWT_ALGORITHMS.join(', ')}`);
+    process.exit(1);
+}
+if (jwtAlgorithm === 'HS256' && !process.env.JWT_SECRET) {
+    console.error('ERROR: JWT_SECRET environment variable is required.');
+    console.error('Generate one with: openssl rand -base64 32');
+    process.exit(1);
+}
+// After switching to RS256/ES256, HS256 tokens are only accepted until JWT_HS256_ACCEPT_UNTIL,
+// which may not be further away than TOKEN_TTL: by then every token signed with the secret has expired
+const jwtHs256AcceptUntil = process.env.JWT_HS256_ACCEPT_UNTIL ? Date.parse(process.env.JWT_HS256_ACCEPT_UNTIL) : null;
+if (jwtHs256AcceptUntil !== null) {
+    const maxTransitionMs = parseInt(process.env.TOKEN_TTL || '28800') * 1000;
+    if (Number.isNaN(jwtHs256AcceptUntil)) {
+        console.error('ERROR: JWT_HS256_ACCEPT_UNTIL must be a date, e.g. 2026-01-31T18:00:00Z');
+        process.exit(1);
+    }
+    if (jwtAlgorithm === 'HS256' || !process.env.JWT_SECRET) {
+        console.error('ERROR: JWT_HS256_ACCEPT_UNTIL needs JWT_ALGORITHM=RS256 or ES256 and the previous JWT_SECRET');
+        process.exit(1);
+    }
+    if (jwtHs256AcceptUntil - Date.now() > maxTransitionMs) {
+        console.error('ERROR: JWT_HS256_ACCEPT_UNTIL may be at most TOKEN_TTL seconds away');
+        process.exit(1);
+    }
+}
+const WOPI_PROOF_MODES = ['enforce', 'report', 'off'];
+if (process.env.WOPI_PROOF_VALIDATION && !WOPI_PROOF_MODES.includes(process.env.WOPI_PROOF_VALIDATION)) {
+    console.error(`ERROR: WOPI_PROOF_VALIDATION must be one of: ${WOPI_PROOF_MODES.join(', ')}`);
+    process.exit(1);
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Settings for the whole deployment; a tenant may override any of them (see Tenants)
+const baseConfig = {
+    // WOPI Host URL - for proxy mode
+    wopiHostUrl: process.env.WOPI_HOST_URL || 'http://localhost:3000',
+
+    // TeamSync Editor URLs (the actual editor servers) - INTERNAL URLs for server-to-server communication
+    // These are used for health checks and discovery fetching from within Docker network
+    // Single server mode (backward compatible)
+    editorUrl: process.env.TEAMSYNC_URL || 'http://localhost:9980',
+
+    // Multi-variant mode - separate servers for each document type (internal Docker network URLs)
+    documentEditorUrl: process.env.TEAMSYNC_DOCUMENT_URL || process.env.TEAMSYNC_URL || 'http://localhost:9980',
+    sheetsEditorUrl: process.env.TEAMSYNC_SHEETS_URL || process.env.TEAMSYNC_URL || 'http://localhost:9981',
+    presentationEditorUrl: process.env.TEAMSYNC_PRESENTATION_URL || process.env.TEAMSYNC_URL || 'http://localhost:9982',
+
+    // TeamSync Editor - unified editor handling ALL document types (internal Docker network URL)
+    unifiedEditorUrl: process.env.TEAMSYNC_EDITOR_URL || 'http://localhost:9983',
+
+    // PUBLIC URLs for browser access - these are what the browser iframe will use
+    // When running in Docker, the browser needs localhost URLs to access the exposed ports
+    documentEditorPublicUrl: process.env.TEAMSYNC_DOCUMENT_PUBLIC_URL || 'http://localhost:9980',
+    sheetsEditorPublicUrl: process.env.TEAMSYNC_SHEETS_PUBLIC_URL || 'http://localhost:9981',
+    presentationEditorPublicUrl: process.env.TEAMSYNC_PRESENTATION_PUBLIC_URL || 'http://localhost:9982',
+    unifiedEditorPublicUrl: process.env.TEAMSYNC_EDITOR_PUBLIC_URL || 'http://localhost:9983',
+
+    // Every editor URL above may list several instances of that editor,
+    // comma-separated, with the public URLs in the same order (see editorPool).
+    // Instances are health-checked every editorHealthIntervalSeconds; slower
+    // answers than editorSlowMs halve an instance's share of new documents. A
+    // document stays on its instance for editorAffinitySeconds after its last
+    // token request or WOPI call.
+    editorHealthIntervalSeconds: parseInt(process.env.EDITOR_HEALTH_INTERVAL || '30'),
+    editorSlowMs: parseInt(process.env.EDITOR_SLOW_MS || '2000'),
+    editorAffinitySeconds: parseInt(process.env.EDITOR_AFFINITY_TTL || '1800'),
+
+    // Editor discovery is refetched in the background this often, and retried
+    // with backoff while it fails
+    discoveryRefreshSeconds: parseInt(process.env.DISCOVERY_REFRESH_INTERVAL || '900'),
+
+    // Editor mode: 'teamsync-unified' | 'multi-editor'
+    // - teamsync-unified: Use single TeamSync Editor for all documents
+    // - multi-editor: Use specialized TeamSync editors (Document/Sheets/Presentation)
+    // The default when the routing rules (EDITOR_RULES_FILE) pick no other editor
+    editorMode: process.env.EDITOR_MODE || 'teamsync-unified',
+
+    // This sample app's public URL (for browser access)
+    publicUrl: process.env.PUBLIC_URL || 'http://localhost:8080',
+
+    // WOPI callback URL - what TeamSync Editor (inside Docker) uses to reach this app
+    // When running in Docker, the editor needs host.docker.internal to reach the host
+    wopiCallbackUrl: process.env.WOPI_CALLBACK_URL || 'http://host.docker.internal:8080',
+
+    // JWT secret - MUST match the secret used by wopi-host
+    // REQUIRED: Set JWT_SECRET environment variable (32+ characters recommended)
+    // Generate with: openssl rand -base64 32
+    jwtSecret: process.env.JWT_SECRET,
+
+    // Token signing algorithm: HS256 (shared JWT_SECRET), RS256 or ES256.
+    // Asymmetric keys are generated into jwtKeysDir, sent as the token's kid
+    // header and rotated every jwtKeyRotationDays. Retired keys keep verifying
+    // until the tokens they signed have expired. HS256 tokens issued before the
+    // switch are refused, unless jwtHs256AcceptUntil (a timestamp) is still ahead.
+    jwtAlgorithm,
+    jwtHs256AcceptUntil,
+    jwtKeysDir: process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys'),
+    jwtKeyRotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS || '30'),
+
+    // Token TTL in seconds (8 hours default for better UX)
+    tokenTtlSeconds: parseInt(process.env.TOKEN_TTL || '28800'),
+
+    // Demo user info (in production, this comes from your auth system)
+    demoUser: {
+        id: 'demo-user-001',
+        name: 'Demo User',
+        email: 'demo@example.com'
+    },
+
+    // Requests without a login session or bearer token act as the demo user.
+    // On by default outside production; set ALLOW_DEMO_USER=false to require a login.
+    allowDemoUser: process.env.ALLOW_DEMO_USER
+        ? process.env.ALLOW_DEMO_USER === 'true'
+        : process.env.NODE_ENV !== 'production',
+
+    // Let the demo user ask /api/auth/token for a token as any user and groups,
+    // for trying out sharing and ACLs locally. Off unless ALLOW_DEMO_IDENTITIES=true.
+    allowDemoIdentities: process.env.ALLOW_DEMO_IDENTITIES === 'true',
+
+    // Browser login through an OpenID Connect provider (authorization code flow
+    // with PKCE). Enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set; endpoints
+    // are read from the issuer's /.well-known/openid-configuration.
+    oidc: {
+        issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID || '',
+        clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+        redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.PUBLIC_URL || 'http://localhost:8080'}/auth/callback`,
+        scopes: process.env.OIDC_SCOPES || 'openid profile email',
+        // ID token / userinfo claim mapped onto each req.user field
+        // Dotted paths reach nested claims, e.g. OIDC_CLAIM_GROUPS=realm_access.roles
+        claims: {
+            id: process.env.OIDC_CLAIM_ID || 'sub',
+            name: process.env.OIDC_CLAIM_NAME || 'name',
+            email: process.env.OIDC_CLAIM_EMAIL || 'email',
+            groups: process.env.OIDC_CLAIM_GROUPS || 'groups'
+        }
+    },
+
+    // Login sessions (cookie) last this many seconds
+    sessionTtlSeconds: parseInt(process.env.SESSION_TTL || '28800'),
+
+    // Standalone mode - serve as own WOPI host
+    standaloneMode: process.env.STANDALONE_MODE !== 'false',
+
+    // Document storage backend: 'filesystem' | 's3' | 'memory'
+    // - filesystem: content and metadata are kept under STORAGE_DIR and survive restarts
+    // - s3: content and metadata are kept in an S3-compatible bucket (AWS S3, MinIO, ...)
+    // - memory: documents are lost when the process exits
+    storageBackend: process.env.STORAGE_BACKEND || 'filesystem',
+    storageDir: process.env.STORAGE_DIR || path.join(__dirname, '..', 'data'),
+
+    // Maximum number of versions kept per document (0 = keep every version)
+    versionRetention: parseInt(process.env.VERSION_RETENTION || '50'),
+
+    // WOPI locks expire after 30 minutes unless refreshed (WOPI standard)
+    lockExpirySeconds: parseInt(process.env.LOCK_EXPIRY || '1800'),
+    lockSweepIntervalSeconds: parseInt(process.env.LOCK_SWEEP_INTERVAL || '60'),
+
+    // Users allowed to call /api/admin endpoints (comma-separated user IDs, none by default)
+    adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+
+    // Deleted documents stay in the trash for this many days before being purged (0 = never purge)
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || '30'),
+
+    // Share links for guests: default and maximum lifetime in days
+    shareLinkDefaultDays: parseInt(process.env.SHARE_LINK_DEFAULT_DAYS || '7'),
+    shareLinkMaxDays: parseInt(process.env.SHARE_LINK_MAX_DAYS || '90'),
+
+    // WOPI proof keys: check that /wopi/files requests were signed by one of our
+    // editors (X-WOPI-Proof / X-WOPI-ProofOld headers, keys from discovery)
+    // - enforce (default): reject requests whose proof is missing or invalid
+    // - report: log failures but let the request through, while rolling out
+    // - off: do not check
+    wopiProofValidation: process.env.WOPI_PROOF_VALIDATION || 'enforce',
+
+    // Maximum size of an uploaded or saved file per document type
+    maxFileSizes: {
+        document: parseInt(process.env.MAX_DOCUMENT_SIZE_MB || '50') * 1024 * 1024,
+        spreadsheet: parseInt(process.env.MAX_SPREADSHEET_SIZE_MB || '50') * 1024 * 1024,
+        presentation: parseInt(process.env.MAX_PRESENTATION_SIZE_MB || '50') * 1024 * 1024
+    },
+
+    // Uploads are streamed to this directory before being moved into storage
+    uploadTempDir: process.env.UPLOAD_TEMP_DIR || os.tmpdir(),
+
+    // Extracted text kept per document in the full-text search index (characters)
+    searchMaxTextLength: parseInt(process.env.SEARCH_MAX_TEXT_CHARS || '200000'),
+    // Larger documents are only searchable by name, so indexing never buffers huge files
+    searchMaxFileSize: parseInt(process.env.SEARCH_MAX_FILE_MB || '20') * 1024 * 1024,
+
+    // S3-compatible object storage (STORAGE_BACKEND=s3)
+    // For a local MinIO: S3_ENDPOINT=http://localhost:9000 with the MinIO root credentials
+    s3: {
+        endpoint: process.env.S3_ENDPOINT || '',
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET || 'documents',
+        // Create the bucket when it is missing (otherwise storage fails until it exists)
+        createBucket: process.env.S3_CREATE_BUCKET === 'true',
+        prefix: process.env.S3_PREFIX || '',
+        // Falls back to the default AWS credential chain when not set
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.MINIO_ROOT_USER || '',
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.MINIO_ROOT_PASSWORD || '',
+        // MinIO and most self-hosted S3 servers need path-style bucket URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        // Objects larger than one part are written with a multipart upload
+        multipartPartSize: parseInt(process.env.S3_MULTIPART_PART_SIZE_MB || '8') * 1024 * 1024
+    }
+};
+
+module.exports = {
+    baseConfig
+};
@@ -0,0 +1,1143 @@
+/**
+ * Editor selection: file types, editor pools, routing rules and discovery
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { getFileExtension, decodeXmlEntities } = require('./utils');
+const {
+    tenants, currentTenant, forEachTenant, config, tenantFields
+} = require('./tenants');
+const { lockService } = require('./locks');
+const { folderService } = require('./folders');
+
+// ============================================================================
+// File Type Detection & Editor URL Routing
+// ============================================================================
+
+/**
+ * Determine the document type based on file extension
+ * The editors' discovery decides (see editorFormats), then the built-in lists.
+ */
+function getDocumentType(filename, editorMode = config.editorMode) {
+    const format = editorFormats.lookup(filename, editorMode);
+    if (format) return format.documentType;
+
+    const ext = getFileExtension(filename);
+    const [builtinType] = Object.entries(BUILTIN_FORMATS).find(([, extensions]) => extensions.includes(ext)) || [];
+    return builtinType || 'document'; // Default to document
+}
+
+/**
+ * Get the appropriate editor URL for a document type (internal Docker network)
+ * Used for server-to-server communication (health checks, discovery); with
+ * several instances in the pool this is the first one that is up. Documents
+ * are routed to an instance with editorPool.route().
+ * @param {string} docType - The document type (document, spreadsheet, presentation)
+ * @param {string} editorMode - The editor mode (teamsync-unified, multi-editor)
+ */
+function getEditorUrlForType(docType, editorMode = config.editorMode) {
+    return editorPool.primary(editorPoolFor(docType, editorMode))?.url || null;
+}
+
+/**
+ * Maximum size in bytes of a file, based on its document type
+ */
+function maxFileSize(filename) {
+    return config.maxFileSizes[getDocumentType(filename)];
+}
+
+// ============================================================================
+// Editor Pools
+// ============================================================================
+
+// Pool -> [internal URL setting, public URL setting]
+const EDITOR_POOL_SETTINGS = {
+    unified: ['unifiedEditorUrl', 'unifiedEditorPublicUrl'],
+    document: ['documentEditorUrl', 'documentEditorPublicUrl'],
+    sheets: ['sheetsEditorUrl', 'sheetsEditorPublicUrl'],
+    presentation: ['presentationEditorUrl', 'presentationEditorPublicUrl']
+};
+
+// Share of new documents an instance takes, by health
+const EDITOR_HEALTH_WEIGHTS = { healthy: 1, unknown: 1, slow: 0.5, down: 0 };
+
+/**
+ * The pool serving a document type in an editor mode
+ */
+function editorPoolFor(docType, editorMode = config.editorMode) {
+    if (editorMode === 'teamsync-unified') return 'unified';
+    switch (docType) {
+        case 'spreadsheet':
+            return 'sheets';
+        case 'presentation':
+            return 'presentation';
+        case 'document':
+        default:
+            return 'document';
+    }
+}
+
+function splitUrls(value) {
+    return String(value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * Editor instances per pool, with every document pinned to one of them
+ *
+ * Each editor URL setting may list several instances, comma-separated, with
+ * the public URLs in the same order (a single public URL is used for all).
+ * New documents are placed with weighted rendezvous hashing on the file ID:
+ * every user of a document lands on the same instance, and adding or removing
+ * an instance only moves the documents placed on it. An instance's weight
+ * follows its health (EDITOR_HEALTH_WEIGHTS); draining instances take no new
+ * documents. A placed document stays on its instance while the instance is up
+ * and the document saw a token request or WOPI call within the affinity
+ * window, so weight changes and drains never split an open document. In
+ * multi-editor mode a type's pool with no instance available fails over to
+ * the unified editor, and new requests return to it once it recovers.
+ *
+ * Health and drain state belong to the instance URL and are shared by all
+ * tenants; placements are per tenant. Nothing is persisted.
+ */
+const editorPool = {
+    health: new Map(), // url -> { status: 'healthy' | 'slow' | 'down', latencyMs, error, checkedAt, since }
+    draining: new Set(), // urls of instances taking no new documents
+    assignments: new Map(), // fileId -> { pool, url, failoverFrom, assignedAt, lastUsed }
+
+    nodes(pool) {
+        const [urlSetting, publicUrlSetting] = EDITOR_POOL_SETTINGS[pool];
+        const publicUrls = splitUrls(config[publicUrlSetting]);
+        return splitUrls(config[urlSetting]).map((url, index) => ({
+            id: `${pool}-${index + 1}`,
+            pool,
+            url,
+            publicUrl: publicUrls[index] || publicUrls[0]
+        }));
+    },
+
+    /**
+     * Every instance URL of the current tenant, without duplicates
+     */
+    urls() {
+        return Array.from(new Set(Object.keys(EDITOR_POOL_SETTINGS).flatMap(pool => this.nodes(pool).map(node => node.url))));
+    },
+
+    findNode(nodeId) {
+        const pool = nodeId.slice(0, nodeId.lastIndexOf('-'));
+        return EDITOR_POOL_SETTINGS[pool] ? this.nodes(pool).find(node => node.id === nodeId) || null : null;
+    },
+
+    status(node) {
+        return this.health.get(node.url)?.status || 'unknown';
+    },
+
+    isUp(node) {
+        return this.status(node) !== 'down';
+    },
+
+    weight(node) {
+        return this.draining.has(node.url) ? 0 : EDITOR_HEALTH_WEIGHTS[this.status(node)];
+    },
+
+    /**
+     * The first instance of a pool that is up (the first one if none is, null for an empty pool)
+     */
+    primary(pool) {
+        const nodes = this.nodes(pool);
+        return nodes.find(node => this.isUp(node) && !this.draining.has(node.url)) || nodes[0];
+    },
+
+    /**
+     * Weighted rendezvous score: the instance with the highest score gets the document
+     */
+    score(node, fileId, weight) {
+        const hash = crypto.createHash('sha256').update(`${node.url}\n${fileId}`).digest();
+        const unit = (hash.readUIntBE(0, 6) + 1) / 2 ** 48; // (0, 1]
+        return -weight / Math.log(unit);
+    },
+
+    /**
+     * Instances of a pool that take new documents (up and not draining)
+     */
+    available(pool) {
+        return this.nodes(pool).filter(node => this.weight(node) > 0);
+    },
+
+    /**
+     * Place a document on an instance of a pool by weighted rendezvous hashing
+     * With no instance available, hash over the ones not draining so the choice
+     * stays stable; null when the pool has no instance or all of them drain
+     */
+    place(fileId, pool) {
+        const available = this.available(pool);
+        const candidates = available.length > 0
+            ? available
+            : this.nodes(pool).filter(node => !this.draining.has(node.url));
+        let best = null;
+        let bestScore = -Infinity;
+        for (const node of candidates) {
+            const score = this.score(node, fileId, available.length > 0 ? this.weight(node) : 1);
+            if (score > bestScore) {
+                best = node;
+                bestScore = score;
+            }
+        }
+        return best;
+    },
+
+    /**
+     * The instance serving a document, and why it was chosen
+     *
+     * Returns { node, preferredPool, reason, detail }, reason being one of
+     * affinity (already open there), hash (new placement), rerouted (its
+     * instance went down), failover (multi-editor mode with no instance of the
+     * type's pool available: the unified editor takes it), recovered (back from
+     * the unified editor), unavailable (nothing is up; the pool is tried anyway)
+     * or no-backend (the pool has no instance, or all of them drain: node is null).
+     * A document that failed over stays on the unified editor while an editor
+     * still holds its WOPI lock, so an open session is never split.
+     */
+    route(fileId, docType, editorMode = config.editorMode) {
+        const preferredPool = editorPoolFor(docType, editorMode);
+        const now = Date.now();
+
+        let assigned = this.assignments.get(fileId);
+        if (assigned && now - assigned.lastUsed >= config.editorAffinitySeconds * 1000) assigned = null;
+        const assignedNode = assigned && this.nodes(assigned.pool).find(node => node.url === assigned.url);
+        if (assignedNode && this.isUp(assignedNode)) {
+            if (assigned.pool === preferredPool) {
+                assigned.lastUsed = now;
+                return { node: assignedNode, preferredPool, reason: 'affinity', detail: `Document is open on ${assignedNode.id}` };
+            }
+            if (assigned.failoverFrom === preferredPool &&
+                (this.available(preferredPool).length === 0 || lockService.getActiveLock(fileId))) {
+                assigned.lastUsed = now;
+                return {
+                    node: assignedNode,
+                    preferredPool,
+                    reason: 'failover',
+                    detail: this.available(preferredPool).length === 0
+                        ? `No ${preferredPool} editor is available; document is open on ${assignedNode.id}`
+                        : `Document is still open on ${assignedNode.id}; it returns to the ${preferredPool} editor once closed`
+                };
+            }
+        }
+
+        let pool = preferredPool;
+        let reason;
+        let detail;
+        if (this.available(preferredPool).length > 0) {
+            if (assigned?.failoverFrom === preferredPool) {
+                reason = 'recovered';
+                detail = `The ${preferredPool} editor is available again`;
+            } else if (assigned?.pool === preferredPool) {
+                reason = 'rerouted';
+                detail = `${assignedNode?.id || assigned.url} is not available`;
+            } else {
+                reason = 'hash';
+                detail = `Placed by file ID among ${this.available(preferredPool).length} available ${preferredPool} instance(s)`;
+            }
+        } else if (editorMode === 'multi-editor' && preferredPool !== 'unified' && this.available('unified').length > 0) {
+            pool = 'unified';
+            reason = 'failover';
+            detail = `No ${preferredPool} editor is available`;
+        } else {
+            reason = 'unavailable';
+            detail = `No ${preferredPool} editor instance is up`;
+        }
+
+        let node = this.place(fileId, pool);
+        if (!node && editorMode === 'multi-editor' && pool !== 'unified') {
+            pool = 'unified';
+            reason = 'failover';
+            detail = `No ${preferredPool} editor instance takes new documents`;
+            node = this.place(fileId, pool);
+        }
+        if (!node) {
+            const nodes = this.nodes(pool);
+            return {
+                node: null,
+                preferredPool,
+                reason: 'no-backend',
+                detail: nodes.length === 0
+                    ? `No ${pool} editor instance is configured`
+                    : `Every ${pool} editor instance is draining`
+            };
+        }
+        if (assigned && (assigned.url !== node.url || assigned.pool !== pool)) {
+            console.log(`[Pool] ${fileId} moved to ${node.id} (${node.url}): ${reason}`);
+        } else if (pool !== preferredPool) {
+            console.log(`[Pool] ${fileId} failed over from ${preferredPool} to ${node.id} (${node.url})`);
+        }
+        this.assignments.set(fileId, {
+            pool,
+            url: node.url,
+            failoverFrom: pool !== preferredPool ? preferredPool : null,
+            assignedAt: now,
+            lastUsed: now
+        });
+        return { node, preferredPool, reason, detail: `${detail}; using ${node.id}` };
+    },
+
+    /**
+     * Keep a document on its instance while its editor is active
+     */
+    touch(fileId) {
+        const assigned = this.assignments.get(fileId);
+        if (assigned) assigned.lastUsed = Date.now();
+    },
+
+    /**
+     * Documents currently pinned to an instance
+     */
+    documents(node) {
+        const now = Date.now();
+        const documents = [];
+        for (const [fileId, assigned] of this.assignments) {
+            if (now - assigned.lastUsed >= config.editorAffinitySeconds * 1000) {
+                this.assignments.delete(fileId);
+            } else if (assigned.url === node.url && assigned.pool === node.pool) {
+                documents.push({
+                    fileId,
+                    failoverFrom: assigned.failoverFrom,
+                    assignedAt: new Date(assigned.assignedAt).toISOString(),
+                    lastUsed: new Date(assigned.lastUsed).toISOString()
+                });
+            }
+        }
+        return documents;
+    },
+
+    /**
+     * Check one instance (its discovery endpoint) and record the result
+     */
+    async probe(url) {
+        const startTime = Date.now();
+        let status;
+        let error = null;
+        try {
+            const response = await fetch(`${url}/hosting/discovery`, { signal: AbortSignal.timeout(5000) });
+            status = !response.ok ? 'down' : Date.now() - startTime > config.editorSlowMs ? 'slow' : 'healthy';
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (fetchError) {
+            status = 'down';
+            error = fetchError.message;
+        }
+
+        const previous = this.health.get(url);
+        const checkedAt = new Date().toISOString();
+        const entry = {
+            status,
+            latencyMs: Date.now() - startTime,
+            error,
+            checkedAt,
+            since: previous?.status === status ? previous.since : checkedAt
+        };
+        this.health.set(url, entry);
+        if (previous && previous.status !== status) {
+            console.log(`[Pool] ${url} is now ${status}${error ? ` (${error})` : ''}`);
+        }
+        // An instance that is back gets its discovery without waiting for the retry backoff
+        if (status !== 'down' && discoveryMonitor.isDegraded(url)) {
+            discoveryMonitor.refresh(url);
+        }
+        return entry;
+    },
+
+    /**
+     * Check every instance of every tenant
+     */
+    async probeAll() {
+        const urls = new Set();
+        await forEachTenant(() => this.urls().forEach(url => urls.add(url)));
+        await Promise.all(Array.from(urls, url => this.probe(url)));
+    },
+
+    describe(node) {
+        const health = this.health.get(node.url);
+        return {
+            id: node.id,
+            url: node.url,
+            publicUrl: node.publicUrl,
+            status: this.status(node),
+            latencyMs: health?.latencyMs ?? null,
+            error: health?.error ?? null,
+            checkedAt: health?.checkedAt ?? null,
+            since: health?.since ?? null,
+            draining: this.draining.has(node.url),
+            weight: this.weight(node),
+            documents: this.documents(node)
+        };
+    }
+};
+
+tenantFields(editorPool, ['assignments']);
+
+// Background health checks, so routing weights follow the instances' health
+setInterval(() => {
+    editorPool.probeAll().catch(error => console.error('[Pool] Health check failed:', error));
+}, config.editorHealthIntervalSeconds * 1000).unref();
+
+// ============================================================================
+// Editor Routing Rules
+// ============================================================================
+
+const EDITOR_MODES = ['teamsync-unified', 'multi-editor'];
+const EDITOR_RULE_CONDITIONS = ['extensions', 'minSize', 'maxSize', 'tenants', 'groups', 'folders'];
+
+/**
+ * Check one rule of the rules file; returns { rule } or { error }
+ */
+function parseEditorRule(entry, index) {
+    const label = `rule ${index + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { error: `${label} must be an object` };
+    }
+    const unknownKey = Object.keys(entry).find(key => !['name', 'editor', 'match'].includes(key));
+    if (unknownKey) return { error: `${label}: unknown field "${unknownKey}"` };
+    if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+        return { error: `${label}: name must be a non-empty string` };
+    }
+    const name = entry.name?.trim() || label;
+    if (!EDITOR_MODES.includes(entry.editor)) {
+        return { error: `${name}: editor must be one of: ${EDITOR_MODES.join(', ')}` };
+    }
+
+    const match = entry.match;
+    if (!match || typeof match !== 'object' || Array.isArray(match) || Object.keys(match).length === 0) {
+        return { error: `${name}: match must be an object with at least one condition (use "default" for a catch-all)` };
+    }
+    const conditions = {};
+    for (const [condition, value] of Object.entries(match)) {
+        if (!EDITOR_RULE_CONDITIONS.includes(condition)) {
+            return { error: `${name}: unknown condition "${condition}" (known: ${EDITOR_RULE_CONDITIONS.join(', ')})` };
+        }
+        if (condition === 'minSize' || condition === 'maxSize') {
+            if (!Number.isInteger(value) || value < 0) {
+                return { error: `${name}: ${condition} must be a number of bytes` };
+            }
+            conditions[condition] = value;
+            continue;
+        }
+        if (!Array.isArray(value) || value.length === 0 || value.some(item => typeof item !== 'string' || !item.trim())) {
+            return { error: `${name}: ${condition} must be a non-empty array of strings` };
+        }
+        conditions[condition] = condition === 'extensions'
+            ? value.map(ext => ext.trim().replace(/^\./, '').toLowerCase())
+            : value.map(item => item.trim());
+    }
+    if (conditions.minSize !== undefined && conditions.maxSize !== undefined && conditions.minSize > conditions.maxSize) {
+        return { error: `${name}: minSize is larger than maxSize` };
+    }
+    const unknownTenant = conditions.tenants?.find(id => !tenants.some(tenant => tenant.id === id));
+    if (unknownTenant) return { error: `${name}: unknown tenant "${unknownTenant}"` };
+
+    return { rule: { name, editor: entry.editor, match: conditions } };
+}
+
+/**
+ * Which editor opens a file, decided by the rules in EDITOR_RULES_FILE
+ *
+ * File shape: { "default": editor, "rules": [{ name?, editor, match }] },
+ * editor being teamsync-unified or multi-editor. match holds conditions on
+ * the file and the user: extensions, minSize and maxSize (bytes), tenants,
+ * groups and folders (a folder and everything below it). The first rule whose
+ * conditions all match decides; a list condition matches when any of its
+ * values does. Without a match, or without a rules file, the default editor
+ * (EDITOR_MODE, or the tenant's editorMode, when the file sets none) opens it.
+ *
+ * The file is validated whenever it is loaded. An invalid file stops the
+ * server at startup; on reload (admin API or SIGHUP) it is rejected and the
+ * rules in force stay.
+ */
+const editorRules = {
+    file: process.env.EDITOR_RULES_FILE || null,
+    rules: [],
+    defaultMode: null, // the file's default, if it sets one
+    loadedAt: null,
+
+    /**
+     * Validate the rules file's content; returns { rules, defaultMode } or { error }
+     */
+    parse(text) {
+        let content;
+        try {
+            content = JSON.parse(text);
+        } catch (error) {
+            return { error: `not valid JSON (${error.message})` };
+        }
+        if (!content || typeof content !== 'object' || Array.isArray(content)) {
+            return { error: 'must contain a JSON object with "rules" and an optional "default"' };
+        }
+        const unknownKey = Object.keys(content).find(key => !['default', 'rules'].includes(key));
+        if (unknownKey) return { error: `unknown field "${unknownKey}"` };
+        if (content.default !== undefined && !EDITOR_MODES.includes(content.default)) {
+            return { error: `default must be one of: ${EDITOR_MODES.join(', ')}` };
+        }
+        if (!Array.isArray(content.rules)) {
+            return { error: 'rules must be an array' };
+        }
+
+        const rules = [];
+        for (const [index, entry] of content.rules.entries()) {
+            const { rule, error } = parseEditorRule(entry, index);
+            if (error) return { error };
+            if (rules.some(other => other.name === rule.name)) {
+                return { error: `two rules are named "${rule.name}"` };
+            }
+            rules.push(rule);
+        }
+        return { rules, defaultMode: content.default || null };
+    },
+
+    /**
+     * Switch to the rules of a parse() result without error
+     * @param {{ rules?: object[], defaultMode?: string | null }} parsed
+     */
+    apply({ rules, defaultMode }) {
+        this.rules = rules;
+        this.defaultMode = defaultMode;
+        this.loadedAt = new Date().toISOString();
+    },
+
+    /**
+     * Load the rules file at startup; an unreadable or invalid file is fatal
+     */
+    loadAtStartup() {
+        if (!this.file) return;
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (error) {
+            console.error(`ERROR: Cannot read EDITOR_RULES_FILE ${this.file}: ${error.message}`);
+            process.exit(1);
+        }
+        const parsed = this.parse(text);
+        if (parsed.error) {
+            console.error(`ERROR: EDITOR_RULES_FILE: ${parsed.error}`);
+            process.exit(1);
+        }
+        this.apply(parsed);
+    },
+
+    /**
+     * Reread the rules file; returns { error } and keeps the current rules
+     * when it cannot be read or is invalid
+     */
+    async reload() {
+        if (!this.file) return { error: 'No EDITOR_RULES_FILE is configured' };
+        let text;
+        try {
+            text = await fs.promises.readFile(this.file, 'utf8');
+        } catch (error) {
+            return { error: `Cannot read ${this.file}: ${error.message}` };
+        }
+        const parsed = this.parse(text);
+        if (parsed.error) return { error: parsed.error };
+        this.apply(parsed);
+        console.log(`[Rules] Reloaded ${this.rules.length} editor routing rule(s) from ${this.file}`);
+        return {};
+    },
+
+    defaultEditor() {
+        return this.defaultMode || config.editorMode;
+    },
+
+    /**
+     * Every editor mode the rules can pick, the default first
+     */
+    editors() {
+        return Array.from(new Set([this.defaultEditor(), ...this.rules.map(rule => rule.editor)]));
+    },
+
+    /**
+     * Pick the editor for a file
+     * file: { name, size, folderId }; user: { groups } (may be null)
+     * Returns { editor, rule (name, or null for the default), trace } where
+     * trace lists every rule tried with the outcome of each condition.
+     */
+    async match(file, user) {
+        const facts = {
+            extension: getFileExtension(file.name),
+            size: file.size ?? null,
+            tenant: currentTenant().id,
+            groups: user?.groups || [],
+            folders: file.folderId ? (await folderService.ancestors(file.folderId)).map(folder => folder.id) : []
+        };
+
+        const trace = [];
+        for (const rule of this.rules) {
+            const conditions = Object.entries(rule.match).map(([condition, expected]) => {
+                let actual;
+                let matched;
+                switch (condition) {
+                    case 'extensions':
+                        actual = facts.extension;
+                        matched = expected.includes(actual);
+                        break;
+                    case 'minSize':
+                        actual = facts.size;
+                        matched = actual !== null && actual >= expected;
+                        break;
+                    case 'maxSize':
+                        actual = facts.size;
+                        matched = actual !== null && actual <= expected;
+                        break;
+                    case 'tenants':
+                        actual = facts.tenant;
+                        matched = expected.includes(actual);
+                        break;
+                    case 'groups':
+                        actual = facts.groups;
+                        matched = actual.some(group => expected.includes(group));
+                        break;
+                    case 'folders':
+                        actual = file.folderId || null;
+                        matched = facts.folders.some(folderId => expected.includes(folderId));
+                        break;
+                }
+                return { condition, expected, actual, matched };
+            });
+            const matched = conditions.every(condition => condition.matched);
+            trace.push({ rule: rule.name, editor: rule.editor, matched, conditions });
+            if (matched) return { editor: rule.editor, rule: rule.name, trace };
+        }
+        return { editor: this.defaultEditor(), rule: null, trace };
+    }
+};
+
+editorRules.loadAtStartup();
+
+/**
+ * Instance URLs of the pools the editor modes in use send documents to
+ */
+function editorUrlsInUse() {
+    const editors = editorRules.editors();
+    const pools = [
+        ...(editors.includes('teamsync-unified') ? ['unified'] : []),
+        ...(editors.includes('multi-editor') ? ['document', 'sheets', 'presentation'] : [])
+    ];
+    return Array.from(new Set(pools.flatMap(pool => editorPool.nodes(pool).map(node => node.url))));
+}
+
+if (editorRules.file) {
+    process.on('SIGHUP', () => {
+        editorRules.reload().then(({ error }) => {
+            if (error) console.error(`[Rules] Reload rejected, keeping the current rules: ${error}`);
+        });
+    });
+}
+
+// ============================================================================
+// Editor Discovery Service
+// ============================================================================
+
+// Last good discovery per editor instance, kept fresh by discoveryMonitor
+const discoveryCache = new Map(); // url -> { urlPath, actionPaths, proofKeys, apps, formats, timestamp }
+
+// Retries of a failing discovery fetch back off from the first to the last delay
+const DISCOVERY_RETRY_FIRST_MS = 5 * 1000;
+const DISCOVERY_RETRY_MAX_MS = 5 * 60 * 1000;
+const DISCOVERY_MAX_CHANGES = 50;
+
+// Discovery <app> names (Collabora Online and Office Online) -> document type
+// Apps of other kinds (draw, mime-type apps, Capabilities) are not offered
+const DISCOVERY_APP_TYPES = {
+    writer: 'document',
+    word: 'document',
+    calc: 'spreadsheet',
+    excel: 'spreadsheet',
+    impress: 'presentation',
+    powerpoint: 'presentation'
+};
+
+// Formats assumed for a document type while its editor's discovery cannot be read
+const BUILTIN_FORMATS = {
+    document: ['docx', 'doc', 'odt', 'rtf', 'txt'],
+    spreadsheet: ['xlsx', 'xls', 'ods', 'csv'],
+    presentation: ['pptx', 'ppt', 'odp']
+};
+
+// When an editor lists several net zones, actions are taken from the first of these
+const NET_ZONE_PREFERENCE = ['external-https', 'external-http', 'internal-https', 'internal-http'];
+
+function parseXmlAttributes(text) {
+    const attributes = {};
+    for (const [, name, value] of text.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[name] = decodeXmlEntities(value);
+    }
+    return attributes;
+}
+
+/**
+ * Parse a WOPI discovery document into its apps and the formats they handle
+ *
+ * apps: [{ name, netZone, favIconUrl, actions: [{ name, ext, isDefault, requires, urlsrc, placeholders }] }]
+ * formats: Map(ext -> { ext, app, documentType, actions: { [actionName]: action } })
+ *
+ * urlsrc is kept as a template: optional parameters look like
+ * <ui=UI_LLCC&> and are filled in by actionUrl().
+ */
+function parseDiscovery(xml) {
+    const apps = [];
+    let netZone = null;
+    let app = null;
+
+    for (const [, closing, tag, attributeText, selfClosing] of xml.matchAll(/<(\/?)([\w:-]+)([^>]*?)(\/?)>/g)) {
+        if (tag === 'net-zone') {
+            netZone = closing ? null : parseXmlAttributes(attributeText).name || null;
+        } else if (tag === 'app') {
+            if (closing) {
+                app = null;
+                continue;
+            }
+            const attributes = parseXmlAttributes(attributeText);
+            const parsed = { name: attributes.name, netZone, favIconUrl: attributes.favIconUrl || null, actions: [] };
+            apps.push(parsed);
+            app = selfClosing ? null : parsed;
+        } else if (tag === 'action' && !closing && app) {
+            const attributes = parseXmlAttributes(attributeText);
+            if (!attributes.name || !attributes.urlsrc) continue;
+            app.actions.push({
+                name: attributes.name,
+                ext: (attributes.ext || '').toLowerCase(),
+                isDefault: attributes.default === 'true',
+                requires: attributes.requires ? attributes.requires.split(',') : [],
+                urlsrc: attributes.urlsrc,
+                placeholders: Array.from(attributes.urlsrc.matchAll(/<[^=<>]+=([A-Z_]+)&?>/g), match => match[1])
+            });
+        }
+    }
+
+    const zoneRank = zone => {
+        const rank = NET_ZONE_PREFERENCE.indexOf(zone);
+        return rank === -1 ? NET_ZONE_PREFERENCE.length : rank;
+    };
+    const formats = new Map();
+    for (const candidate of [...apps].sort((a, b) => zoneRank(a.netZone) - zoneRank(b.netZone))) {
+        const documentType = DISCOVERY_APP_TYPES[String(candidate.name).toLowerCase()];
+        if (!documentType) continue;
+        for (const action of candidate.actions) {
+            if (!action.ext) continue;
+            if (!formats.has(action.ext)) {
+                formats.set(action.ext, { ext: action.ext, app: candidate.name, documentType, actions: {} });
+            }
+            const format = formats.get(action.ext);
+            if (format.app === candidate.name && !format.actions[action.name]) {
+                format.actions[action.name] = action;
+            }
+        }
+    }
+
+    return { apps, formats };
+}
+
+/**
+ * Fill in an action's urlsrc template
+ * Optional parameters (<name=PLACEHOLDER&>) are kept when values has the
+ * placeholder and dropped otherwise, as the WOPI discovery spec describes.
+ */
+function expandUrlTemplate(urlsrc, values) {
+    return urlsrc.replace(/<([^=<>]+)=([A-Z_]+)&?>/g, (match, name, placeholder) =>
+        values[placeholder] === undefined ? '' : `${name}=${encodeURIComponent(values[placeholder])}&`);
+}
+
+/**
+ * Public keys from the discovery XML's <proof-key> element
+ * Returns { current, old } (old is null when the editor has not rotated its
+ * key), or null when the editor publishes no proof key.
+ */
+function parseProofKeys(xml) {
+    const element = xml.match(/<proof-key\b([^>]*)>/);
+    if (!element) return null;
+
+    const attributes = {};
+    for (const [, name, value] of element[1].matchAll(/([\w-]+)="([^"]*)"/g)) {
+        attributes[name] = value;
+    }
+
+    // modulus and exponent are base64; the "value" blob holds the same key in .NET format
+    const toKey = (modulus, exponent) => {
+        if (!modulus || !exponent) return null;
+        return crypto.createPublicKey({
+            key: {
+                kty: 'RSA',
+                n: Buffer.from(modulus, 'base64').toString('base64url'),
+                e: Buffer.from(exponent, 'base64').toString('base64url')
+            },
+            format: 'jwk'
+        });
+    };
+
+    try {
+        const current = toKey(attributes.modulus, attributes.exponent);
+        return current ? { current, old: toKey(attributes.oldmodulus, attributes.oldexponent) } : null;
+    } catch (error) {
+        console.error('[Discovery] Invalid proof-key:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Short fingerprint of a proof key, for change reports
+ */
+function proofKeyFingerprint(key) {
+    if (!key) return null;
+    return crypto.createHash('sha256').update(key.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fetch and parse an editor's discovery; throws when it cannot be read
+ */
+async function fetchDiscovery(editorUrl) {
+    const startTime = Date.now();
+    console.log(`[Discovery] Fetching from ${editorUrl}/hosting/discovery`);
+    const response = await fetch(`${editorUrl}/hosting/discovery`, {
+        signal: AbortSignal.timeout(10000)
+    });
+    const elapsed = Date.now() - startTime;
+    if (!response.ok) {
+        throw new Error(`Discovery fetch failed: ${response.status}`);
+    }
+    const xml = await response.text();
+    console.log(`[Discovery] Fetched from ${editorUrl} in ${elapsed}ms`);
+
+    const proofKeys = parseProofKeys(xml);
+    if (!proofKeys) {
+        console.warn(`[Discovery] ${editorUrl} publishes no proof-key`);
+    }
+
+    const { apps, formats } = parseDiscovery(xml);
+    if (formats.size === 0) {
+        throw new Error('Could not parse discovery XML: no document formats');
+    }
+
+    // Path of the editor page, for files whose format has no matching action
+    const actions = Array.from(formats.values()).flatMap(format => Object.values(format.actions));
+    const editorPage = actions.find(action => action.name === 'edit') || actions[0];
+    const urlPath = new URL(expandUrlTemplate(editorPage.urlsrc, {})).pathname;
+    const actionPaths = Array.from(new Set(actions.map(action => new URL(expandUrlTemplate(action.urlsrc, {})).pathname))).sort();
+
+    console.log(`[Discovery] ${editorUrl}: ${formats.size} formats from ${apps.length} apps, editor URL path ${urlPath}`);
+    return { urlPath, actionPaths, proofKeys, apps, formats, timestamp: Date.now() };
+}
+
+/**
+ * Keeps every editor's discovery fresh in the background
+ *
+ * Discovery is fetched for all editor instances at startup and refetched every
+ * DISCOVERY_REFRESH_INTERVAL seconds. A failed fetch is retried with
+ * exponential backoff (5 seconds doubling up to 5 minutes), or as soon as the
+ * pool's health check sees the instance come back. Meanwhile the last good
+ * discovery stays in use and the editor is reported as stale; an editor whose
+ * discovery was never read is unavailable, and documents are not sent to it
+ * with a guessed editor path.
+ *
+ * Every refresh is compared with the previous discovery: changes to the editor
+ * page path, the action URL paths, the proof key or the formats are logged
+ * and kept (the last DISCOVERY_MAX_CHANGES) for GET /api/admin/discovery.
+ */
+const discoveryMonitor = {
+    editors: new Map(), // url -> { status, lastAttempt, lastSuccess, lastError, failures, nextAttempt }
+    changes: [], // { editorUrl, detectedAt, field, previous, current }, oldest first
+    timers: new Map(), // url -> pending refresh timeout
+    inflight: new Map(), // url -> promise of the running refresh
+
+    state(editorUrl) {
+        let state = this.editors.get(editorUrl);
+        if (!state) {
+            state = { status: 'pending', lastAttempt: null, lastSuccess: null, lastError: null, failures: 0, nextAttempt: null };
+            this.editors.set(editorUrl, state);
+        }
+        return state;
+    },
+
+    /**
+     * ok, pending (never fetched), stale (refresh failing, last good discovery
+     * in use) or unavailable (no discovery at all)
+     */
+    status(editorUrl) {
+        return this.editors.get(editorUrl)?.status || 'pending';
+    },
+
+    isDegraded(editorUrl) {
+        return ['stale', 'unavailable'].includes(this.status(editorUrl));
+    },
+
+    schedule(editorUrl, delayMs) {
+        clearTimeout(this.timers.get(editorUrl));
+        this.state(editorUrl).nextAttempt = new Date(Date.now() + delayMs).toISOString();
+        const timer = setTimeout(() => {
+            this.timers.delete(editorUrl);
+            this.refresh(editorUrl);
+        }, delayMs);
+        timer.unref();
+        this.timers.set(editorUrl, timer);
+    },
+
+    /**
+     * Fetch an editor's discovery now (joining a fetch already running) and
+     * schedule the next one; resolves to the discovery in use, or null
+     */
+    refresh(editorUrl) {
+        if (!this.inflight.has(editorUrl)) {
+            const running = this.fetch(editorUrl).finally(() => this.inflight.delete(editorUrl));
+            this.inflight.set(editorUrl, running);
+        }
+        return this.inflight.get(editorUrl);
+    },
+
+    async fetch(editorUrl) {
+        const state = this.state(editorUrl);
+        state.lastAttempt = new Date().toISOString();
+        try {
+            const discovery = await fetchDiscovery(editorUrl);
+            const previous = discoveryCache.get(editorUrl);
+            if (previous) this.compare(editorUrl, previous, discovery);
+            discoveryCache.set(editorUrl, discovery);
+            if (state.status !== 'ok' && state.status !== 'pending') {
+                console.log(`[Discovery] ${editorUrl} recovered after ${state.failures} failed attempt(s)`);
+            }
+            Object.assign(state, { status: 'ok', lastSuccess: state.lastAttempt, lastError: null, failures: 0 });
+            this.schedule(editorUrl, config.discoveryRefreshSeconds * 1000);
+        } catch (error) {
+            state.failures++;
+            state.lastError = error.message;
+            state.status = discoveryCache.has(editorUrl) ? 'stale' : 'unavailable';
+            const backoff = Math.min(DISCOVERY_RETRY_FIRST_MS * 2 ** (state.failures - 1), DISCOVERY_RETRY_MAX_MS);
+            const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+            console.error(`[Discovery] Error for ${editorUrl} (attempt ${state.failures}, ${state.status}, retry in ${Math.round(delay / 1000)}s):`, error.message);
+            this.schedule(editorUrl, delay);
+        }
+        return discoveryCache.get(editorUrl) || null;
+    },
+
+    /**
+     * Record what changed between two discoveries of an editor
+     */
+    compare(editorUrl, previous, current) {
+        const keyOf = proofKeys => proofKeyFingerprint(proofKeys?.current);
+        const extensions = discovery => Array.from(discovery.formats.keys()).sort().join(',');
+        const checks = [
+            ['urlPath', previous.urlPath, current.urlPath],
+            ['actionPaths', previous.actionPaths.join(','), current.actionPaths.join(',')],
+            ['proofKey', keyOf(previous.proofKeys), keyOf(current.proofKeys)],
+            ['formats', extensions(previous), extensions(current)]
+        ];
+        for (const [field, before, after] of checks) {
+            if (before === after) continue;
+            const change = { editorUrl, detectedAt: new Date().toISOString(), field, previous: before, current: after };
+            if (field === 'proofKey') {
+                change.rotated = Boolean(before) && keyOf({ current: current.proofKeys?.old }) === before;
+            }
+            this.changes.push(change);
+            console.warn(`[Discovery] ${editorUrl}: ${field} changed from ${before || '(none)'} to ${after || '(none)'}${change.rotated ? ' (key rotation)' : ''}`);
+        }
+        this.changes.splice(0, Math.max(0, this.changes.length - DISCOVERY_MAX_CHANGES));
+    },
+
+    /**
+     * Prefetch the discovery of the editor instances every tenant uses; others
+     * are fetched when first needed
+     */
+    async start() {
+        const urls = new Set();
+        await forEachTenant(() => editorUrlsInUse().forEach(url => urls.add(url)));
+        await Promise.all(Array.from(urls, url => this.refresh(url)));
+    },
+
+    describe(editorUrl) {
+        const state = this.state(editorUrl);
+        const discovery = discoveryCache.get(editorUrl);
+        return {
+            url: editorUrl,
+            ...state,
+            fetchedAt: discovery ? new Date(discovery.timestamp).toISOString() : null,
+            urlPath: discovery?.urlPath ?? null,
+            proofKey: proofKeyFingerprint(discovery?.proofKeys?.current),
+            formats: discovery?.formats.size ?? 0
+        };
+    }
+};
+
+/**
+ * Discovery of an editor: the last good copy (kept fresh in the background),
+ * fetched now if it was never read. null while it is unavailable.
+ */
+async function getDiscovery(editorUrl) {
+    const cached = discoveryCache.get(editorUrl);
+    if (cached) return cached;
+    // Failed editors are retried on their backoff schedule, not on every request
+    if (discoveryMonitor.status(editorUrl) === 'unavailable') return null;
+    return discoveryMonitor.refresh(editorUrl);
+}
+
+/**
+ * File formats the editors offer, from their discovery
+ *
+ * In each editor mode a document type is served by one editor (see
+ * getEditorUrlForType); that type's formats are the ones the editor's
+ * discovery lists for it. While an editor's discovery cannot be read, its
+ * type falls back to BUILTIN_FORMATS, which can be viewed and edited.
+ */
+const editorFormats = {
+    /**
+     * ext -> format for an editor mode, from cached discovery only
+     */
+    list(editorMode = config.editorMode) {
+        const formats = new Map();
+        for (const [documentType, extensions] of Object.entries(BUILTIN_FORMATS)) {
+            const discovered = discoveryCache.get(getEditorUrlForType(documentType, editorMode))?.formats;
+            if (discovered) {
+                for (const format of discovered.values()) {
+                    if (format.documentType === documentType && !formats.has(format.ext)) {
+                        formats.set(format.ext, format);
+                    }
+                }
+                continue;
+            }
+            for (const ext of extensions) {
+                if (!formats.has(ext)) {
+                    formats.set(ext, { ext, app: null, documentType, actions: {}, builtin: true });
+                }
+            }
+        }
+        return formats;
+    },
+
+    /**
+     * Like list(), after fetching any editor discovery not read yet
+     */
+    async load(editorMode = config.editorMode) {
+        const editorUrls = new Set(Object.keys(BUILTIN_FORMATS).map(type => getEditorUrlForType(type, editorMode)).filter(Boolean));
+        await Promise.all(Array.from(editorUrls, editorUrl => getDiscovery(editorUrl)));
+        return this.list(editorMode);
+    },
+
+    /**
+     * The format of a file name, or null when no editor handles it
+     */
+    lookup(filename, editorMode = config.editorMode) {
+        return this.list(editorMode).get(getFileExtension(filename)) || null;
+    },
+
+    actions(format) {
+        return format.builtin ? ['view', 'edit'] : Object.keys(format.actions);
+    },
+
+    canEdit(format) {
+        return this.actions(format).includes('edit');
+    },
+
+    /**
+     * The editor action to open a file with
+     * requested: an explicit action (view, edit, embedview); otherwise edit
+     * when the token may write and view when it may not. A view-only token
+     * can use the edit action (the editor opens read-only) and the other way
+     * round. Returns null when the format has no suitable action.
+     */
+    chooseAction(format, permissions, requested) {
+        const available = this.actions(format);
+        if (requested) {
+            return available.includes(requested) ? requested : null;
+        }
+        const preferred = permissions === 'view' ? ['view', 'edit'] : ['edit', 'view'];
+        return preferred.find(action => available.includes(action)) || null;
+    },
+
+    describe(format) {
+        return {
+            ext: format.ext,
+            documentType: format.documentType,
+            app: format.app,
+            actions: this.actions(format),
+            editable: this.canEdit(format),
+            source: format.builtin ? 'builtin' : 'discovery'
+        };
+    }
+};
+
+/**
+ * Browser URL of an editor action: the action's urlsrc on the editor's public
+ * URL, with its placeholders filled in and the WOPI parameters appended
+ */
+function actionUrl(action, editorPublicUrl, wopiSrc, accessToken) {
+    const url = new URL(expandUrlTemplate(action.urlsrc, {
+        UI_LLCC: 'en-US',
+        DC_LLCC: 'en-US',
+        EMBEDDED: action.name === 'embedview' ? 'true' : undefined
+    }));
+    const query = new URLSearchParams(url.search);
+    query.set('WOPISrc', wopiSrc);
+    query.set('access_token', accessToken);
+    query.set('lang', 'en');
+    // Add cache-busting timestamp to ensure fresh tokens are used
+    query.set('_t', String(Date.now()));
+    return `${editorPublicUrl}${url.pathname}?${query}`;
+}
+
+/**
+ * Browser URL of the editor for a document, and the backend serving it
+ * Returns { iframeSrc, backend: { pool, instance, preferredPool, reason, detail } },
+ * or { error, backend, discovery } when no instance can take the document or
+ * the instance's discovery is unavailable (discovery is null in the first case)
+ */
+async function buildIframeSrc(fileId, accessToken, filename, editorMode = config.editorMode, actionName = 'edit') {
+    const startTime = Date.now();
+    // Determine which editor instance to use based on file type and editor mode
+    const docType = getDocumentType(filename, editorMode);
+
+    // Every user of a document is sent to the same instance of the pool
+    const { node, preferredPool, reason, detail } = editorPool.route(fileId, docType, editorMode);
+    if (!node) {
+        console.error(`[Router] No editor for "${filename}" (${docType}): ${detail}`);
+        return {
+            error: `No editor is available for this document: ${detail}`,
+            backend: { pool: null, instance: null, preferredPool, reason, detail },
+            discovery: null
+        };
+    }
+    const backend = { pool: node.pool, instance: node.id, preferredPool, reason, detail };
+    const editorInternalUrl = node.url;
+    const editorPublicUrl = node.publicUrl;
+
+    const modeLabels = {
+        'teamsync-unified': 'TEAMSYNC UNIFIED',
+        'multi-editor': 'MULTI-EDITOR'
+    };
+    console.log(`[Router] Building iframe for "${filename}" (${docType}) - ${modeLabels[editorMode] || editorMode} MODE`);
+
+    console.log(`[Router]   Instance:     ${node.id} (${reason}: ${detail})`);
+    console.log(`[Router]   Internal URL: ${editorInternalUrl}`);
+    console.log(`[Router]   Public URL:   ${editorPublicUrl}`);
+
+    const discovery = await getDiscovery(editorInternalUrl);
+    const discoveryElapsed = Date.now() - startTime;
+    console.log(`[Router]   Discovery lookup: ${discoveryElapsed}ms`);
+    if (!discovery) {
+        console.error(`[Router] No discovery for ${node.id} (${editorInternalUrl}); not guessing an editor path`);
+        return {
+            error: `The editor ${node.id} is unavailable: its discovery cannot be read`,
+            backend,
+            discovery: discoveryMonitor.describe(editorInternalUrl)
+        };
+    }
+
+    // Use wopiCallbackUrl for the WOPISrc - this is what TeamSync Editor (inside Docker) calls back to
+    const wopiSrc = `${config.wopiCallbackUrl}/wopi/files/${fileId}`;
+
+    const action = discovery.formats?.get(getFileExtension(filename))?.actions[actionName];
+    console.log(`[Router] File "${filename}" (${docType}) action=${actionName}${action ? '' : ' (no discovery action, default editor path)'}`);
+
+    // Return the PUBLIC URL for the browser iframe
+    const iframeSrc = action
+        ? actionUrl(action, editorPublicUrl, wopiSrc, accessToken)
+        : `${editorPublicUrl}${discovery.urlPath}?WOPISrc=${encodeURIComponent(wopiSrc)}&access_token=${accessToken}&lang=en&_t=${Date.now()}`;
+    return { iframeSrc, backend };
+}
+
+module.exports = {
+    getDocumentType, maxFileSize, EDITOR_POOL_SETTINGS, splitUrls, editorPool, EDITOR_MODES,
+    editorRules, editorUrlsInUse, discoveryCache, discoveryMonitor, editorFormats, buildIframeSrc
+};
@@ -0,0 +1,315 @@
+/**
+ * Trash bin and folder tree
+ */
+
+const crypto = require('crypto');
+const { makeUniqueFileName } = require('./utils');
+const { forEachTenant, config, tenantFields } = require('./tenants');
+const { storage, findDocument, listDocuments } = require('./storage');
+const { documentLocks } = require('./locks');
+const { searchIndex } = require('./search');
+const { shareLinkService } = require('./share-links');
+
+// ============================================================================
+// Trash Bin
+// ============================================================================
+
+const trashService = {
+    /**
+     * Move a document to the trash
+     * Returns the trashed metadata, or null if the document does not exist
+     */
+    async moveToTrash(fileId, user) {
+        const doc = await findDocument(fileId);
+        if (!doc) return null;
+        documentLocks.delete(fileId);
+        const trashed = await storage.updateMetadata(fileId, {
+            deletedAt: new Date().toISOString(),
+            deletedBy: { id: user.id, name: user.name }
+        });
+        console.log(`[Trash] ${fileId} "${doc.name}" moved to trash by ${user.id}`);
+        return trashed;
+    },
+
+    /**
+     * List documents in the trash, most recently deleted first
+     */
+    async listTrash() {
+        const trashed = (await storage.list()).filter(doc => doc.deletedAt);
+        return trashed.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    },
+
+    /**
+     * Restore a document from the trash
+     * If a live document in the same folder has taken its name meanwhile,
+     * the restored one is renamed
+     */
+    async restore(fileId, user) {
+        const doc = await storage.metadata(fileId);
+        if (!doc?.deletedAt) return null;
+        // Restore into the original folder, or the root if that folder is gone
+        const folderId = await folderService.get(doc.folderId) ? (doc.folderId || ROOT_FOLDER_ID) : ROOT_FOLDER_ID;
+        const liveNames = new Set((await listDocuments())
+            .filter(d => (d.folderId || ROOT_FOLDER_ID) === folderId)
+            .map(d => d.name));
+        const restored = await storage.updateMetadata(fileId, {
+            name: makeUniqueFileName(doc.name, liveNames),
+            folderId,
+            deletedAt: null,
+            deletedBy: null
+        });
+        console.log(`[Trash] ${fileId} "${restored.name}" restored by ${user.id}`);
+        return restored;
+    },
+
+    /**
+     * Permanently delete a trashed document and all of its versions
+     */
+    async purge(fileId) {
+        const doc = await storage.metadata(fileId);
+        if (!doc?.deletedAt) return false;
+        await storage.delete(fileId);
+        await searchIndex.remove(fileId);
+        await shareLinkService.removeForDocument(fileId);
+        console.log(`[Trash] ${fileId} "${doc.name}" purged`);
+        return true;
+    },
+
+    /**
+     * Purge documents that have been in the trash longer than the retention period
+     */
+    async purgeExpired() {
+        if (config.trashRetentionDays <= 0) return 0;
+        const cutoff = Date.now() - config.trashRetentionDays * 24 * 60 * 60 * 1000;
+        let purged = 0;
+        for (const doc of await this.listTrash()) {
+            if (Date.parse(doc.deletedAt) >= cutoff) continue;
+            try {
+                if (await this.purge(doc.id)) purged++;
+            } catch (error) {
+                // Keep purging the others; this one is retried on the next run
+                console.error(`[Trash] Failed to purge ${doc.id} "${doc.name}":`, error.message);
+            }
+        }
+        return purged;
+    }
+};
+
+// Purge expired trash once an hour
+setInterval(() => {
+    forEachTenant(() => trashService.purgeExpired()).catch(error => console.error('[Trash] Purge failed:', error));
+}, 60 * 60 * 1000).unref();
+
+// ============================================================================
+// Folders
+// ============================================================================
+
+// Documents without a folderId live in the root folder
+const ROOT_FOLDER_ID = 'root';
+const ROOT_FOLDER = {
+    id: ROOT_FOLDER_ID,
+    name: 'Documents',
+    parentId: null,
+    ownerId: null,
+    permissions: null
+};
+
+// Roles a folder permissions map can grant
+const FOLDER_ROLES = ['view', 'edit'];
+
+/**
+ * Validate a folder permissions map from a request body
+ * Accepts null or a plain object of userId -> 'view' | 'edit'; arrays, class
+ * instances and other values are refused.
+ * Returns { permissions } (a fresh copy, or null to inherit) or { error }
+ */
+function parseFolderPermissions(input) {
+    if (input === null) return { permissions: null };
+    const prototype = typeof input === 'object' && !Array.isArray(input) ? Object.getPrototypeOf(input) : undefined;
+    if (prototype !== Object.prototype && prototype !== null) {
+        return { error: "Permissions must be null or a map of userId to 'view' or 'edit'" };
+    }
+
+    const permissions = {};
+    for (const [userId, role] of Object.entries(input)) {
+        if (!userId.trim() || userId === '__proto__') {
+            return { error: `Invalid user ID in permissions: "${userId}"` };
+        }
+        if (!FOLDER_ROLES.includes(role)) {
+            return { error: `Invalid role for ${userId}: ${JSON.stringify(role)} (expected 'view' or 'edit')` };
+        }
+        permissions[userId] = role;
+    }
+    return { permissions };
+}
+
+/**
+ * Folder tree, persisted as the "folders" storage state entry
+ *
+ * Folder shape: { id, name, parentId, ownerId, createdAt, lastModified, permissions, policy }
+ *
+ * permissions is either null (inherit from the parent folder) or a map of
+ * userId -> 'view' | 'edit'. The nearest folder with a permissions map decides
+ * what a user may do with every folder and document below it; the folder owner
+ * always has 'edit'. Without any permissions map up to the root, access is
+ * unrestricted.
+ */
+const folderService = {
+    folders: null, // folderId -> folder, loaded lazily
+
+    async load() {
+        if (!this.folders) {
+            const saved = await storage.readState('folders');
+            this.folders = new Map((saved || []).map(folder => [folder.id, folder]));
+        }
+        return this.folders;
+    },
+
+    async save() {
+        await storage.writeState('folders', Array.from(this.folders.values()));
+    },
+
+    /**
+     * Get a folder by ID (the root folder included)
+     */
+    async get(folderId) {
+        if (!folderId || folderId === ROOT_FOLDER_ID) return ROOT_FOLDER;
+        return (await this.load()).get(folderId) || null;
+    },
+
+    /**
+     * List the direct subfolders of a folder, sorted by name
+     */
+    async children(parentId) {
+        const folders = Array.from((await this.load()).values());
+        return folders
+            .filter(folder => folder.parentId === (parentId || ROOT_FOLDER_ID))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Get the path from the root to a folder, root first
+     */
+    async ancestors(folderId) {
+        const path = [];
+        let folder = await this.get(folderId);
+        while (folder) {
+            path.unshift(folder);
+            folder = folder.parentId ? await this.get(folder.parentId) : null;
+        }
+        return path;
+    },
+
+    /**
+     * IDs of a folder and all folders below it
+     */
+    async descendantIds(folderId) {
+        const ids = [folderId];
+        for (let i = 0; i < ids.length; i++) {
+            (await this.children(ids[i])).forEach(child => ids.push(child.id));
+        }
+        return ids;
+    },
+
+    /**
+     * The nearest folder (the folder itself or an ancestor) with a permissions map,
+     * or null when access to the folder is unrestricted
+     */
+    async restrictingFolder(folderId) {
+        const path = await this.ancestors(folderId || ROOT_FOLDER_ID);
+        return path.reverse().find(folder => folder.permissions) || null;
+    },
+
+    /**
+     * Resolve a user's permission on a folder: 'edit', 'view' or null (no access)
+     */
+    async effectivePermission(folderId, user) {
+        const folder = await this.restrictingFolder(folderId);
+        if (!folder) return 'edit';
+        if (folder.ownerId === user.id) return 'edit';
+        return Object.hasOwn(folder.permissions, user.id) ? folder.permissions[user.id] : null;
+    },
+
+    async nameTaken(parentId, name, exceptId = null) {
+        return (await this.children(parentId)).some(folder => folder.name === name && folder.id !== exceptId);
+    },
+
+    async create(name, parentId, user) {
+        const folders = await this.load();
+        const folder = {
+            id: `folder-${crypto.randomBytes(8).toString('hex')}`,
+            name,
+            parentId: parentId || ROOT_FOLDER_ID,
+            ownerId: user.id,
+            createdAt: new Date().toISOString(),
+            lastModified: new Date().toISOString(),
+            permissions: null,
+            policy: null
+        };
+        folders.set(folder.id, folder);
+        await this.save();
+        console.log(`[Folders] Created "${name}" (${folder.id}) in ${folder.parentId} by ${user.id}`);
+        return folder;
+    },
+
+    async update(folderId, patch) {
+        const folders = await this.load();
+        const folder = folders.get(folderId);
+        const updated = { ...folder, ...patch, id: folderId, lastModified: new Date().toISOString() };
+        folders.set(folderId, updated);
+        await this.save();
+        return updated;
+    },
+
+    /**
+     * Check whether moving a folder under newParentId would create a cycle
+     */
+    async wouldCreateCycle(folderId, newParentId) {
+        return (await this.descendantIds(folderId)).includes(newParentId);
+    },
+
+    /**
+     * Live documents in a folder and all folders below it
+     */
+    async documents(folderId) {
+        const folderIds = await this.descendantIds(folderId);
+        return (await listDocuments()).filter(doc => folderIds.includes(doc.folderId));
+    },
+
+    /**
+     * Delete a folder and its subfolders; documents inside are moved to the trash
+     * The caller checks documentAccess.deleteRefusal for each document first.
+     */
+    async delete(folderId, user) {
+        const folders = await this.load();
+        const folderIds = await this.descendantIds(folderId);
+        const docs = await this.documents(folderId);
+
+        for (const doc of docs) {
+            await trashService.moveToTrash(doc.id, user);
+        }
+        folderIds.forEach(id => folders.delete(id));
+        await this.save();
+        console.log(`[Folders] Deleted ${folderId} (${folderIds.length} folder(s), ${docs.length} document(s) trashed) by ${user.id}`);
+        return { folders: folderIds.length, documents: docs.length };
+    }
+};
+
+tenantFields(folderService, ['folders']);
+
+// WOPI token permissions, lowest first ('comment' allows saving comments only)
+const TOKEN_PERMISSIONS = ['view', 'comment', 'edit'];
+
+/**
+ * Cap a requested token permission by what the user is allowed
+ * Returns null when the user has no access at all
+ */
+function capPermission(requested, allowed) {
+    if (!allowed) return null;
+    return TOKEN_PERMISSIONS.indexOf(requested) <= TOKEN_PERMISSIONS.indexOf(allowed) ? requested : allowed;
+}
+
+module.exports = {
+    trashService, ROOT_FOLDER_ID, ROOT_FOLDER, parseFolderPermissions, folderService, TOKEN_PERMISSIONS,
+    capPermission
+};
@@ -0,0 +1,115 @@
+/**
+ * WOPI document locks
+ */
+
+const { forEachTenant, config, tenantValue, tenantFields } = require('./tenants');
+const { storage } = require('./storage');
+
+// ============================================================================
+// Document Locks
+// ============================================================================
+
+const documentLocks = tenantValue(() => new Map()); // fileId -> { lockId, userId, userName, timestamp }
+const MAX_FORCED_RELEASE_RECORDS = 500;
+
+/**
+ * Audit trail of forced lock releases, persisted as the "lock-releases"
+ * storage state entry so it survives restarts
+ * Only the last MAX_FORCED_RELEASE_RECORDS are kept.
+ */
+const forcedLockReleases = {
+    records: [], // newest last
+
+    async load() {
+        this.records = (await storage.readState('lock-releases')) || [];
+    },
+
+    /**
+     * Add a record and save the trail; the record is dropped again if saving fails
+     */
+    async add(record) {
+        this.records.push(record);
+        this.records.splice(0, Math.max(0, this.records.length - MAX_FORCED_RELEASE_RECORDS));
+        try {
+            await storage.writeState('lock-releases', this.records);
+        } catch (error) {
+            this.records = this.records.filter(other => other !== record);
+            throw error;
+        }
+    }
+};
+
+tenantFields(forcedLockReleases, ['records']);
+
+const lockService = {
+    /**
+     * Get the lock for a file, ignoring (and clearing) a lock that has expired
+     * A crashed editor never unlocks, so stale locks must not block later saves
+     */
+    getActiveLock(fileId) {
+        const lock = documentLocks.get(fileId);
+        if (lock && this.isExpired(lock)) {
+            documentLocks.delete(fileId);
+            console.log(`[Locks] Expired lock cleared: ${fileId} (held by ${lock.userId})`);
+            return undefined;
+        }
+        return lock;
+    },
+
+    isExpired(lock, now = Date.now()) {
+        return now - lock.timestamp >= config.lockExpirySeconds * 1000;
+    },
+
+    expiresAt(lock) {
+        return new Date(lock.timestamp + config.lockExpirySeconds * 1000).toISOString();
+    },
+
+    /**
+     * Remove every expired lock - run periodically by the lock sweeper
+     */
+    sweepExpired() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [fileId, lock] of documentLocks) {
+            if (this.isExpired(lock, now)) {
+                documentLocks.delete(fileId);
+                removed++;
+                console.log(`[Locks] Sweeper released expired lock: ${fileId} (held by ${lock.userId})`);
+            }
+        }
+        return removed;
+    },
+
+    /**
+     * Force-release a lock on behalf of an admin and record it
+     * Resolves to the release record, or null if the file was not locked. The
+     * lock is only released once the record has been saved.
+     */
+    async forceRelease(fileId, admin, reason) {
+        const lock = this.getActiveLock(fileId);
+        if (!lock) return null;
+
+        const record = {
+            fileId,
+            lockId: lock.lockId,
+            heldBy: { id: lock.userId, name: lock.userName },
+            lockedAt: new Date(lock.timestamp).toISOString(),
+            releasedBy: { id: admin.id, name: admin.name },
+            releasedAt: new Date().toISOString(),
+            reason: reason || null
+        };
+        await forcedLockReleases.add(record);
+        if (documentLocks.get(fileId) === lock) documentLocks.delete(fileId);
+        console.warn(`[Locks] Lock on ${fileId} force-released by ${admin.id} (held by ${lock.userId})${reason ? `: ${reason}` : ''}`);
+        return record;
+    }
+};
+
+// Background sweeper so stale locks disappear even if nobody touches the file
+setInterval(() => {
+    forEachTenant(() => lockService.sweepExpired()).catch(error => console.error('[Locks] Sweep failed:', error));
+}, config.lockSweepIntervalSeconds * 1000).unref();
+
+module.exports = {
+    documentLocks, forcedLockReleases, lockService
+};
@@ -0,0 +1,214 @@
+/**
+ * Document policies (download/print/copy restrictions and watermarks)
+ */
+
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const { getFileExtension } = require('./utils');
+const { tokenRevocations } = require('./revocations');
+const { ROOT_FOLDER_ID, folderService } = require('./folders');
+
+// ============================================================================
+// Document Policies
+// ============================================================================
+
+// Restrictions a policy can switch on
+const POLICY_FLAGS = ['noDownload', 'noPrint', 'noCopy', 'commentOnly'];
+
+// Placeholders a watermark template can use, filled in from the WOPI token
+const WATERMARK_PLACEHOLDERS = ['userName', 'userEmail', 'userId', 'date', 'time'];
+
+/**
+ * Check a policy from a request body
+ * Policy shape: { noDownload?, noPrint?, noCopy?, commentOnly?, exportFormats?, watermark? }
+ * exportFormats lists the extensions a document may be exported to ("Save As"
+ * into storage); [] forbids exporting, null or missing allows any format.
+ * watermark is a template such as "{userName} {userEmail} {date}".
+ * Returns { policy } (policy null for "no restrictions") or { error }
+ */
+function parsePolicy(input) {
+    if (input === null) return { policy: null };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'policy must be an object or null' };
+    }
+
+    const unknown = Object.keys(input).filter(key => !POLICY_FLAGS.includes(key) && key !== 'exportFormats' && key !== 'watermark');
+    if (unknown.length > 0) {
+        return { error: `Unknown policy field(s): ${unknown.join(', ')}` };
+    }
+
+    const policy = {};
+    for (const flag of POLICY_FLAGS) {
+        if (input[flag] === undefined) continue;
+        if (typeof input[flag] !== 'boolean') {
+            return { error: `${flag} must be true or false` };
+        }
+        if (input[flag]) policy[flag] = true;
+    }
+
+    if (input.exportFormats !== undefined && input.exportFormats !== null) {
+        const valid = Array.isArray(input.exportFormats) &&
+            input.exportFormats.every(format => typeof format === 'string' && /^\.?[a-z0-9]{1,10}$/i.test(format));
+        if (!valid) {
+            return { error: 'exportFormats must be a list of file extensions, e.g. ["pdf"]' };
+        }
+        policy.exportFormats = Array.from(new Set(input.exportFormats.map(format => format.replace(/^\./, '').toLowerCase())));
+    }
+
+    if (input.watermark !== undefined && input.watermark !== null) {
+        const template = typeof input.watermark === 'string' ? input.watermark.trim() : '';
+        if (!template || template.length > 200) {
+            return { error: 'watermark must be a template of 1-200 characters' };
+        }
+        const unknownPlaceholders = Array.from(template.matchAll(/\{(\w+)\}/g), match => match[1])
+            .filter(name => !WATERMARK_PLACEHOLDERS.includes(name));
+        if (unknownPlaceholders.length > 0) {
+            return { error: `Unknown watermark placeholder(s): ${unknownPlaceholders.map(name => `{${name}}`).join(', ')}; use ${WATERMARK_PLACEHOLDERS.map(name => `{${name}}`).join(' ')}` };
+        }
+        policy.watermark = template;
+    }
+
+    return { policy: Object.keys(policy).length > 0 ? policy : null };
+}
+
+/**
+ * Combine policies (null entries are skipped): a restriction set by any of them
+ * applies, and an export format must be allowed by every one that lists formats
+ * Policies are given outermost first, so the last watermark template wins.
+ * Returns null when nothing is restricted
+ */
+function mergePolicies(...policies) {
+    const merged = {};
+    for (const policy of policies.filter(Boolean)) {
+        POLICY_FLAGS.filter(flag => policy[flag]).forEach(flag => { merged[flag] = true; });
+        if (policy.exportFormats) {
+            merged.exportFormats = merged.exportFormats
+                ? merged.exportFormats.filter(format => policy.exportFormats.includes(format))
+                : [...policy.exportFormats];
+        }
+        if (policy.watermark) {
+            merged.watermark = policy.watermark;
+        }
+    }
+    return Object.keys(merged).length > 0 ? merged : null;
+}
+
+/**
+ * Fill in a watermark template from WOPI token claims
+ * {date} and {time} are when the watermark is rendered, in UTC
+ */
+function renderWatermark(template, claims, now = new Date()) {
+    const values = {
+        userName: claims.userName || '',
+        userEmail: claims.userEmail || '',
+        userId: claims.userId || '',
+        date: now.toISOString().slice(0, 10),
+        time: `${now.toISOString().slice(11, 16)} UTC`
+    };
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Stamp a watermark diagonally across every page of a PDF
+ * The standard PDF fonts only cover Latin-1, other characters become "?".
+ */
+async function stampPdfWatermark(content, text) {
+    const pdf = await PDFDocument.load(content);
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const printable = text.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+    for (const page of pdf.getPages()) {
+        const { width, height } = page.getSize();
+        const angle = Math.atan2(height, width);
+        // Fill most of the diagonal, but never more than 60pt high
+        const size = Math.min(60, Math.hypot(width, height) * 0.8 / font.widthOfTextAtSize(printable, 1));
+        const textWidth = font.widthOfTextAtSize(printable, size);
+        const raise = size * 0.35;
+
+        // drawText rotates around the start of the baseline: shift it so the text is centred on the page
+        page.drawText(printable, {
+            x: width / 2 - (textWidth / 2) * Math.cos(angle) + raise * Math.sin(angle),
+            y: height / 2 - (textWidth / 2) * Math.sin(angle) - raise * Math.cos(angle),
+            size,
+            font,
+            color: rgb(0.5, 0.5, 0.5),
+            opacity: 0.3,
+            rotate: degrees(angle * 180 / Math.PI)
+        });
+    }
+
+    return Buffer.from(await pdf.save());
+}
+
+/**
+ * The WOPI token permission left once a policy is applied
+ * (comment-only documents are never opened for editing)
+ */
+function applyPolicyToPermission(permissions, policy) {
+    return policy?.commentOnly && permissions === 'edit' ? 'comment' : permissions;
+}
+
+/**
+ * Restricted rights on documents
+ *
+ * Folders and documents can carry a policy. A document is subject to its own
+ * policy and those of every folder above it, so a restricted folder (e.g. one
+ * holding compliance-sensitive files) restricts everything inside it. The
+ * effective policy is copied into each WOPI token as the "policy" claim when
+ * the token is issued, and CheckFileInfo turns it into the editor's
+ * restrictions. Restrictions apply to every user, owners included.
+ *
+ * A watermark is rendered per user into CheckFileInfo's WatermarkText. The
+ * editor draws it over the document but leaves it out of downloaded files, so
+ * watermarked documents can only be exported through PutRelativeFile, which
+ * stamps the watermark into PDFs.
+ */
+const documentPolicy = {
+    /**
+     * Policy inherited from the folders above a document, or null
+     */
+    async inherited(folderId) {
+        const folders = await folderService.ancestors(folderId || ROOT_FOLDER_ID);
+        return mergePolicies(...folders.map(folder => folder.policy));
+    },
+
+    /**
+     * Policy in force for a document, or null
+     */
+    async effective(doc) {
+        return mergePolicies(await this.inherited(doc.folderId), doc.policy);
+    },
+
+    /**
+     * Whether a document may be exported to a file with this name
+     */
+    allowsExport(policy, filename) {
+        return !policy?.exportFormats || policy.exportFormats.includes(getFileExtension(filename));
+    },
+
+    async describe(doc) {
+        const inherited = await this.inherited(doc.folderId);
+        return {
+            id: doc.id,
+            policy: doc.policy || null,
+            inherited,
+            effective: mergePolicies(inherited, doc.policy)
+        };
+    },
+
+    /**
+     * End the editor sessions of documents whose policy changed: their tokens
+     * still carry the old restrictions
+     */
+    async revokeTokens(fileIds, by) {
+        for (const fileId of fileIds) {
+            await tokenRevocations.revoke({ fileId }, by, 'Document policy changed');
+        }
+    }
+};
+
+module.exports = {
+    parsePolicy, mergePolicies, renderWatermark, stampPdfWatermark, applyPolicyToPermission,
+    documentPolicy
+};
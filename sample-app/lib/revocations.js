@@ -0,0 +1,176 @@
+/**
+ * Editor sessions and access token revocation
+ */
+
+const { config, tenantFields } = require('./tenants');
+const { storage } = require('./storage');
+const { lockService } = require('./locks');
+
+// ============================================================================
+// Token Revocation
+// ============================================================================
+
+/**
+ * Live editor sessions, as seen through the WOPI calls their tokens make
+ * jti -> { jti, userId, userName, fileId, groups, linkId, iat, exp, firstSeen, lastSeen }
+ * Kept in memory only.
+ */
+const editorSessions = {
+    sessions: new Map(),
+
+    touch(payload) {
+        if (!payload.jti || !payload.fileId) return;
+        const now = new Date().toISOString();
+        const session = this.sessions.get(payload.jti);
+        if (session) {
+            session.lastSeen = now;
+            return;
+        }
+        this.sessions.set(payload.jti, {
+            jti: payload.jti,
+            userId: payload.userId,
+            userName: payload.userName,
+            fileId: payload.fileId,
+            groups: payload.groups || [],
+            linkId: payload.linkId || null,
+            iat: payload.iat,
+            exp: payload.exp,
+            firstSeen: now,
+            lastSeen: now
+        });
+    },
+
+    list() {
+        const now = Math.floor(Date.now() / 1000);
+        for (const [jti, session] of this.sessions) {
+            if (session.exp <= now) this.sessions.delete(jti);
+        }
+        return Array.from(this.sessions.values());
+    },
+
+    /**
+     * End the sessions matching a predicate: forget them and release the locks
+     * they hold, so the editor can no longer save. Their next WOPI call fails
+     * because the token is revoked, and the host page closes the editor.
+     * Resolves to the number of sessions ended.
+     */
+    async end(predicate, by, reason) {
+        let ended = 0;
+        for (const session of this.list()) {
+            if (!predicate(session)) continue;
+            this.sessions.delete(session.jti);
+            const lock = lockService.getActiveLock(session.fileId);
+            if (lock && lock.userId === session.userId) {
+                await lockService.forceRelease(session.fileId, by, reason || 'Token revoked');
+            }
+            ended++;
+        }
+        return ended;
+    }
+};
+
+tenantFields(editorSessions, ['sessions']);
+
+// Token claims a revocation rule can match on
+const REVOCATION_RULE_FIELDS = ['userId', 'fileId', 'group', 'linkId'];
+
+/**
+ * Revoked WOPI tokens, persisted as the "token-revocations" storage state entry
+ *
+ * Every WOPI token carries a jti. validateWopiToken rejects a token when its jti
+ * has been revoked, or when a revocation rule matches it: every field set on
+ * the rule (userId, fileId, group, linkId) matches the token's claims and the
+ * token was issued at or before the rule's revokedAt (to the second, so a token
+ * issued in the same second as the revocation is rejected too). Rules revoke
+ * whole sets of tokens - all of a user's, all for a document, a share link's
+ * guests - without knowing their jtis.
+ *
+ * Login sessions (app_session cookies) carry the same claims and are checked
+ * against the same entries.
+ *
+ * Entries are dropped once every token they could match has expired. Everything
+ * is held in memory so token validation stays synchronous.
+ */
+const tokenRevocations = {
+    jtis: new Map(), // jti -> exp (seconds)
+    rules: [],       // { userId?, fileId?, group?, linkId?, revokedAt, revokedBy, reason }
+
+    async load() {
+        const saved = await storage.readState('token-revocations');
+        this.jtis = new Map(Object.entries(saved?.jtis || {}));
+        this.rules = saved?.rules || [];
+        this.prune();
+    },
+
+    async save() {
+        this.prune();
+        await storage.writeState('token-revocations', {
+            jtis: Object.fromEntries(this.jtis),
+            rules: this.rules
+        });
+    },
+
+    prune() {
+        const now = Date.now();
+        for (const [jti, exp] of this.jtis) {
+            if (exp * 1000 <= now) this.jtis.delete(jti);
+        }
+        // Login sessions can outlive WOPI tokens, so rules last as long as the longer of the two
+        const lifetime = Math.max(config.tokenTtlSeconds, config.sessionTtlSeconds) * 1000;
+        this.rules = this.rules.filter(rule => Date.parse(rule.revokedAt) + lifetime > now);
+    },
+
+    matches(rule, claims) {
+        return REVOCATION_RULE_FIELDS.every(field => {
+            if (!rule[field]) return true;
+            if (field === 'group') return (claims.groups || []).includes(rule.group);
+            return claims[field] === rule[field];
+        });
+    },
+
+    isRevoked(payload) {
+        if (payload.jti && this.jtis.has(payload.jti)) return true;
+        return this.rules.some(rule =>
+            this.matches(rule, payload) && payload.iat <= Date.parse(rule.revokedAt) / 1000);
+    },
+
+    /**
+     * Revoke a single token and end its session
+     * exp (seconds) defaults to the live session's, or the latest a WOPI token can expire
+     */
+    async revokeToken(jti, by, reason, exp) {
+        const session = editorSessions.sessions.get(jti);
+        exp = exp || (session ? session.exp : Math.floor(Date.now() / 1000) + config.tokenTtlSeconds);
+        this.jtis.set(jti, exp);
+        await this.save();
+        const sessionsEnded = await editorSessions.end(candidate => candidate.jti === jti, by, reason);
+        console.warn(`[Revocation] Token ${jti} revoked by ${by.id}${reason ? `: ${reason}` : ''}`);
+        return { jti, sessionsEnded };
+    },
+
+    /**
+     * Revoke every token matching the given claims that was issued until now,
+     * and end the matching live sessions
+     * match: any of { userId, fileId, group, linkId }
+     */
+    async revoke(match, by, reason) {
+        const rule = {};
+        REVOCATION_RULE_FIELDS.filter(field => match[field]).forEach(field => { rule[field] = match[field]; });
+        rule.revokedAt = new Date().toISOString();
+        rule.revokedBy = by.id;
+        rule.reason = reason || null;
+
+        this.rules.push(rule);
+        await this.save();
+        const sessionsEnded = await editorSessions.end(session => this.matches(rule, session), by, reason);
+        const described = REVOCATION_RULE_FIELDS.filter(field => rule[field]).map(field => `${field}=${rule[field]}`).join(' ');
+        console.warn(`[Revocation] Tokens revoked (${described}) by ${by.id}, ${sessionsEnded} session(s) ended${reason ? `: ${reason}` : ''}`);
+        return { rule, sessionsEnded };
+    }
+};
+
+tenantFields(tokenRevocations, ['jtis', 'rules']);
+
+module.exports = {
+    editorSessions, tokenRevocations
+};
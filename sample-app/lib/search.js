@@ -0,0 +1,388 @@
+/**
+ * Full-text search over document contents
+ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { getFileExtension, decodeXmlEntities } = require('./utils');
+const { config, tenantFields } = require('./tenants');
+const { storage, listDocuments } = require('./storage');
+
+// ============================================================================
+// Full-Text Search
+// ============================================================================
+
+/**
+ * Collect the text runs of an OOXML part, one line per paragraph
+ * runTag is the text element (w:t, a:t or t), paragraphTag the element that ends a line
+ */
+function extractOoxmlText(xml, runTag, paragraphTag) {
+    const runPattern = new RegExp(`<${runTag}(?:\\s[^>]*)?>([^<]*)</${runTag}>`, 'g');
+    return xml.split(`</${paragraphTag}>`)
+        .map(paragraph => Array.from(paragraph.matchAll(runPattern), match => decodeXmlEntities(match[1])).join(''))
+        .filter(line => line.trim())
+        .join('\n');
+}
+
+/**
+ * Flatten an ODF content.xml: paragraphs and headings become lines, all markup is dropped
+ */
+function extractOdfText(xml) {
+    const text = xml
+        .replace(/<\/text:(p|h)>/g, '\n')
+        .replace(/<text:(s|tab|line-break)(\s[^>]*)?\/>/g, ' ')
+        .replace(/<[^>]+>/g, '');
+    return decodeXmlEntities(text).split('\n').filter(line => line.trim()).join('\n');
+}
+
+/**
+ * Read the zip entries whose names match a pattern, in natural order (slide2 before slide10)
+ */
+async function readZipEntries(zip, pattern) {
+    const names = Object.keys(zip.files)
+        .filter(name => pattern.test(name))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return Promise.all(names.map(name => zip.file(name).async('string')));
+}
+
+/**
+ * Extract the plain text of a document for indexing
+ * Supports OOXML (docx/xlsx/pptx), ODF (odt/ods/odp), txt/csv and rtf;
+ * legacy binary formats (doc/xls/ppt) yield no text
+ */
+async function extractDocumentText(filename, content) {
+    const ext = getFileExtension(filename);
+
+    switch (ext) {
+        case 'txt':
+        case 'csv':
+            return content.toString('utf8');
+
+        case 'rtf':
+            return content.toString('latin1')
+                .replace(/\\par[d]?/g, '\n')
+                .replace(/\{\\\*[^{}]*\}/g, '')
+                .replace(/\\'([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+                .replace(/\\[a-zA-Z]+-?\d* ?/g, '')
+                .replace(/[{}]/g, '');
+
+        case 'docx': {
+            const zip = await JSZip.loadAsync(content);
+            const parts = await readZipEntries(zip, /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/);
+            return parts.map(xml => extractOoxmlText(xml, 'w:t', 'w:p')).join('\n');
+        }
+
+        case 'xlsx': {
+            const zip = await JSZip.loadAsync(content);
+            // Cell text lives in the shared string table, or inline in the sheets
+            const parts = await readZipEntries(zip, /^xl\/(sharedStrings|worksheets\/sheet\d+)\.xml$/);
+            return parts.map(xml => extractOoxmlText(xml, 't', xml.includes('<sst') ? 'si' : 'is')).join('\n');
+        }
+
+        case 'pptx': {
+            const zip = await JSZip.loadAsync(content);
+            const parts = await readZipEntries(zip, /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/);
+            return parts.map(xml => extractOoxmlText(xml, 'a:t', 'a:p')).join('\n');
+        }
+
+        case 'odt':
+        case 'ods':
+        case 'odp': {
+            const zip = await JSZip.loadAsync(content);
+            const contentXml = zip.file('content.xml');
+            return contentXml ? extractOdfText(await contentXml.async('string')) : '';
+        }
+
+        default:
+            return '';
+    }
+}
+
+/**
+ * Split text into lowercase index terms, ignoring accents and punctuation
+ */
+function tokenize(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 1);
+}
+
+// Delay before index changes are persisted, so a burst of saves is written once
+const SEARCH_SAVE_DELAY_MS = 1000;
+
+// Formats extractDocumentText reads text from; other documents are indexed by name only
+const TEXT_FORMATS = new Set(['txt', 'csv', 'rtf', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp']);
+
+/**
+ * Count how often each term occurs in a text
+ */
+function termFrequencies(text) {
+    const frequencies = {};
+    for (const term of tokenize(text)) {
+        frequencies[term] = (frequencies[term] || 0) + 1;
+    }
+    return frequencies;
+}
+
+/**
+ * Inverted index over document names and extracted content
+ *
+ * The "search-index" storage state entry holds each document's name, content
+ * hash and term frequencies; the extracted text is stored per document
+ * ("search-text-<fileId>") and only read back for snippets. The term ->
+ * { fileId -> frequency } postings are built from the term frequencies in
+ * memory on first use. Documents are (re)indexed in the background after each
+ * save, and index changes are written at most once per SEARCH_SAVE_DELAY_MS;
+ * anything lost to a crash in between is re-indexed on startup by indexStale.
+ */
+const searchIndex = {
+    entries: null, // fileId -> { name, hash, terms, indexedAt }
+    postings: new Map(), // term -> Map(fileId -> frequency)
+    documentTerms: new Map(), // fileId -> terms in postings, so removal never scans the whole index
+    queue: Promise.resolve(),
+    saving: Promise.resolve(),
+    saveTimer: null,
+
+    async load() {
+        if (!this.entries) {
+            const saved = await storage.readState('search-index');
+            // Entries from before term frequencies were stored are re-indexed by indexStale
+            this.entries = new Map(Object.entries(saved || {}).filter(([, entry]) => entry.terms));
+            for (const [fileId, entry] of this.entries) {
+                this.addPostings(fileId, entry);
+            }
+        }
+        return this.entries;
+    },
+
+    save() {
+        // Serialize writes so an older snapshot never overwrites a newer one
+        this.saving = this.saving
+            .then(() => storage.writeState('search-index', Object.fromEntries(this.entries)))
+            .catch(error => console.error('[Search] Failed to save index:', error.message));
+        return this.saving;
+    },
+
+    /**
+     * Persist the index after SEARCH_SAVE_DELAY_MS, batching the changes made meanwhile
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SEARCH_SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    },
+
+    /**
+     * Write pending index changes now
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save();
+        }
+        return this.saving;
+    },
+
+    addPostings(fileId, entry) {
+        const terms = new Map(Object.entries(entry.terms));
+        for (const [term, frequency] of Object.entries(termFrequencies(entry.name))) {
+            terms.set(term, (terms.get(term) || 0) + frequency);
+        }
+        for (const [term, frequency] of terms) {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(fileId, frequency);
+        }
+        this.documentTerms.set(fileId, Array.from(terms.keys()));
+    },
+
+    removePostings(fileId) {
+        for (const term of this.documentTerms.get(fileId) || []) {
+            const docs = this.postings.get(term);
+            if (docs?.delete(fileId) && docs.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.documentTerms.delete(fileId);
+    },
+
+    /**
+     * Read a stored document for indexing without buffering more than needed
+     * Returns { hash, content }; content is null for formats without text and
+     * for documents above the search size limit
+     */
+    async readDocument(doc) {
+        const hash = doc.versions?.[doc.versions.length - 1]?.hash || null;
+        const extractable = TEXT_FORMATS.has(getFileExtension(doc.name)) && doc.size <= config.searchMaxFileSize;
+        if (hash && !extractable) {
+            return { hash, content: null };
+        }
+
+        const stored = await storage.getStream(doc.id);
+        if (!stored) throw new Error('Document content not found');
+        const digest = crypto.createHash('sha256');
+        const chunks = [];
+        for await (const chunk of stored.stream) {
+            digest.update(chunk);
+            if (extractable) chunks.push(chunk);
+        }
+        return { hash: digest.digest('hex'), content: extractable ? Buffer.concat(chunks) : null };
+    },
+
+    /**
+     * Extract and index a document's content (read from storage if not given)
+     */
+    async indexDocument(doc, content) {
+        const entries = await this.load();
+        let hash;
+        if (content) {
+            hash = crypto.createHash('sha256').update(content).digest('hex');
+            if (content.length > config.searchMaxFileSize) content = null;
+        } else {
+            ({ hash, content } = await this.readDocument(doc));
+        }
+        const text = content
+            ? (await extractDocumentText(doc.name, content)).slice(0, config.searchMaxTextLength)
+            : '';
+        const entry = {
+            name: doc.name,
+            hash,
+            terms: termFrequencies(text),
+            indexedAt: new Date().toISOString()
+        };
+
+        await (text
+            ? storage.writeState(`search-text-${doc.id}`, text)
+            : storage.deleteState(`search-text-${doc.id}`));
+        this.removePostings(doc.id);
+        entries.set(doc.id, entry);
+        this.addPostings(doc.id, entry);
+        this.scheduleSave();
+        console.log(`[Search] Indexed ${doc.id} "${doc.name}" (${text.length} chars)`);
+    },
+
+    /**
+     * Queue a document for indexing; failures are logged, never thrown
+     */
+    enqueue(doc, content) {
+        this.queue = this.queue
+            .then(() => this.indexDocument(doc, content))
+            .catch(error => console.warn(`[Search] Failed to index ${doc.id} "${doc.name}":`, error.message));
+        return this.queue;
+    },
+
+    /**
+     * Re-index a document's name after a rename (the content is unchanged)
+     */
+    async rename(fileId, name) {
+        const entry = (await this.load()).get(fileId);
+        if (!entry) return;
+        this.removePostings(fileId);
+        entry.name = name;
+        this.addPostings(fileId, entry);
+        this.scheduleSave();
+    },
+
+    async remove(fileId) {
+        const entries = await this.load();
+        if (!entries.delete(fileId)) return;
+        this.removePostings(fileId);
+        this.scheduleSave();
+        await storage.deleteState(`search-text-${fileId}`);
+    },
+
+    /**
+     * Index documents that are missing from the index or whose content changed,
+     * e.g. documents stored before search existed
+     */
+    async indexStale() {
+        await this.queue;
+        const entries = await this.load();
+        let queued = 0;
+        for (const doc of await listDocuments()) {
+            const current = doc.versions?.[doc.versions.length - 1];
+            const entry = entries.get(doc.id);
+            if (entry && current && entry.hash === current.hash) continue;
+            if (entry && !current) continue;
+            this.enqueue(doc);
+            queued++;
+        }
+        await this.queue;
+        return queued;
+    },
+
+    /**
+     * Find documents containing every query term; the last term also matches as a prefix
+     * Returns [{ fileId, score }] ranked by TF-IDF
+     */
+    async search(query) {
+        await this.load();
+        const terms = tokenize(query);
+        if (terms.length === 0) return [];
+
+        const total = Math.max(this.entries.size, 1);
+        let scores = null;
+
+        terms.forEach((term, i) => {
+            const isPrefix = i === terms.length - 1;
+            const matching = isPrefix
+                ? Array.from(this.postings.keys()).filter(t => t.startsWith(term))
+                : (this.postings.has(term) ? [term] : []);
+
+            const termScores = new Map();
+            for (const t of matching) {
+                const docs = this.postings.get(t);
+                const idf = Math.log(1 + total / docs.size);
+                for (const [fileId, frequency] of docs) {
+                    termScores.set(fileId, (termScores.get(fileId) || 0) + frequency * idf);
+                }
+            }
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                for (const fileId of scores.keys()) {
+                    if (!termScores.has(fileId)) scores.delete(fileId);
+                    else scores.set(fileId, scores.get(fileId) + termScores.get(fileId));
+                }
+            }
+        });
+
+        return Array.from(scores, ([fileId, score]) => ({ fileId, score }))
+            .sort((a, b) => b.score - a.score);
+    },
+
+    /**
+     * Build a short excerpt of a document's text around the first query term it contains
+     */
+    async snippet(fileId, query, length = 160) {
+        const text = ((await storage.readState(`search-text-${fileId}`)) || '').replace(/\s+/g, ' ').trim();
+        if (!text) return '';
+
+        const haystack = text.toLowerCase();
+        const positions = tokenize(query)
+            .map(term => haystack.indexOf(term))
+            .filter(position => position >= 0);
+        const hit = positions.length > 0 ? Math.min(...positions) : 0;
+
+        // Keep surrogate pairs (emoji etc.) intact at both ends of the excerpt
+        const isLowSurrogate = index => /[\udc00-\udfff]/.test(text[index] || '');
+        let start = Math.max(0, hit - Math.floor(length / 3));
+        let end = Math.min(text.length, start + length);
+        if (isLowSurrogate(start)) start++;
+        if (isLowSurrogate(end)) end--;
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+};
+
+tenantFields(searchIndex, ['entries', 'postings', 'documentTerms', 'queue', 'saving', 'saveTimer']);
+
+module.exports = {
+    searchIndex
+};
@@ -0,0 +1,160 @@
+/**
+ * Share links to documents
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { config, tenantFields } = require('./tenants');
+const { storage } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================================================
+// Share Links
+// ============================================================================
+
+/**
+ * Share links give guests without an account access to one document
+ *
+ * Links are persisted as the "share-links" storage state entry. Link shape:
+ *   { id, fileId, permissions, tokenHash, password, maxUses, uses,
+ *     createdBy, createdAt, expiresAt, revokedAt }
+ * Only the SHA-256 of the link token is stored, so the link URL is shown once,
+ * when the link is created. password is null or { salt, hash } (scrypt).
+ * Opening a link issues a guest WOPI token that expires with the link; only
+ * opens that succeed count as a use.
+ */
+const shareLinkService = {
+    links: null, // linkId -> link, loaded lazily
+
+    async load() {
+        if (!this.links) {
+            const saved = await storage.readState('share-links');
+            this.links = new Map((saved || []).map(link => [link.id, link]));
+        }
+        return this.links;
+    },
+
+    async save() {
+        await storage.writeState('share-links', Array.from(this.links.values()));
+    },
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    },
+
+    // scrypt is slow by design; the async form keeps it off the event loop
+    async hashPassword(password, salt) {
+        return (await scrypt(password, salt, 32)).toString('hex');
+    },
+
+    /**
+     * Create a link; returns { link, token } - the token is not stored
+     */
+    async create(doc, user, { permissions, expiresAt, password, maxUses }) {
+        const links = await this.load();
+        const token = crypto.randomBytes(24).toString('base64url');
+        const salt = password ? crypto.randomBytes(16).toString('hex') : null;
+        const link = {
+            id: `link-${crypto.randomBytes(8).toString('hex')}`,
+            fileId: doc.id,
+            permissions,
+            tokenHash: this.hashToken(token),
+            password: password ? { salt, hash: await this.hashPassword(password, salt) } : null,
+            maxUses: maxUses || null,
+            uses: 0,
+            createdBy: user.id,
+            createdAt: new Date().toISOString(),
+            expiresAt,
+            revokedAt: null
+        };
+        links.set(link.id, link);
+        await this.save();
+        console.log(`[Links] Created ${permissions} link ${link.id} for ${doc.id} by ${user.id}, expires ${expiresAt}`);
+        return { link, token };
+    },
+
+    async list(fileId) {
+        return Array.from((await this.load()).values())
+            .filter(link => link.fileId === fileId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async findByToken(token) {
+        const tokenHash = this.hashToken(String(token));
+        return Array.from((await this.load()).values()).find(link => link.tokenHash === tokenHash) || null;
+    },
+
+    /**
+     * active, expired, revoked or exhausted (usage limit reached)
+     */
+    status(link) {
+        if (link.revokedAt) return 'revoked';
+        if (Date.parse(link.expiresAt) <= Date.now()) return 'expired';
+        if (link.maxUses && link.uses >= link.maxUses) return 'exhausted';
+        return 'active';
+    },
+
+    async checkPassword(link, password) {
+        if (!link.password) return true;
+        if (typeof password !== 'string' || !password) return false;
+        const expected = Buffer.from(link.password.hash, 'hex');
+        const actual = Buffer.from(await this.hashPassword(password, link.password.salt), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    },
+
+    /**
+     * Count one use of a link that has been opened successfully
+     * The check and the increment happen without yielding, so concurrent opens
+     * cannot exceed maxUses; returns false if the link is no longer active.
+     */
+    async recordUse(link) {
+        if (this.status(link) !== 'active') return false;
+        link.uses += 1;
+        await this.save();
+        return true;
+    },
+
+    async revoke(link, user) {
+        link.revokedAt = new Date().toISOString();
+        await this.save();
+        console.log(`[Links] Revoked ${link.id} for ${link.fileId} by ${user.id}`);
+    },
+
+    async removeForDocument(fileId) {
+        const links = await this.load();
+        const ids = Array.from(links.values()).filter(link => link.fileId === fileId).map(link => link.id);
+        if (ids.length === 0) return;
+        ids.forEach(id => links.delete(id));
+        await this.save();
+    },
+
+    /**
+     * Link as returned by the API (no token hash or password hash)
+     */
+    describe(link) {
+        return {
+            id: link.id,
+            fileId: link.fileId,
+            permissions: link.permissions,
+            passwordProtected: !!link.password,
+            maxUses: link.maxUses,
+            uses: link.uses,
+            createdBy: link.createdBy,
+            createdAt: link.createdAt,
+            expiresAt: link.expiresAt,
+            revokedAt: link.revokedAt,
+            status: this.status(link)
+        };
+    }
+};
+
+tenantFields(shareLinkService, ['links']);
+
+function shareLinkUrl(token) {
+    return `${config.publicUrl}/?link=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    shareLinkService, shareLinkUrl
+};
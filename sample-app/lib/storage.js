@@ -0,0 +1,685 @@
+/**
+ * Document storage backends (memory, filesystem, S3) and document lookups
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+    HeadBucketCommand,
+    CreateBucketCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { config, tenantValue } = require('./tenants');
+
+// ============================================================================
+// Document Storage
+// ============================================================================
+
+/**
+ * Storage adapters
+ *
+ * Every adapter implements the same async interface, so the REST API and the
+ * WOPI endpoints never touch the underlying store directly:
+ *
+ *   get(fileId)                     -> { metadata, content } | null
+ *   getStream(fileId)               -> { metadata, stream } | null
+ *   put(fileId, content, metadata)  -> metadata
+ *   putStream(fileId, stream, meta) -> metadata
+ *   list()                          -> metadata[]
+ *   rename(fileId, newName)         -> metadata | null
+ *   delete(fileId)                  -> boolean
+ *   metadata(fileId)                -> metadata | null
+ *   updateMetadata(fileId, patch)   -> metadata | null
+ *
+ *   putVersionStream(fileId, version, stream) -> size
+ *   getVersionStream(fileId, version)  -> stream | null
+ *   deleteVersionContent(fileId, version)
+ *
+ *   readState(name)                 -> JSON value | null
+ *   writeState(name, value)
+ *   deleteState(name)
+ *
+ * State entries hold small JSON documents that are not tied to one file
+ * (e.g. the folder tree) so they persist with the same backend.
+ *
+ * Metadata shape: { id, name, size, lastModified, ownerId, folderId, acl, versions, deletedAt, deletedBy }
+ * Deleting a document also deletes its stored versions.
+ */
+
+/**
+ * Pass-through stream that counts the bytes flowing through it,
+ * so streamed writes can record the document size without buffering
+ * @returns {Transform & { bytes: number }}
+ */
+function createByteCounter() {
+    const counter = /** @type {Transform & { bytes: number }} */ (new Transform({
+        transform(chunk, encoding, callback) {
+            counter.bytes += chunk.length;
+            callback(null, chunk);
+        }
+    }));
+    counter.bytes = 0;
+    return counter;
+}
+
+/**
+ * Pass-through stream that counts and SHA-256 hashes the content flowing through it
+ * digest.hash is set once the stream has finished
+ * @returns {Transform & { bytes: number, hash: string | null }}
+ */
+function createContentDigest() {
+    const hash = crypto.createHash('sha256');
+    const digest = /** @type {Transform & { bytes: number, hash: string | null }} */ (new Transform({
+        transform(chunk, encoding, callback) {
+            digest.bytes += chunk.length;
+            hash.update(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            digest.hash = hash.digest('hex');
+            callback();
+        }
+    }));
+    digest.bytes = 0;
+    digest.hash = null;
+    return digest;
+}
+
+/**
+ * Pipe a stream through a size check; the returned stream fails with
+ * error.code 'FILE_TOO_LARGE' once more than maxBytes have passed through
+ */
+function limitStreamSize(source, maxBytes) {
+    let bytes = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            if (bytes > maxBytes) {
+                return callback(Object.assign(
+                    new Error(`File exceeds the maximum size of ${formatMegabytes(maxBytes)}`),
+                    { code: 'FILE_TOO_LARGE' }
+                ));
+            }
+            callback(null, chunk);
+        }
+    });
+    source.on('error', error => limiter.destroy(error));
+    limiter.on('error', () => source.unpipe(limiter));
+    return source.pipe(limiter);
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+/**
+ * In-memory adapter - documents are lost when the process restarts
+ */
+function createMemoryStorageAdapter() {
+    const documents = new Map(); // fileId -> { metadata, content }
+    const versions = new Map(); // fileId -> Map(version -> content)
+    const state = new Map(); // name -> JSON string
+
+    return {
+        name: 'memory',
+
+        async get(fileId) {
+            const entry = documents.get(fileId);
+            return entry ? { metadata: { ...entry.metadata }, content: entry.content } : null;
+        },
+
+        async getStream(fileId) {
+            const entry = documents.get(fileId);
+            return entry ? { metadata: { ...entry.metadata }, stream: Readable.from([entry.content]) } : null;
+        },
+
+        async put(fileId, content, metadata) {
+            const entry = {
+                metadata: { ...metadata, id: fileId, size: content.length },
+                content
+            };
+            documents.set(fileId, entry);
+            return { ...entry.metadata };
+        },
+
+        async putStream(fileId, stream, metadata) {
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+            }
+            return this.put(fileId, Buffer.concat(chunks), metadata);
+        },
+
+        async list() {
+            return Array.from(documents.values()).map(entry => ({ ...entry.metadata }));
+        },
+
+        async rename(fileId, newName) {
+            return this.updateMetadata(fileId, { name: newName, lastModified: new Date().toISOString() });
+        },
+
+        async delete(fileId) {
+            versions.delete(fileId);
+            return documents.delete(fileId);
+        },
+
+        async metadata(fileId) {
+            const entry = documents.get(fileId);
+            return entry ? { ...entry.metadata } : null;
+        },
+
+        async updateMetadata(fileId, patch) {
+            const entry = documents.get(fileId);
+            if (!entry) return null;
+            entry.metadata = { ...entry.metadata, ...patch, id: fileId };
+            return { ...entry.metadata };
+        },
+
+        async putVersionStream(fileId, version, stream) {
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+            }
+            const content = Buffer.concat(chunks);
+            if (!versions.has(fileId)) {
+                versions.set(fileId, new Map());
+            }
+            versions.get(fileId).set(version, content);
+            return content.length;
+        },
+
+        async getVersionStream(fileId, version) {
+            const content = versions.get(fileId)?.get(version);
+            return content ? Readable.from([content]) : null;
+        },
+
+        async deleteVersionContent(fileId, version) {
+            versions.get(fileId)?.delete(version);
+        },
+
+        async readState(name) {
+            return state.has(name) ? JSON.parse(state.get(name)) : null;
+        },
+
+        async writeState(name, value) {
+            state.set(name, JSON.stringify(value));
+        },
+
+        async deleteState(name) {
+            state.delete(name);
+        }
+    };
+}
+
+/**
+ * Filesystem adapter - one directory per document holding the raw content
+ * and a metadata.json file, so edits survive restarts
+ *
+ *   <rootDir>/<fileId>/content
+ *   <rootDir>/<fileId>/metadata.json
+ *   <rootDir>/<fileId>/versions/<version>
+ *   <rootDir>/.state/<name>.json
+ */
+function createFilesystemStorageAdapter(rootDir) {
+    const fsp = fs.promises;
+    let index = null; // fileId -> metadata, loaded lazily from disk
+
+    function documentDir(fileId) {
+        // File IDs become directory names, so only allow a safe character set
+        if (!/^[A-Za-z0-9_-]+$/.test(fileId)) {
+            throw new Error(`Invalid file ID: ${fileId}`);
+        }
+        return path.join(rootDir, fileId);
+    }
+
+    // Write via a temp file and rename so a crash never leaves a half-written file
+    async function writeAtomic(filePath, data) {
+        const tmpPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fsp.writeFile(tmpPath, data);
+        await fsp.rename(tmpPath, filePath);
+    }
+
+    /**
+     * Stream into a temp file and rename it into place; returns the number of bytes written
+     */
+    async function writeStreamAtomic(filePath, stream) {
+        const tmpPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const counter = createByteCounter();
+        try {
+            await pipeline(stream, counter, fs.createWriteStream(tmpPath));
+        } catch (error) {
+            await fsp.rm(tmpPath, { force: true });
+            throw error;
+        }
+        await fsp.rename(tmpPath, filePath);
+        return counter.bytes;
+    }
+
+    async function loadIndex() {
+        if (index) return index;
+        const loaded = new Map();
+        await fsp.mkdir(rootDir, { recursive: true });
+        const entries = await fsp.readdir(rootDir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+            try {
+                const raw = await fsp.readFile(path.join(rootDir, entry.name, 'metadata.json'), 'utf8');
+                const metadata = JSON.parse(raw);
+                loaded.set(metadata.id, metadata);
+            } catch (error) {
+                console.warn(`[Storage] Skipping unreadable document directory ${entry.name}:`, error.message);
+            }
+        }
+        index = loaded;
+        console.log(`[Storage] Filesystem index loaded: ${index.size} documents from ${rootDir}`);
+        return index;
+    }
+
+    async function writeMetadata(fileId, metadata) {
+        await writeAtomic(path.join(documentDir(fileId), 'metadata.json'), JSON.stringify(metadata, null, 2));
+        (await loadIndex()).set(fileId, metadata);
+        return { ...metadata };
+    }
+
+    return {
+        name: 'filesystem',
+
+        async get(fileId) {
+            const metadata = (await loadIndex()).get(fileId);
+            if (!metadata) return null;
+            const content = await fsp.readFile(path.join(documentDir(fileId), 'content'));
+            return { metadata: { ...metadata }, content };
+        },
+
+        async getStream(fileId) {
+            const metadata = (await loadIndex()).get(fileId);
+            if (!metadata) return null;
+            const stream = fs.createReadStream(path.join(documentDir(fileId), 'content'));
+            return { metadata: { ...metadata }, stream };
+        },
+
+        async put(fileId, content, metadata) {
+            const dir = documentDir(fileId);
+            await fsp.mkdir(dir, { recursive: true });
+            await writeAtomic(path.join(dir, 'content'), content);
+            return writeMetadata(fileId, { ...metadata, id: fileId, size: content.length });
+        },
+
+        async putStream(fileId, stream, metadata) {
+            const dir = documentDir(fileId);
+            await fsp.mkdir(dir, { recursive: true });
+            const size = await writeStreamAtomic(path.join(dir, 'content'), stream);
+            return writeMetadata(fileId, { ...metadata, id: fileId, size });
+        },
+
+        async list() {
+            return Array.from((await loadIndex()).values()).map(metadata => ({ ...metadata }));
+        },
+
+        async rename(fileId, newName) {
+            return this.updateMetadata(fileId, { name: newName, lastModified: new Date().toISOString() });
+        },
+
+        async delete(fileId) {
+            const docs = await loadIndex();
+            if (!docs.has(fileId)) return false;
+            await fsp.rm(documentDir(fileId), { recursive: true, force: true });
+            docs.delete(fileId);
+            return true;
+        },
+
+        async metadata(fileId) {
+            const metadata = (await loadIndex()).get(fileId);
+            return metadata ? { ...metadata } : null;
+        },
+
+        async updateMetadata(fileId, patch) {
+            const metadata = (await loadIndex()).get(fileId);
+            if (!metadata) return null;
+            return writeMetadata(fileId, { ...metadata, ...patch, id: fileId });
+        },
+
+        async putVersionStream(fileId, version, stream) {
+            const dir = path.join(documentDir(fileId), 'versions');
+            await fsp.mkdir(dir, { recursive: true });
+            return writeStreamAtomic(path.join(dir, String(version)), stream);
+        },
+
+        async getVersionStream(fileId, version) {
+            const versionPath = path.join(documentDir(fileId), 'versions', String(version));
+            try {
+                await fsp.access(versionPath);
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+            return fs.createReadStream(versionPath);
+        },
+
+        async deleteVersionContent(fileId, version) {
+            await fsp.rm(path.join(documentDir(fileId), 'versions', String(version)), { force: true });
+        },
+
+        async readState(name) {
+            try {
+                return JSON.parse(await fsp.readFile(path.join(rootDir, '.state', `${name}.json`), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async writeState(name, value) {
+            const dir = path.join(rootDir, '.state');
+            await fsp.mkdir(dir, { recursive: true });
+            await writeAtomic(path.join(dir, `${name}.json`), JSON.stringify(value, null, 2));
+        },
+
+        async deleteState(name) {
+            await fsp.rm(path.join(rootDir, '.state', `${name}.json`), { force: true });
+        }
+    };
+}
+
+// DeleteObjects accepts at most 1000 keys per request
+const S3_DELETE_BATCH_SIZE = 1000;
+
+/**
+ * S3 adapter - content and metadata are stored as objects in an
+ * S3-compatible bucket (AWS S3, MinIO, ...)
+ *
+ *   <prefix><fileId>/content
+ *   <prefix><fileId>/metadata.json
+ *   <prefix><fileId>/versions/<version>
+ *   <prefix>.state/<name>.json
+ *
+ * Reads are streamed straight from the GetObject body and writes go through
+ * a multipart upload, so large files are never held fully in memory. The
+ * bucket must exist unless options.createBucket is set.
+ */
+function createS3StorageAdapter(options) {
+    const client = new S3Client({
+        region: options.region,
+        endpoint: options.endpoint || undefined,
+        forcePathStyle: options.forcePathStyle,
+        credentials: options.accessKeyId && options.secretAccessKey
+            ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+            : undefined
+    });
+    const bucket = options.bucket;
+    let index = null; // fileId -> metadata, loaded lazily from the bucket
+
+    const objectKey = (fileId, name) => `${options.prefix}${fileId}/${name}`;
+
+    async function readObject(key) {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+    }
+
+    async function listKeys(prefix) {
+        const keys = [];
+        let continuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+            (page.Contents || []).forEach(object => keys.push(object.Key));
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return keys;
+    }
+
+    /**
+     * Delete objects in batches of S3_DELETE_BATCH_SIZE keys
+     * DeleteObjects reports per-key failures in Errors with a 200 response,
+     * so those are collected and thrown instead of passing silently
+     */
+    async function deleteKeys(keys) {
+        const failed = [];
+        for (let i = 0; i < keys.length; i += S3_DELETE_BATCH_SIZE) {
+            const response = await client.send(new DeleteObjectsCommand({
+                Bucket: bucket,
+                Delete: { Objects: keys.slice(i, i + S3_DELETE_BATCH_SIZE).map(Key => ({ Key })), Quiet: true }
+            }));
+            failed.push(...(response.Errors || []));
+        }
+        if (failed.length > 0) {
+            const sample = failed.slice(0, 3).map(item => `${item.Key} (${item.Code})`).join(', ');
+            throw Object.assign(
+                new Error(`Failed to delete ${failed.length} object(s) from s3://${bucket}: ${sample}`),
+                { code: 'S3_DELETE_FAILED' }
+            );
+        }
+    }
+
+    async function ensureBucket() {
+        try {
+            await client.send(new HeadBucketCommand({ Bucket: bucket }));
+        } catch (error) {
+            if (error.$metadata?.httpStatusCode !== 404) throw error;
+            if (!options.createBucket) {
+                throw new Error(`S3 bucket "${bucket}" does not exist (set S3_CREATE_BUCKET=true to create it)`);
+            }
+            await client.send(new CreateBucketCommand({ Bucket: bucket }));
+            console.log(`[Storage] Created S3 bucket: ${bucket}`);
+        }
+    }
+
+    async function loadIndex() {
+        if (index) return index;
+        await ensureBucket();
+        const loaded = new Map();
+        const metadataKeys = (await listKeys(options.prefix)).filter(key => key.endsWith('/metadata.json'));
+        for (const key of metadataKeys) {
+            try {
+                const metadata = JSON.parse((await readObject(key)).toString('utf8'));
+                loaded.set(metadata.id, metadata);
+            } catch (error) {
+                console.warn(`[Storage] Skipping unreadable metadata object ${key}:`, error.message);
+            }
+        }
+        index = loaded;
+        console.log(`[Storage] S3 index loaded: ${index.size} documents from s3://${bucket}/${options.prefix}`);
+        return index;
+    }
+
+    async function writeMetadata(fileId, metadata) {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(fileId, 'metadata.json'),
+            Body: JSON.stringify(metadata, null, 2),
+            ContentType: 'application/json'
+        }));
+        (await loadIndex()).set(fileId, metadata);
+        return { ...metadata };
+    }
+
+    async function uploadContent(fileId, body, name = 'content') {
+        const upload = new Upload({
+            client,
+            params: {
+                Bucket: bucket,
+                Key: objectKey(fileId, name),
+                Body: body,
+                ContentType: 'application/octet-stream'
+            },
+            partSize: options.multipartPartSize,
+            queueSize: 4
+        });
+        await upload.done();
+    }
+
+    return {
+        name: 's3',
+
+        async get(fileId) {
+            const metadata = (await loadIndex()).get(fileId);
+            if (!metadata) return null;
+            const content = await readObject(objectKey(fileId, 'content'));
+            return { metadata: { ...metadata }, content };
+        },
+
+        async getStream(fileId) {
+            const metadata = (await loadIndex()).get(fileId);
+            if (!metadata) return null;
+            const response = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(fileId, 'content')
+            }));
+            return { metadata: { ...metadata }, stream: response.Body };
+        },
+
+        async put(fileId, content, metadata) {
+            await uploadContent(fileId, content);
+            return writeMetadata(fileId, { ...metadata, id: fileId, size: content.length });
+        },
+
+        async putStream(fileId, stream, metadata) {
+            const counter = createByteCounter();
+            const piping = pipeline(stream, counter);
+            try {
+                await Promise.all([uploadContent(fileId, counter), piping]);
+            } catch (error) {
+                counter.destroy();
+                throw error;
+            }
+            return writeMetadata(fileId, { ...metadata, id: fileId, size: counter.bytes });
+        },
+
+        async list() {
+            return Array.from((await loadIndex()).values()).map(metadata => ({ ...metadata }));
+        },
+
+        async rename(fileId, newName) {
+            return this.updateMetadata(fileId, { name: newName, lastModified: new Date().toISOString() });
+        },
+
+        async delete(fileId) {
+            const docs = await loadIndex();
+            if (!docs.has(fileId)) return false;
+            await deleteKeys(await listKeys(`${options.prefix}${fileId}/`));
+            docs.delete(fileId);
+            return true;
+        },
+
+        async metadata(fileId) {
+            const metadata = (await loadIndex()).get(fileId);
+            return metadata ? { ...metadata } : null;
+        },
+
+        async updateMetadata(fileId, patch) {
+            const metadata = (await loadIndex()).get(fileId);
+            if (!metadata) return null;
+            return writeMetadata(fileId, { ...metadata, ...patch, id: fileId });
+        },
+
+        async putVersionStream(fileId, version, stream) {
+            const counter = createByteCounter();
+            const piping = pipeline(stream, counter);
+            try {
+                await Promise.all([uploadContent(fileId, counter, `versions/${version}`), piping]);
+            } catch (error) {
+                counter.destroy();
+                throw error;
+            }
+            return counter.bytes;
+        },
+
+        async getVersionStream(fileId, version) {
+            try {
+                const response = await client.send(new GetObjectCommand({
+                    Bucket: bucket,
+                    Key: objectKey(fileId, `versions/${version}`)
+                }));
+                return response.Body;
+            } catch (error) {
+                if (error.name === 'NoSuchKey') return null;
+                throw error;
+            }
+        },
+
+        async deleteVersionContent(fileId, version) {
+            await deleteKeys([objectKey(fileId, `versions/${version}`)]);
+        },
+
+        async readState(name) {
+            await ensureBucket();
+            try {
+                return JSON.parse((await readObject(objectKey('.state', `${name}.json`))).toString('utf8'));
+            } catch (error) {
+                if (error.name === 'NoSuchKey') return null;
+                throw error;
+            }
+        },
+
+        async writeState(name, value) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: objectKey('.state', `${name}.json`),
+                Body: JSON.stringify(value, null, 2),
+                ContentType: 'application/json'
+            }));
+        },
+
+        async deleteState(name) {
+            await deleteKeys([objectKey('.state', `${name}.json`)]);
+        }
+    };
+}
+
+const storageAdapters = {
+    memory: () => createMemoryStorageAdapter(),
+    filesystem: () => createFilesystemStorageAdapter(config.storageDir),
+    s3: () => createS3StorageAdapter(config.s3)
+};
+
+function createStorage(backend) {
+    const factory = storageAdapters[backend];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${Object.keys(storageAdapters).join(', ')})`);
+    }
+    return factory();
+}
+
+// Each tenant has its own adapter, created on first use
+const storage = tenantValue(() => createStorage(config.storageBackend));
+
+/**
+ * Get a document's metadata, treating documents in the trash as missing
+ */
+async function findDocument(fileId) {
+    const doc = await storage.metadata(fileId);
+    return doc && !doc.deletedAt ? doc : null;
+}
+
+/**
+ * List all documents that are not in the trash
+ */
+async function listDocuments() {
+    return (await storage.list()).filter(doc => !doc.deletedAt);
+}
+
+/**
+ * Entity tag for a document's current content (its SHA-256 hash), or null for
+ * documents stored before version history recorded hashes
+ */
+function documentEtag(doc) {
+    const current = doc.versions?.[doc.versions.length - 1];
+    return current?.hash ? `"${current.hash}"` : null;
+}
+
+module.exports = {
+    createContentDigest, limitStreamSize, formatMegabytes, createMemoryStorageAdapter,
+    createFilesystemStorageAdapter, createS3StorageAdapter, storage, findDocument, listDocuments,
+    documentEtag
+};
@@ -0,0 +1,278 @@
+/**
+ * Tenants: per-request tenant context, tenant-scoped config and state
+ */
+
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { SESSION_COOKIE, parseCookies } = require('./utils');
+const { baseConfig } = require('./config');
+
+// ============================================================================
+// Tenants
+// ============================================================================
+
+/**
+ * Customer workspaces sharing one deployment
+ *
+ * TENANTS_FILE is a JSON array of tenants:
+ *   [{ id, name, hosts: [...], default, config: {...}, branding: {...}, rateLimits: {...} }]
+ * Each request belongs to one tenant: the one listing the request's host name,
+ * else the one named by the tenant claim of the request's token, else the one
+ * marked "default": true. A tenant's config entries override the settings
+ * in config.js (editor URLs, publicUrl, wopiCallbackUrl, jwtSecret, adminUserIds, ...).
+ * Every tenant has its own storage (STORAGE_DIR/tenants/<id>, or
+ * S3_PREFIX + tenants/<id>/), signing keys (JWT_KEYS_DIR/<id>, or a jwtSecret
+ * of its own for HS256 - JWT_SECRET is never shared), in-memory state and rate
+ * limit counters, so document IDs only mean something within their tenant.
+ * Tokens carry the tenant claim and are rejected by every other tenant.
+ *
+ * Without TENANTS_FILE there is a single "default" tenant that uses the
+ * settings in config.js unchanged.
+ */
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const TENANT_RATE_LIMITS = ['wopi', 'links', 'login'];
+
+const multiTenant = Boolean(process.env.TENANTS_FILE);
+const tenantContext = new AsyncLocalStorage();
+
+/**
+ * Check and normalize one TENANTS_FILE entry
+ * Returns { tenant } or { error }
+ */
+function parseTenant(entry) {
+    if (!entry || typeof entry !== 'object' || !TENANT_ID_PATTERN.test(entry.id)) {
+        return { error: 'every tenant needs an id of lowercase letters, digits and dashes' };
+    }
+    const overrides = entry.config || {};
+    const unknown = Object.keys(overrides).filter(name => !Object.hasOwn(baseConfig, name));
+    if (unknown.length > 0) {
+        return { error: `tenant ${entry.id}: unknown config setting(s) ${unknown.join(', ')}` };
+    }
+    const branding = entry.branding || {};
+    if (branding.primaryColor && !/^#[0-9a-f]{6}$/i.test(branding.primaryColor)) {
+        return { error: `tenant ${entry.id}: branding.primaryColor must be a #rrggbb color` };
+    }
+    if (branding.logoUrl && !/^(https?:\/\/|\/)/.test(branding.logoUrl)) {
+        return { error: `tenant ${entry.id}: branding.logoUrl must be an http(s) URL or an absolute path` };
+    }
+    const jwtAlgorithm = overrides.jwtAlgorithm || baseConfig.jwtAlgorithm;
+    if (jwtAlgorithm === 'HS256' && (typeof overrides.jwtSecret !== 'string' || !overrides.jwtSecret)) {
+        return { error: `tenant ${entry.id}: HS256 signing needs a config.jwtSecret of its own` };
+    }
+    const rateLimits = entry.rateLimits || {};
+    for (const [name, limit] of Object.entries(rateLimits)) {
+        if (!TENANT_RATE_LIMITS.includes(name) || !Number.isInteger(limit) || limit < 1) {
+            return { error: `tenant ${entry.id}: rateLimits.${name} must be one of ${TENANT_RATE_LIMITS.join(', ')} with a positive integer` };
+        }
+    }
+
+    return {
+        tenant: {
+            id: entry.id,
+            name: entry.name || entry.id,
+            hosts: (entry.hosts || []).map(host => String(host).toLowerCase()),
+            isDefault: entry.default === true,
+            branding: {
+                name: branding.name || null,
+                logoUrl: branding.logoUrl || null,
+                primaryColor: branding.primaryColor || null
+            },
+            rateLimits,
+            config: {
+                storageDir: path.join(baseConfig.storageDir, 'tenants', entry.id),
+                jwtKeysDir: path.join(baseConfig.jwtKeysDir, entry.id),
+                jwtSecret: null, // JWT_SECRET is not inherited
+                ...overrides,
+                s3: { ...baseConfig.s3, prefix: `${baseConfig.s3.prefix}tenants/${entry.id}/`, ...overrides.s3 }
+            },
+            state: new Map() // per-tenant values of tenantValue() and tenantFields()
+        }
+    };
+}
+
+function loadTenants() {
+    if (!multiTenant) {
+        return [{
+            id: DEFAULT_TENANT_ID,
+            name: 'Default',
+            hosts: [],
+            isDefault: true,
+            branding: { name: null, logoUrl: null, primaryColor: null },
+            rateLimits: {},
+            config: {},
+            state: new Map()
+        }];
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(process.env.TENANTS_FILE, 'utf8'));
+    } catch (error) {
+        console.error(`ERROR: Cannot read TENANTS_FILE ${process.env.TENANTS_FILE}: ${error.message}`);
+        process.exit(1);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        console.error('ERROR: TENANTS_FILE must contain a non-empty JSON array of tenants');
+        process.exit(1);
+    }
+
+    const loaded = [];
+    for (const entry of entries) {
+        const { tenant, error } = parseTenant(entry);
+        const taken = tenant && loaded.find(other => other.id === tenant.id || other.hosts.some(host => tenant.hosts.includes(host)));
+        const sameSecret = tenant?.config.jwtSecret && loaded.find(other => other.config.jwtSecret === tenant.config.jwtSecret);
+        const problem = error
+            || (taken && `tenants ${taken.id} and ${tenant.id} share an id or host name`)
+            || (sameSecret && `tenants ${sameSecret.id} and ${tenant.id} share a jwtSecret`)
+            || (tenant.isDefault && loaded.some(other => other.isDefault) && 'only one tenant can be the default');
+        if (problem) {
+            console.error(`ERROR: TENANTS_FILE: ${problem}`);
+            process.exit(1);
+        }
+        loaded.push(tenant);
+    }
+    return loaded;
+}
+
+const tenants = loadTenants();
+
+/**
+ * The tenant of the current request or background job
+ * With a single tenant, code running outside any request belongs to it.
+ */
+function currentTenant() {
+    const tenant = tenantContext.getStore();
+    if (tenant) return tenant;
+    if (!multiTenant) return tenants[0];
+    throw new Error('No tenant for code running outside a request (use forEachTenant)');
+}
+
+/**
+ * Run fn once inside every tenant's context, one tenant at a time
+ * Startup work and background jobs run outside any request.
+ */
+async function forEachTenant(fn) {
+    for (const tenant of tenants) {
+        await tenantContext.run(tenant, () => fn(tenant));
+    }
+}
+
+/**
+ * The settings in effect: the current tenant's overrides over baseConfig
+ * Read-only: tenant settings come from TENANTS_FILE, and an assignment during
+ * one request would otherwise change the settings of every later one.
+ */
+const config = new Proxy(baseConfig, {
+    get(base, name) {
+        const overrides = tenantContext.getStore()?.config;
+        return overrides && Object.hasOwn(overrides, name) ? overrides[name] : base[name];
+    },
+    set(base, name) {
+        throw new TypeError(`config.${String(name)} is read-only`);
+    },
+    deleteProperty(base, name) {
+        throw new TypeError(`config.${String(name)} is read-only`);
+    }
+});
+
+/**
+ * A value that exists once per tenant, created on first use
+ * The returned proxy forwards to the current tenant's instance, so a Map,
+ * array or storage adapter can be used as if it were a single module-level one.
+ * @template T
+ * @param {() => T} create
+ * @returns {T}
+ */
+function tenantValue(create) {
+    const key = Symbol('tenantValue');
+    const instance = () => {
+        const { state } = currentTenant();
+        if (!state.has(key)) state.set(key, create());
+        return state.get(key);
+    };
+    return /** @type {T} */ (new Proxy({}, {
+        get(target, name) {
+            const value = instance();
+            const member = Reflect.get(value, name, value);
+            return typeof member === 'function' ? member.bind(value) : member;
+        },
+        set(target, name, value) {
+            instance()[name] = value;
+            return true;
+        },
+        has(target, name) {
+            return name in instance();
+        }
+    }));
+}
+
+/**
+ * Keep the named fields of a service object per tenant
+ * Each tenant starts from a fresh copy of the field's initial value.
+ */
+function tenantFields(target, names) {
+    for (const name of names) {
+        const initial = target[name];
+        const key = Symbol(name);
+        Object.defineProperty(target, name, {
+            get() {
+                const { state } = currentTenant();
+                if (!state.has(key)) {
+                    state.set(key, initial instanceof Map ? new Map() : Array.isArray(initial) ? [] : initial);
+                }
+                return state.get(key);
+            },
+            set(value) {
+                currentTenant().state.set(key, value);
+            }
+        });
+    }
+}
+
+/**
+ * The tenant claim of the request's token, without verifying it
+ * Only used to pick the tenant; the token is verified against that tenant's
+ * keys afterwards and rejected if the claim was forged.
+ */
+function unverifiedTenantClaim(req) {
+    const token = req.query.access_token
+        || req.headers.authorization?.match(/^Bearer (.+)$/)?.[1]
+        || parseCookies(req)[SESSION_COOKIE];
+    const payload = token ? jwt.decode(token, { json: true }) : null;
+    return typeof payload?.tenant === 'string' ? payload.tenant : null;
+}
+
+/**
+ * Resolve the request's tenant and run the rest of the request in its context
+ */
+function resolveTenant(req, res, next) {
+    const host = (req.hostname || '').toLowerCase();
+    const claim = unverifiedTenantClaim(req);
+    const tenant = tenants.find(candidate => candidate.hosts.includes(host))
+        || (claim && tenants.find(candidate => candidate.id === claim))
+        || tenants.find(candidate => candidate.isDefault);
+    if (!tenant) {
+        return res.status(404).json({ error: 'Unknown tenant' });
+    }
+    req.tenant = tenant;
+    tenantContext.run(tenant, next);
+}
+
+/**
+ * express-rate-limit options that count requests per tenant and let the
+ * tenant's rateLimits[name] replace the default limit
+ */
+function tenantRateLimit(name, max) {
+    return {
+        max: req => req.tenant.rateLimits[name] ?? max,
+        keyGenerator: req => `${req.tenant.id}:${req.ip}`
+    };
+}
+
+module.exports = {
+    DEFAULT_TENANT_ID, multiTenant, tenants, currentTenant, forEachTenant, config, tenantValue,
+    tenantFields, resolveTenant, tenantRateLimit
+};
@@ -0,0 +1,401 @@
+/**
+ * Signing keys and the JWT token service
+ */
+
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const {
+    DEFAULT_TENANT_ID, currentTenant, forEachTenant, config, tenantFields
+} = require('./tenants');
+const { tokenRevocations } = require('./revocations');
+
+const fsp = fs.promises;
+
+/** @typedef {import('jsonwebtoken').JwtPayload} JwtPayload */
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// ============================================================================
+// Signing Keys
+// ============================================================================
+
+/**
+ * Asymmetric signing keys for RS256/ES256
+ *
+ * Each key is stored as <jwtKeysDir>/<kid>.json:
+ *   { kid, alg, createdAt, retiredAt, privateKey, publicKey }
+ * The newest key signs new tokens. Older keys are retired: they only verify
+ * tokens until everything they could have signed has expired, then they are
+ * deleted. Keys are read once by load() (startServer() rotates, and so loads,
+ * every tenant's keys before listening), so signing and verifying tokens never
+ * touch the disk.
+ */
+const keyStore = {
+    keys: null, // kid -> key, oldest first
+
+    async load() {
+        const keys = new Map();
+        let files = [];
+        try {
+            files = (await fsp.readdir(config.jwtKeysDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const loaded = await Promise.all(files.map(async file =>
+            JSON.parse(await fsp.readFile(path.join(config.jwtKeysDir, file), 'utf8'))));
+        loaded
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+            .forEach(key => keys.set(key.kid, key));
+        this.keys = keys;
+        return keys;
+    },
+
+    loaded() {
+        if (!this.keys) {
+            throw new Error('Signing keys are not loaded; call keyStore.rotate() first');
+        }
+        return this.keys;
+    },
+
+    /**
+     * The key that signs new tokens (null before the first rotate())
+     */
+    activeKey() {
+        const active = Array.from(this.loaded().values())
+            .filter(key => key.alg === config.jwtAlgorithm && !key.retiredAt);
+        return active[active.length - 1] || null;
+    },
+
+    get(kid) {
+        return this.loaded().get(kid) || null;
+    },
+
+    /**
+     * Generate a new signing key and retire the current one
+     */
+    async generate() {
+        const { privateKey, publicKey } = config.jwtAlgorithm === 'ES256'
+            ? await generateKeyPair('ec', { namedCurve: 'P-256' })
+            : await generateKeyPair('rsa', { modulusLength: 2048 });
+
+        const now = new Date().toISOString();
+        const key = {
+            kid: crypto.randomBytes(8).toString('hex'),
+            alg: config.jwtAlgorithm,
+            createdAt: now,
+            retiredAt: null,
+            privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+        };
+
+        // Written before it is used, so other instances sharing the directory can verify its tokens
+        await this.write(key);
+        const keys = this.loaded();
+        for (const previous of keys.values()) {
+            if (!previous.retiredAt) {
+                previous.retiredAt = now;
+                await this.write(previous);
+            }
+        }
+        keys.set(key.kid, key);
+
+        console.log(`[Keys] Generated ${key.alg} signing key ${key.kid}`);
+        return key;
+    },
+
+    async write(key) {
+        await fsp.mkdir(config.jwtKeysDir, { recursive: true, mode: 0o700 });
+        const keyPath = path.join(config.jwtKeysDir, `${key.kid}.json`);
+        const tmpPath = `${keyPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fsp.writeFile(tmpPath, JSON.stringify(key, null, 2), { mode: 0o600 });
+        await fsp.rename(tmpPath, keyPath);
+    },
+
+    /**
+     * Load the keys if needed, generate one when there is none or the active
+     * key is older than the rotation period, and delete retired keys whose
+     * tokens have all expired
+     */
+    async rotate() {
+        if (!this.keys) await this.load();
+        const active = this.activeKey();
+        const rotationMs = config.jwtKeyRotationDays * 24 * 60 * 60 * 1000;
+        if (!active || (config.jwtKeyRotationDays > 0 && Date.now() - Date.parse(active.createdAt) >= rotationMs)) {
+            await this.generate();
+        }
+
+        const ttlMs = config.tokenTtlSeconds * 1000;
+        for (const key of Array.from(this.keys.values())) {
+            if (key.retiredAt && Date.now() - Date.parse(key.retiredAt) > ttlMs) {
+                this.keys.delete(key.kid);
+                await fsp.rm(path.join(config.jwtKeysDir, `${key.kid}.json`), { force: true });
+                console.log(`[Keys] Removed retired signing key ${key.kid}`);
+            }
+        }
+    },
+
+    /**
+     * Public half of every key that can still verify tokens, as a JWK set
+     */
+    jwks() {
+        return {
+            keys: Array.from(this.loaded().values()).map(key => ({
+                ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+                kid: key.kid,
+                alg: key.alg,
+                use: 'sig'
+            }))
+        };
+    },
+
+    /**
+     * Key metadata for the admin API (never includes private keys)
+     */
+    describe() {
+        const active = this.activeKey();
+        return Array.from(this.loaded().values()).map(key => ({
+            kid: key.kid,
+            alg: key.alg,
+            createdAt: key.createdAt,
+            retiredAt: key.retiredAt,
+            active: key.kid === active?.kid
+        }));
+    }
+};
+
+function describeSigning() {
+    if (config.jwtAlgorithm === 'HS256') {
+        return `HS256 with JWT_SECRET [REDACTED] (${config.jwtSecret.length} chars)`;
+    }
+    const active = keyStore.activeKey();
+    const transition = config.jwtHs256AcceptUntil
+        ? `; HS256 tokens accepted until ${new Date(config.jwtHs256AcceptUntil).toISOString()}`
+        : '';
+    return `${active.alg} key ${active.kid}, ${keyStore.keys.size} key(s) published, rotated every ${config.jwtKeyRotationDays} days${transition}`;
+}
+
+tenantFields(keyStore, ['keys']);
+
+// startServer() rotates (and first generates) every tenant's keys before listening
+setInterval(() => {
+    forEachTenant(() => config.jwtAlgorithm !== 'HS256' && keyStore.rotate())
+        .catch(error => console.error('[Keys] Rotation failed:', error));
+}, 60 * 60 * 1000).unref();
+
+// ============================================================================
+// JWT Token Service
+// ============================================================================
+
+const tokenService = {
+    /**
+     * Sign a token payload with the configured algorithm
+     */
+    sign(payload) {
+        // The tenant claim ties every token to the tenant that issued it
+        payload = { ...payload, tenant: currentTenant().id };
+        if (config.jwtAlgorithm === 'HS256') {
+            return jwt.sign(payload, config.jwtSecret, { algorithm: 'HS256' });
+        }
+        const key = keyStore.activeKey();
+        if (!key) {
+            throw new Error(`No active ${config.jwtAlgorithm} signing key`);
+        }
+        return jwt.sign(payload, key.privateKey, { algorithm: key.alg, keyid: key.kid });
+    },
+
+    /**
+     * Whether HS256 tokens verify: always in HS256 mode, otherwise only during
+     * the JWT_HS256_ACCEPT_UNTIL transition after switching to RS256/ES256
+     */
+    acceptsHs256() {
+        if (config.jwtAlgorithm === 'HS256') return Boolean(config.jwtSecret);
+        return Boolean(config.jwtSecret && config.jwtHs256AcceptUntil && Date.now() < config.jwtHs256AcceptUntil);
+    },
+
+    /**
+     * Verify a token signed by sign() for the current tenant
+     * RS256/ES256 tokens are checked against the key named by their kid header,
+     * HS256 tokens against JWT_SECRET while acceptsHs256(). Tokens without a
+     * tenant claim belong to the default tenant.
+     * Throws the jsonwebtoken errors on failure.
+     * @returns {JwtPayload}
+     */
+    verify(token) {
+        const header = jwt.decode(token, { complete: true })?.header;
+        if (!header) {
+            throw new jwt.JsonWebTokenError('jwt malformed');
+        }
+        /** @type {JwtPayload} */
+        let decoded;
+        if (header.alg === 'HS256') {
+            if (!this.acceptsHs256()) {
+                throw new jwt.JsonWebTokenError('HS256 tokens are not accepted');
+            }
+            decoded = /** @type {JwtPayload} */ (jwt.verify(token, config.jwtSecret, { algorithms: ['HS256'] }));
+        } else {
+            const key = header.kid ? keyStore.get(header.kid) : null;
+            if (!key) {
+                throw new jwt.JsonWebTokenError(`unknown signing key: ${header.kid}`);
+            }
+            decoded = /** @type {JwtPayload} */ (jwt.verify(token, key.publicKey, { algorithms: [key.alg] }));
+        }
+        const tenantId = decoded.tenant || DEFAULT_TENANT_ID;
+        if (tenantId !== currentTenant().id) {
+            throw new jwt.JsonWebTokenError(`token belongs to tenant ${tenantId}`);
+        }
+        return decoded;
+    },
+
+    /**
+     * Generate a WOPI access token (JWT)
+     * This token is passed to TeamSync Editor and returned to WOPI endpoints
+     */
+    generateWopiToken(fileId, user, permissions = 'edit', options = {}) {
+        const payload = {
+            // WOPI-specific claims
+            fileId,
+            permissions,
+
+            // User claims
+            userId: user.id,
+            userName: user.name,
+            userEmail: user.email,
+            groups: user.groups || [],
+
+            // Standard JWT claims (jti identifies the token for revocation)
+            jti: crypto.randomBytes(16).toString('hex'),
+            iat: Math.floor(Date.now() / 1000),
+            exp: Math.floor(Date.now() / 1000) + config.tokenTtlSeconds,
+
+            // Token type identifier
+            type: 'wopi_access'
+        };
+
+        // Restricted rights (see documentPolicy), turned into CheckFileInfo restrictions
+        if (options.policy) {
+            payload.policy = options.policy;
+        }
+
+        // Guests opened a share link: the token never outlives the link
+        if (options.linkId) {
+            payload.guest = true;
+            payload.linkId = options.linkId;
+            payload.exp = Math.min(payload.exp, Math.floor(Date.parse(options.expiresAt) / 1000));
+        }
+
+        return this.sign(payload);
+    },
+
+    /**
+     * Validate a WOPI access token
+     * Returns the decoded payload or null if invalid
+     */
+    validateWopiToken(token, expectedType = 'wopi_access') {
+        try {
+            const decoded = this.verify(token);
+
+            // Verify it's a WOPI token of the expected kind
+            if (decoded.type !== expectedType) {
+                console.warn('[Token] Invalid token type:', decoded.type);
+                return null;
+            }
+
+            if (tokenRevocations.isRevoked(decoded)) {
+                console.warn(`[Token] Revoked token: jti=${decoded.jti} user=${decoded.userId}`);
+                return null;
+            }
+
+            return decoded;
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                console.warn('[Token] Token expired');
+            } else if (error.name === 'JsonWebTokenError') {
+                console.warn('[Token] Invalid token:', error.message);
+            } else {
+                console.error('[Token] Validation error:', error);
+            }
+            return null;
+        }
+    },
+
+    /**
+     * Generate a WOPI access token for a container (folder)
+     * Used by the editor's file browser for CheckContainerInfo / EnumerateChildren
+     */
+    generateWopiContainerToken(containerId, user, permissions = 'edit') {
+        const payload = {
+            containerId,
+            permissions,
+            userId: user.id,
+            userName: user.name,
+            userEmail: user.email,
+            groups: user.groups || [],
+            jti: crypto.randomBytes(16).toString('hex'),
+            iat: Math.floor(Date.now() / 1000),
+            exp: Math.floor(Date.now() / 1000) + config.tokenTtlSeconds,
+            type: 'wopi_container'
+        };
+
+        return this.sign(payload);
+    },
+
+    /**
+     * Generate an application JWT for API authentication
+     * This is what your frontend would use to authenticate API calls
+     */
+    generateAppToken(user) {
+        const payload = {
+            sub: user.id,
+            name: user.name,
+            email: user.email,
+            groups: user.groups || [],
+            jti: crypto.randomBytes(16).toString('hex'),
+            iat: Math.floor(Date.now() / 1000),
+            exp: Math.floor(Date.now() / 1000) + config.tokenTtlSeconds,
+            type: 'app_auth'
+        };
+
+        return this.sign(payload);
+    },
+
+    /**
+     * Validate an application JWT
+     * Revocation rules name users by userId, app tokens by sub
+     */
+    validateAppToken(token) {
+        try {
+            const decoded = this.verify(token);
+
+            if (decoded.type !== 'app_auth') {
+                return null;
+            }
+
+            if (tokenRevocations.isRevoked({ ...decoded, userId: decoded.sub })) {
+                console.warn(`[Token] Revoked app token: jti=${decoded.jti} user=${decoded.sub}`);
+                return null;
+            }
+
+            return {
+                id: decoded.sub,
+                name: decoded.name,
+                email: decoded.email,
+                groups: decoded.groups || []
+            };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Get token TTL in milliseconds
+     */
+    getTokenTtlMs() {
+        return config.tokenTtlSeconds * 1000;
+    }
+};
+
+module.exports = {
+    keyStore, describeSigning, tokenService
+};
@@ -0,0 +1,101 @@
+/**
+ * Small helpers shared by the request handlers and services
+ */
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const SESSION_COOKIE = 'teamsync_session';
+const LOGIN_COOKIE = 'teamsync_login';
+
+/**
+ * Parse the Cookie header into a name -> value object
+ */
+function parseCookies(req) {
+    const cookies = {};
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        if (!name || name in cookies) continue;
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // Ignore cookies that are not ours and not URI-encoded
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Sanitize request parameter to ensure it's a string (not an array)
+ * Prevents type confusion attacks where arrays are passed as params
+ */
+function sanitizeParam(param) {
+    if (Array.isArray(param)) {
+        return String(param[0] || '');
+    }
+    return String(param || '');
+}
+
+/**
+ * Lower-case extension of a file name ("Report.DOCX" -> "docx")
+ */
+function getFileExtension(filename) {
+    return filename.split('.').pop().toLowerCase();
+}
+
+/**
+ * Decode the XML entities that appear in office document text
+ */
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+        switch (entity) {
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'amp': return '&';
+            case 'quot': return '"';
+            case 'apos': return "'";
+            default: {
+                const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                try {
+                    return String.fromCodePoint(code);
+                } catch {
+                    return match;
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Check that a file name is usable as a document name
+ */
+function isValidFileName(name) {
+    return typeof name === 'string' &&
+        name.trim().length > 0 &&
+        name.length <= 255 &&
+        // eslint-disable-next-line no-control-regex
+        !/[\\/:*?"<>|\x00-\x1f]/.test(name) &&
+        name !== '.' && name !== '..';
+}
+
+/**
+ * Make a file name unique among existing names: "Report.docx" -> "Report (1).docx"
+ */
+function makeUniqueFileName(name, existingNames) {
+    if (!existingNames.has(name)) return name;
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let i = 1; ; i++) {
+        const candidate = `${base} (${i})${ext}`;
+        if (!existingNames.has(candidate)) return candidate;
+    }
+}
+
+module.exports = {
+    SESSION_COOKIE, LOGIN_COOKIE, parseCookies, sanitizeParam, getFileExtension, decodeXmlEntities,
+    isValidFileName, makeUniqueFileName
+};
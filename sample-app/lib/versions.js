@@ -0,0 +1,140 @@
+/**
+ * Document version history
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { config } = require('./tenants');
+const { createContentDigest, storage, findDocument } = require('./storage');
+const { searchIndex } = require('./search');
+
+// ============================================================================
+// Version History
+// ============================================================================
+
+const versionService = {
+    /**
+     * Save new document content and keep it as the next numbered version
+     * Every write of document content goes through here (upload, PutFile, restore)
+     *
+     * Streamed content is written to the version store first and then copied
+     * to the current content, so it is never held in memory as a whole.
+     * @param {string} fileId - The document ID
+     * @param {Buffer|Readable} content - The new document content
+     * @param {object} metadata - Document metadata to store alongside the content
+     * @param {object} author - The user saving the content ({ id, name })
+     * @param {object} details - Extra fields recorded on the version (e.g. restoredFrom)
+     */
+    async saveDocument(fileId, content, metadata, author, details = {}) {
+        let versions = [...(metadata.versions || [])];
+
+        // Documents stored before version history existed have no versions yet;
+        // keep their current content as version 1 so it is not lost on first save
+        if (versions.length === 0 && await storage.metadata(fileId)) {
+            const existing = await storage.getStream(fileId);
+            versions.push(await this.storeVersion(fileId, 1, existing.stream, {
+                author: { id: existing.metadata.ownerId, name: null },
+                timestamp: existing.metadata.lastModified
+            }));
+        }
+
+        const lastVersion = versions.length > 0 ? versions[versions.length - 1].version : 0;
+        const record = await this.storeVersion(fileId, lastVersion + 1, content, {
+            author: { id: author.id, name: author.name },
+            timestamp: metadata.lastModified,
+            ...details
+        });
+        versions.push(record);
+
+        // Apply the retention limit, oldest versions first (the current version is always kept)
+        const pruned = [];
+        if (config.versionRetention > 0) {
+            while (versions.length > config.versionRetention) {
+                pruned.push(versions.shift());
+            }
+        }
+
+        // The new version's content becomes the current content
+        const saved = Buffer.isBuffer(content)
+            ? await storage.put(fileId, content, { ...metadata, versions })
+            : await storage.putStream(fileId, await storage.getVersionStream(fileId, record.version), { ...metadata, versions });
+        searchIndex.enqueue(saved, Buffer.isBuffer(content) ? content : null);
+
+        for (const old of pruned) {
+            try {
+                await storage.deleteVersionContent(fileId, old.version);
+            } catch (error) {
+                console.warn(`[Versions] Failed to prune version ${old.version} of ${fileId}:`, error.message);
+            }
+        }
+        if (pruned.length > 0) {
+            console.log(`[Versions] Pruned ${pruned.length} old version(s) of ${fileId}`);
+        }
+
+        return saved;
+    },
+
+    /**
+     * Store the content of one version and return its version record
+     */
+    async storeVersion(fileId, version, content, details) {
+        const source = Buffer.isBuffer(content) ? Readable.from([content]) : content;
+        const digest = createContentDigest();
+        await Promise.all([
+            pipeline(source, digest),
+            storage.putVersionStream(fileId, version, digest)
+        ]);
+        return {
+            version,
+            size: digest.bytes,
+            hash: digest.hash,
+            ...details
+        };
+    },
+
+    /**
+     * List the versions of a document, newest first
+     * Returns null if the document does not exist
+     */
+    async listVersions(fileId) {
+        const doc = await findDocument(fileId);
+        if (!doc) return null;
+        const versions = doc.versions || [];
+        const current = versions.length > 0 ? versions[versions.length - 1].version : null;
+        return {
+            fileId,
+            name: doc.name,
+            currentVersion: current,
+            versions: versions.map(v => ({ ...v, current: v.version === current })).reverse()
+        };
+    },
+
+    /**
+     * Get the record and a content stream of one version
+     * Returns null if the document or version does not exist
+     */
+    async getVersion(fileId, version) {
+        const doc = await findDocument(fileId);
+        const record = doc?.versions?.find(v => v.version === version);
+        if (!record) return null;
+        const stream = await storage.getVersionStream(fileId, version);
+        return stream ? { doc, record, stream } : null;
+    },
+
+    /**
+     * Restore an old version by saving its content as a new version
+     * The new version bumps lastModified so open editors see that the file changed
+     */
+    async restoreVersion(fileId, version, author) {
+        const found = await this.getVersion(fileId, version);
+        if (!found) return null;
+        return this.saveDocument(fileId, found.stream, {
+            ...found.doc,
+            lastModified: new Date().toISOString()
+        }, author, { restoredFrom: version });
+    }
+};
+
+module.exports = {
+    versionService
+};
@@ -0,0 +1,888 @@
+/**
+ * WOPI protocol and container endpoints, mounted by server.js
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { rateLimit } = require('express-rate-limit');
+const { pipeline } = require('stream/promises');
+const { sanitizeParam, getFileExtension, isValidFileName, makeUniqueFileName } = require('./utils');
+const { currentTenant, config, tenantRateLimit } = require('./tenants');
+const {
+    limitStreamSize, formatMegabytes, storage, findDocument, listDocuments, documentEtag
+} = require('./storage');
+const { documentLocks, lockService } = require('./locks');
+const { searchIndex } = require('./search');
+const { versionService } = require('./versions');
+const {
+    trashService, ROOT_FOLDER_ID, ROOT_FOLDER, folderService, capPermission
+} = require('./folders');
+const { ROLE_PERMISSIONS, roleAtLeast, documentAccess } = require('./access');
+const { renderWatermark, stampPdfWatermark, applyPolicyToPermission, documentPolicy } = require('./policies');
+const {
+    maxFileSize, editorPool, editorUrlsInUse, discoveryCache, discoveryMonitor
+} = require('./editor-routing');
+const { tokenService } = require('./tokens');
+const { validateWopiToken, validateWopiContainerToken } = require('./auth');
+
+const router = express.Router();
+
+// ============================================================================
+// WOPI Proof Key Validation
+// ============================================================================
+
+// X-WOPI-TimeStamp is in .NET ticks (100ns since 0001-01-01); proofs older than this are rejected
+const WOPI_PROOF_MAX_AGE_MS = 20 * 60 * 1000;
+const TICKS_AT_UNIX_EPOCH = 621355968000000000n;
+// A failing proof refetches an editor's discovery at most this often
+const WOPI_PROOF_REFETCH_MS = 60 * 1000;
+
+/**
+ * Checks that WOPI requests come from one of our editors
+ *
+ * Every editor signs its WOPI requests with the private half of the proof key
+ * published in its discovery XML. A request is genuine when X-WOPI-Proof
+ * verifies with the current key, X-WOPI-ProofOld verifies with the current key
+ * (the editor rotated, we have the new key but it signed with the old one), or
+ * X-WOPI-Proof verifies with the old key (we still have keys from before a
+ * rotation). Keys come from the discovery cache; when nothing verifies, the
+ * discovery of each editor is refetched (once a minute at most) and the check
+ * is repeated, so key rotations are picked up.
+ */
+const wopiProof = {
+    lastFetch: new Map(), // editorUrl -> time of the last discovery fetch made for proof keys
+
+    /**
+     * Editors that may call us: those the routing rules use, and those
+     * documents are open on (e.g. the unified editor after a failover)
+     */
+    editorUrls() {
+        const assigned = Array.from(editorPool.assignments.values(), assignment => assignment.url);
+        return Array.from(new Set([...editorUrlsInUse(), ...assigned]));
+    },
+
+    /**
+     * Proof keys of every editor in use that publishes one
+     * refresh: refetch discovery even if cached; a discovery fetched (by us or
+     * the background refresh) within WOPI_PROOF_REFETCH_MS is reused
+     */
+    async keys(refresh = false) {
+        const keys = await Promise.all(this.editorUrls().map(async editorUrl => {
+            const cached = discoveryCache.get(editorUrl);
+            const fetchedAt = Math.max(this.lastFetch.get(editorUrl) || 0, cached?.timestamp || 0);
+            if ((!cached || refresh) && Date.now() - fetchedAt >= WOPI_PROOF_REFETCH_MS) {
+                this.lastFetch.set(editorUrl, Date.now());
+                await discoveryMonitor.refresh(editorUrl);
+            }
+            return discoveryCache.get(editorUrl)?.proofKeys || null;
+        }));
+        return keys.filter(Boolean);
+    },
+
+    /**
+     * The bytes an editor signs: length-prefixed access token, upper-cased
+     * request URL and timestamp (lengths and timestamp big-endian)
+     */
+    expectedBytes(accessToken, url, ticks) {
+        const token = Buffer.from(accessToken, 'utf8');
+        const target = Buffer.from(url.toUpperCase(), 'utf8');
+        const buffer = Buffer.alloc(4 + token.length + 4 + target.length + 4 + 8);
+        let offset = buffer.writeInt32BE(token.length, 0);
+        offset += token.copy(buffer, offset);
+        offset = buffer.writeInt32BE(target.length, offset);
+        offset += target.copy(buffer, offset);
+        offset = buffer.writeInt32BE(8, offset);
+        buffer.writeBigInt64BE(ticks, offset);
+        return buffer;
+    },
+
+    verifySignature(key, data, signature) {
+        if (!key || !signature) return false;
+        try {
+            return crypto.verify('RSA-SHA256', data, key, Buffer.from(signature, 'base64'));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    matches(keys, data, proof, proofOld) {
+        return keys.some(({ current, old }) =>
+            this.verifySignature(current, data, proof) ||
+            this.verifySignature(current, data, proofOld) ||
+            this.verifySignature(old, data, proof));
+    },
+
+    /**
+     * URLs the editor may have signed: the WOPI callback URL it was given and,
+     * behind a proxy that rewrites it, the URL as this app received it
+     */
+    candidateUrls(req) {
+        return Array.from(new Set([
+            `${config.wopiCallbackUrl}${req.originalUrl}`,
+            `${req.protocol}://${req.get('host')}${req.originalUrl}`
+        ]));
+    },
+
+    /**
+     * Check a request's proof headers
+     * Returns null when the request is genuine, otherwise the reason it is not
+     */
+    async check(req) {
+        const proof = req.get('X-WOPI-Proof');
+        const proofOld = req.get('X-WOPI-ProofOld');
+        const timestamp = req.get('X-WOPI-TimeStamp');
+        const accessToken = req.query.access_token;
+
+        if (!proof || !timestamp) return 'missing X-WOPI-Proof or X-WOPI-TimeStamp';
+        if (typeof accessToken !== 'string') return 'missing access_token';
+        if (!/^\d{1,19}$/.test(timestamp)) return 'malformed X-WOPI-TimeStamp';
+
+        const ticks = BigInt(timestamp);
+        const signedAt = Number((ticks - TICKS_AT_UNIX_EPOCH) / 10000n);
+        if (Math.abs(Date.now() - signedAt) > WOPI_PROOF_MAX_AGE_MS) {
+            return `timestamp out of range (${new Date(signedAt).toISOString()})`;
+        }
+
+        const payloads = this.candidateUrls(req).map(url => this.expectedBytes(accessToken, url, ticks));
+        const verify = keys => payloads.some(data => this.matches(keys, data, proof, proofOld));
+
+        let keys = await this.keys();
+        if (verify(keys)) return null;
+
+        // The editor may have rotated its proof key since discovery was cached
+        keys = await this.keys(true);
+        if (keys.length === 0) return 'no proof keys available from discovery';
+        return verify(keys) ? null : 'signature does not match any editor proof key';
+    }
+};
+
+/**
+ * Middleware to reject WOPI requests that were not signed by one of our editors
+ * A failed proof is answered with 500, as the WOPI specification asks.
+ */
+async function verifyWopiProof(req, res, next) {
+    if (config.wopiProofValidation === 'off') return next();
+
+    let reason;
+    try {
+        reason = await wopiProof.check(req);
+    } catch (error) {
+        reason = `validation error: ${error.message}`;
+    }
+    if (!reason) return next();
+
+    console.warn(`[WOPI Proof] ${config.wopiProofValidation === 'report' ? 'Invalid proof (reported only)' : 'Rejected'}: ${req.method} ${req.baseUrl}${req.path} from ${req.ip}: ${reason}`);
+    if (config.wopiProofValidation === 'report') return next();
+    res.status(500).json({ error: 'WOPI proof validation failed' });
+}
+
+// ============================================================================
+// WOPI Protocol Endpoints
+// These endpoints are called by TeamSync Editor to access documents
+// ============================================================================
+
+// Rate limiter for WOPI endpoints to prevent abuse
+const wopiRateLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute window
+    ...tenantRateLimit('wopi', 100), // limit each IP to 100 requests per windowMs
+    message: { error: 'Too many requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+/**
+ * Decode a UTF-7 encoded header value (RFC 2152)
+ * WOPI sends X-WOPI-SuggestedTarget and X-WOPI-RelativeTarget as UTF-7
+ */
+function decodeUtf7(value) {
+    return String(value).replace(/\+([A-Za-z0-9+/]*)-?/g, (match, encoded) => {
+        if (encoded === '') return '+';
+        const bytes = Buffer.from(encoded, 'base64');
+        let decoded = '';
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            decoded += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+        }
+        return decoded;
+    });
+}
+
+/**
+ * WOPI PutRelativeFile - create a new file next to the current one ("Save As", export to host)
+ *
+ * X-WOPI-SuggestedTarget: a full name or just an extension (".pdf"); the host may
+ *   adjust the name to avoid a conflict
+ * X-WOPI-RelativeTarget: the exact name to use; conflicts are reported with 409 unless
+ *   X-WOPI-OverwriteRelativeTarget is true, the existing file is not locked and the
+ *   user may edit it; new files need write access to the source document's folder
+ */
+async function handlePutRelative(req, res, sourceDoc) {
+    const suggestedHeader = req.headers['x-wopi-suggestedtarget'];
+    const relativeHeader = req.headers['x-wopi-relativetarget'];
+    const overwrite = String(req.headers['x-wopi-overwriterelativetarget']).toLowerCase() === 'true';
+
+    if (req.wopiToken.permissions !== 'edit') {
+        return res.status(403).json({ error: 'Write permission required' });
+    }
+    if (suggestedHeader && relativeHeader) {
+        return res.status(501).json({ error: 'X-WOPI-SuggestedTarget and X-WOPI-RelativeTarget are mutually exclusive' });
+    }
+    if (!suggestedHeader && !relativeHeader) {
+        return res.status(400).json({ error: 'X-WOPI-SuggestedTarget or X-WOPI-RelativeTarget required' });
+    }
+
+    // New files are created next to the source document, so names only conflict within its folder
+    const folderId = sourceDoc.folderId || ROOT_FOLDER_ID;
+    const docs = (await listDocuments()).filter(d => (d.folderId || ROOT_FOLDER_ID) === folderId);
+    const existingNames = new Set(docs.map(d => d.name));
+    let targetName;
+    let existing = null;
+
+    if (suggestedHeader) {
+        // Suggested target: an extension alone means "current name with this extension"
+        let suggested = decodeUtf7(suggestedHeader).trim();
+        if (suggested.startsWith('.')) {
+            const dot = sourceDoc.name.lastIndexOf('.');
+            suggested = (dot > 0 ? sourceDoc.name.slice(0, dot) : sourceDoc.name) + suggested;
+        }
+        if (!isValidFileName(suggested)) {
+            return res.status(400).json({ error: 'Invalid file name' });
+        }
+        targetName = makeUniqueFileName(suggested, existingNames);
+    } else {
+        // Relative target: the name must be used exactly as given
+        targetName = decodeUtf7(relativeHeader).trim();
+        if (!isValidFileName(targetName)) {
+            return res.status(400).json({ error: 'Invalid file name' });
+        }
+
+        existing = docs.find(d => d.name === targetName) || null;
+        if (existing) {
+            const lock = lockService.getActiveLock(existing.id);
+            // Overwriting needs edit rights on the target itself, not just on the source
+            const role = overwrite && !lock ? await documentAccess.role(existing, req.wopiUser) : null;
+            const writable = role && roleAtLeast(role, 'editor');
+            if (!writable) {
+                res.set('X-WOPI-ValidRelativeTarget', makeUniqueFileName(targetName, existingNames));
+                if (lock) {
+                    res.set('X-WOPI-Lock', lock.lockId);
+                }
+                const reason = lock ? 'Target file is locked' : overwrite ? 'No write access to the target file' : 'Target file already exists';
+                return res.status(409).json({ error: reason });
+            }
+        }
+    }
+
+    if (!existing && await folderService.effectivePermission(folderId, req.wopiUser) !== 'edit') {
+        return res.status(403).json({ error: 'No write access to the folder' });
+    }
+
+    if (!documentPolicy.allowsExport(req.wopiToken.policy, targetName)) {
+        console.warn(`[WOPI] PutRelativeFile refused: ${sourceDoc.id} -> "${targetName}" not an allowed export format for ${req.wopiUser.id}`);
+        return res.status(403).json({ error: `Export to .${getFileExtension(targetName)} is not allowed for this document` });
+    }
+
+    // Reject oversized files up front when the client announces the size
+    const maxBytes = maxFileSize(targetName);
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+        res.set('Connection', 'close');
+        return res.status(413).json({ error: `File exceeds the maximum size of ${formatMegabytes(maxBytes)}` });
+    }
+
+    // The body is streamed into storage, like PutFile; only a PDF that gets a watermark is read into memory
+    let content = limitStreamSize(req, maxBytes);
+    const newFileId = existing ? existing.id : `doc-${crypto.randomBytes(8).toString('hex')}`;
+    let doc;
+    try {
+        // Watermarked documents leave the editor as PDFs carrying the same watermark the user saw
+        const watermark = req.wopiToken.policy?.watermark;
+        if (watermark && getFileExtension(targetName) === 'pdf') {
+            const chunks = [];
+            for await (const chunk of content) {
+                chunks.push(chunk);
+            }
+            try {
+                content = await stampPdfWatermark(Buffer.concat(chunks), renderWatermark(watermark, req.wopiToken));
+            } catch (error) {
+                console.error(`[WOPI] PutRelativeFile: cannot watermark PDF export of ${sourceDoc.id}:`, error.message);
+                return res.status(400).json({ error: 'Exported PDF could not be watermarked' });
+            }
+        }
+
+        doc = await versionService.saveDocument(newFileId, content, {
+            ...(existing || {}),
+            id: newFileId,
+            name: targetName,
+            folderId,
+            lastModified: new Date().toISOString(),
+            ownerId: existing ? existing.ownerId : req.wopiUser.id,
+            // A copy keeps the restrictions of the document it was saved from
+            policy: existing ? existing.policy : sourceDoc.policy
+        }, req.wopiUser);
+    } catch (error) {
+        if (error.code !== 'FILE_TOO_LARGE') throw error;
+        console.log(`[WOPI] PutRelativeFile rejected for ${sourceDoc.id}: ${error.message}`);
+        res.set('Connection', 'close');
+        return res.status(413).json({ error: error.message });
+    }
+
+    const accessToken = tokenService.generateWopiToken(newFileId, req.wopiUser, req.wopiToken.permissions, {
+        policy: req.wopiToken.policy
+    });
+
+    console.log(`[WOPI] PutRelativeFile: ${sourceDoc.id} -> ${doc.id} "${doc.name}" (${doc.size} bytes${existing ? ', overwritten' : ''}) by ${req.wopiUser.name}`);
+
+    res.json({
+        Name: doc.name,
+        Url: `${config.wopiCallbackUrl}/wopi/files/${doc.id}?access_token=${encodeURIComponent(accessToken)}`,
+        HostViewUrl: `${config.publicUrl}/?doc=${doc.id}&mode=view`,
+        HostEditUrl: `${config.publicUrl}/?doc=${doc.id}`
+    });
+}
+
+// Every file request must carry a valid proof from one of our editors
+router.use('/wopi/files', verifyWopiProof);
+
+/**
+ * WOPI CheckFileInfo - Get file metadata
+ * Called when TeamSync Editor opens a document
+ */
+router.get('/wopi/files/:fileId', wopiRateLimiter, validateWopiToken, async (req, res) => {
+    const startTime = Date.now();
+    const { fileId } = req.params;
+    console.log(`[WOPI] CheckFileInfo request: fileId=${fileId}`);
+
+    let doc;
+    try {
+        doc = await findDocument(fileId);
+    } catch (error) {
+        console.error(`[WOPI] CheckFileInfo error for ${fileId}:`, error);
+        return res.status(500).json({ error: 'Storage error' });
+    }
+
+    if (!doc) {
+        console.log(`[WOPI] CheckFileInfo: file not found - ${fileId}`);
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    const user = req.wopiUser;
+    const policy = req.wopiToken.policy || {};
+    const canWrite = req.wopiToken.permissions === 'edit' && !policy.commentOnly;
+    // Comments are stored in the document, so commenters still save through PutFile
+    const canComment = req.wopiToken.permissions === 'comment' || (req.wopiToken.permissions === 'edit' && policy.commentOnly === true);
+    // The editor can neither limit downloads to some formats nor watermark them, so a
+    // format list or a watermark leaves only exports into storage (PutRelativeFile)
+    const noExport = policy.noDownload === true || Array.isArray(policy.exportFormats) || Boolean(policy.watermark);
+    // Guests (share links) only get the document itself: no Save As, rename or folder navigation
+    const isGuest = user.guest;
+    const folder = isGuest ? null : await folderService.get(doc.folderId);
+
+    // Return WOPI CheckFileInfo response
+    // See: https://docs.microsoft.com/en-us/microsoft-365/cloud-storage-partner-program/rest/files/checkfileinfo
+    const elapsed = Date.now() - startTime;
+    console.log(`[WOPI] CheckFileInfo: ${doc.name} (${doc.size} bytes) - ${elapsed}ms`);
+    res.json({
+        // Required properties
+        BaseFileName: doc.name,
+        OwnerId: doc.ownerId,
+        Size: doc.size,
+        UserId: user.id,
+        Version: doc.lastModified,
+
+        // User info
+        UserFriendlyName: user.name,
+        UserCanWrite: canWrite || canComment,
+        UserCanOnlyComment: canComment,
+        UserCanNotWriteRelative: !canWrite || isGuest || policy.exportFormats?.length === 0,
+
+        // Capabilities
+        SupportsUpdate: true,
+        SupportsLocks: true,
+        SupportsGetLock: true,
+        SupportsExtendedLockLength: true,
+        SupportsRename: true,
+        SupportsDeleteFile: true,
+        SupportsCobalt: false,
+        SupportsFolders: !isGuest,
+        SupportsContainers: !isGuest,
+        SupportsUserInfo: true,
+
+        // Status
+        IsAnonymousUser: isGuest,
+        IsAdminUser: !isGuest,  // Set to true to enable admin features in TeamSync Editor
+        ReadOnly: !canWrite && !canComment,
+        RestrictedWebViewOnly: false,
+        LastModifiedTime: doc.lastModified,
+
+        // URLs for navigation
+        CloseUrl: config.publicUrl,
+        HostEditUrl: isGuest ? undefined : `${config.publicUrl}/?doc=${fileId}`,
+        HostViewUrl: isGuest ? undefined : `${config.publicUrl}/?doc=${fileId}&mode=view`,
+        BreadcrumbBrandName: currentTenant().branding.name || 'TeamSync',
+        BreadcrumbBrandUrl: config.publicUrl,
+        BreadcrumbFolderName: isGuest ? undefined : (folder ? folder.name : ROOT_FOLDER.name),
+        BreadcrumbFolderUrl: isGuest ? undefined : `${config.publicUrl}/?folder=${folder ? folder.id : ROOT_FOLDER_ID}`,
+        BreadcrumbDocName: doc.name,
+
+        // PostMessage settings for iframe communication
+        PostMessageOrigin: config.publicUrl,
+        EnableOwnerTermination: true,  // Allow host to terminate sessions
+        EnableInsertRemoteImage: false,
+
+        // Restricted rights from the token's policy claim
+        DisableExport: noExport,
+        HideExportOption: noExport,
+        DisablePrint: policy.noPrint === true,
+        HidePrintOption: policy.noPrint === true,
+        DisableCopy: policy.noCopy === true,
+        WatermarkText: policy.watermark ? renderWatermark(policy.watermark, req.wopiToken) : undefined,
+
+        // Additional WOPI properties for better integration
+        UserCanRename: canWrite && !isGuest,
+        FileNameMaxLength: 255,
+        EditModePostMessage: true,  // Enable PostMessage for edit mode changes
+        FileSharingPostMessage: true,  // Enable PostMessage for file sharing
+        ClosePostMessage: true,  // Enable PostMessage when document closes
+    });
+});
+
+/**
+ * WOPI GetFile - Download file content
+ */
+router.get('/wopi/files/:fileId/contents', validateWopiToken, async (req, res) => {
+    const startTime = Date.now();
+    const { fileId } = req.params;
+    console.log(`[WOPI] GetFile request: fileId=${fileId}`);
+
+    let file;
+    try {
+        file = await storage.getStream(fileId);
+    } catch (error) {
+        console.error(`[WOPI] GetFile error for ${fileId}:`, error);
+        return res.status(500).json({ error: 'Storage error' });
+    }
+
+    if (!file || file.metadata.deletedAt) {
+        file?.stream.destroy();
+        console.log(`[WOPI] GetFile: file not found - ${fileId}`);
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { metadata: doc, stream } = file;
+    const etag = documentEtag(doc);
+
+    if (etag && req.headers['if-none-match'] === etag) {
+        stream.destroy();
+        res.set({ 'ETag': etag, 'X-WOPI-ItemVersion': doc.lastModified });
+        return res.status(304).end();
+    }
+
+    const elapsed = Date.now() - startTime;
+    console.log(`[WOPI] GetFile: ${doc.name} (${doc.size} bytes) - ${elapsed}ms`);
+
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': doc.size,
+        'X-WOPI-ItemVersion': doc.lastModified
+    });
+    if (etag) {
+        res.set('ETag', etag);
+    }
+
+    // Stream straight from storage so large files are not buffered in memory
+    try {
+        await pipeline(stream, res);
+    } catch (error) {
+        // Clients may hang up as soon as they have read Content-Length bytes
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error(`[WOPI] GetFile stream error for ${fileId}:`, error.message);
+        }
+        res.destroy(error);
+    }
+});
+
+/**
+ * WOPI PutFile - Save file content
+ */
+router.post('/wopi/files/:fileId/contents', validateWopiToken, async (req, res) => {
+    const { fileId } = req.params;
+    let doc;
+    try {
+        doc = await findDocument(fileId);
+    } catch (error) {
+        console.error(`[WOPI] PutFile error for ${fileId}:`, error);
+        return res.status(500).json({ error: 'Storage error' });
+    }
+
+    if (!doc) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Check write permission (commenters save the comments they add)
+    if (req.wopiToken.permissions !== 'edit' && req.wopiToken.permissions !== 'comment') {
+        return res.status(403).json({ error: 'Write permission required' });
+    }
+
+    // Check lock (if document is locked by another user)
+    const lock = lockService.getActiveLock(fileId);
+    const requestLock = req.headers['x-wopi-lock'];
+
+    if (lock && requestLock !== lock.lockId) {
+        res.set('X-WOPI-Lock', lock.lockId);
+        return res.status(409).json({ error: 'Lock mismatch' });
+    }
+
+    // Reject oversized files up front when the client announces the size
+    const maxBytes = maxFileSize(doc.name);
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+        res.set('Connection', 'close');
+        return res.status(413).json({ error: `File exceeds the maximum size of ${formatMegabytes(maxBytes)}` });
+    }
+
+    // Stream the request body into storage
+    try {
+        doc = await versionService.saveDocument(fileId, limitStreamSize(req, maxBytes), {
+            ...doc,
+            lastModified: new Date().toISOString()
+        }, req.wopiUser);
+    } catch (error) {
+        if (error.code === 'FILE_TOO_LARGE') {
+            console.log(`[WOPI] PutFile rejected for ${fileId}: ${error.message}`);
+            res.set('Connection', 'close');
+            return res.status(413).json({ error: error.message });
+        }
+        console.error(`[WOPI] PutFile write failed for ${fileId}:`, error);
+        return res.status(500).json({ error: 'Failed to save file' });
+    }
+
+    console.log(`[WOPI] PutFile: ${doc.name} (${doc.size} bytes, version ${doc.versions.length ? doc.versions[doc.versions.length - 1].version : '?'}) by ${req.wopiUser.name}`);
+
+    res.set({ 'X-WOPI-ItemVersion': doc.lastModified, 'ETag': documentEtag(doc) });
+    res.json({
+        LastModifiedTime: doc.lastModified,
+        ItemVersion: doc.lastModified
+    });
+});
+
+/**
+ * WOPI Lock/Unlock, PutRelativeFile, DeleteFile and RenameFile operations
+ */
+router.post('/wopi/files/:fileId', validateWopiToken, async (req, res) => {
+    const { fileId } = req.params;
+    const wopiOverride = req.get('X-WOPI-Override');
+    const requestLock = req.headers['x-wopi-lock'];
+    const oldLock = req.headers['x-wopi-oldlock'];
+
+    let doc;
+    try {
+        doc = await findDocument(fileId);
+    } catch (error) {
+        console.error(`[WOPI] ${wopiOverride} error for ${fileId}:`, error);
+        return res.status(500).json({ error: 'Storage error' });
+    }
+    if (!doc) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Share link guests may only lock and save the shared document
+    if (req.wopiUser.guest && ['PUT_RELATIVE', 'DELETE', 'RENAME_FILE'].includes(wopiOverride)) {
+        return res.status(403).json({ error: 'Not allowed for guests' });
+    }
+
+    const currentLock = lockService.getActiveLock(fileId);
+
+    switch (wopiOverride) {
+        case 'LOCK':
+            if (currentLock) {
+                if (currentLock.lockId === requestLock) {
+                    // Refresh lock
+                    currentLock.timestamp = Date.now();
+                    res.set('X-WOPI-Lock', currentLock.lockId);
+                    return res.status(200).send();
+                } else {
+                    // Conflict
+                    res.set('X-WOPI-Lock', currentLock.lockId);
+                    return res.status(409).json({ error: 'Lock conflict' });
+                }
+            }
+            // Create new lock
+            documentLocks.set(fileId, {
+                lockId: requestLock,
+                userId: req.wopiUser.id,
+                userName: req.wopiUser.name,
+                timestamp: Date.now()
+            });
+            console.log(`[WOPI] Lock acquired: ${fileId} by ${req.wopiUser.name}`);
+            res.set('X-WOPI-Lock', requestLock);
+            return res.status(200).send();
+
+        case 'GET_LOCK':
+            res.set('X-WOPI-Lock', currentLock?.lockId || '');
+            return res.status(200).send();
+
+        case 'REFRESH_LOCK':
+            if (!currentLock || currentLock.lockId !== requestLock) {
+                res.set('X-WOPI-Lock', currentLock?.lockId || '');
+                return res.status(409).json({ error: 'Lock mismatch' });
+            }
+            currentLock.timestamp = Date.now();
+            res.set('X-WOPI-Lock', currentLock.lockId);
+            return res.status(200).send();
+
+        case 'UNLOCK':
+            if (!currentLock || currentLock.lockId !== requestLock) {
+                res.set('X-WOPI-Lock', currentLock?.lockId || '');
+                return res.status(409).json({ error: 'Lock mismatch' });
+            }
+            documentLocks.delete(fileId);
+            console.log(`[WOPI] Lock released: ${fileId}`);
+            res.set('X-WOPI-Lock', '');
+            return res.status(200).send();
+
+        case 'UNLOCK_AND_RELOCK':
+            if (!currentLock || currentLock.lockId !== oldLock) {
+                res.set('X-WOPI-Lock', currentLock?.lockId || '');
+                return res.status(409).json({ error: 'Lock mismatch' });
+            }
+            documentLocks.set(fileId, {
+                lockId: requestLock,
+                userId: req.wopiUser.id,
+                userName: req.wopiUser.name,
+                timestamp: Date.now()
+            });
+            res.set('X-WOPI-Lock', requestLock);
+            return res.status(200).send();
+
+        case 'PUT_RELATIVE':
+            try {
+                return await handlePutRelative(req, res, doc);
+            } catch (error) {
+                console.error(`[WOPI] PutRelativeFile error for ${fileId}:`, error);
+                return res.status(500).json({ error: 'Failed to create file' });
+            }
+
+        case 'DELETE':
+            if (req.wopiToken.permissions !== 'edit') {
+                return res.status(403).json({ error: 'Write permission required' });
+            }
+            try {
+                // The same check as the REST API: owner or admin, and refused while
+                // any session, including the caller's, holds the lock
+                const refusal = await documentAccess.deleteRefusal(doc, req.wopiUser);
+                if (refusal) {
+                    if (refusal.lock) res.set('X-WOPI-Lock', refusal.lock.lockId);
+                    return res.status(refusal.status).json({ error: refusal.error });
+                }
+                await trashService.moveToTrash(fileId, req.wopiUser);
+            } catch (error) {
+                console.error(`[WOPI] DeleteFile error for ${fileId}:`, error);
+                return res.status(500).json({ error: 'Failed to delete file' });
+            }
+            console.log(`[WOPI] Deleted (moved to trash): ${fileId} by ${req.wopiUser.name}`);
+            return res.status(200).send();
+
+        case 'RENAME_FILE': {
+            if (req.wopiToken.permissions !== 'edit') {
+                return res.status(403).json({ error: 'Write permission required' });
+            }
+            const requestedName = req.get('X-WOPI-RequestedName');
+            if (requestedName) {
+                let newName;
+                try {
+                    newName = decodeURIComponent(requestedName).trim();
+                } catch (error) {
+                    newName = null;
+                }
+                if (!isValidFileName(newName)) {
+                    res.set('X-WOPI-InvalidFileNameError', 'Invalid file name');
+                    return res.status(400).json({ error: 'Invalid file name' });
+                }
+                try {
+                    doc = await storage.rename(fileId, newName);
+                    await searchIndex.rename(fileId, doc.name);
+                } catch (error) {
+                    console.error(`[WOPI] RenameFile error for ${fileId}:`, error);
+                    return res.status(500).json({ error: 'Failed to rename file' });
+                }
+                console.log(`[WOPI] Renamed: ${fileId} -> ${doc.name}`);
+            }
+            res.json({ Name: doc.name });
+            return;
+        }
+
+        default:
+            return res.status(400).json({ error: 'Unknown WOPI operation' });
+    }
+});
+
+// ============================================================================
+// WOPI Container Endpoints
+// ============================================================================
+
+/**
+ * Build a WOPI URL (with a fresh access token) for a child file or container
+ */
+function wopiFileUrl(fileId, user, permissions, policy = null) {
+    const accessToken = tokenService.generateWopiToken(fileId, user, applyPolicyToPermission(permissions, policy), { policy });
+    return `${config.wopiCallbackUrl}/wopi/files/${fileId}?access_token=${encodeURIComponent(accessToken)}`;
+}
+
+function wopiContainerUrl(containerId, user, permissions) {
+    const accessToken = tokenService.generateWopiContainerToken(containerId, user, permissions);
+    return `${config.wopiCallbackUrl}/wopi/containers/${containerId}?access_token=${encodeURIComponent(accessToken)}`;
+}
+
+/**
+ * Map a folder path (root first) to WOPI AncestorsWithRootFirst entries,
+ * skipping folders the user cannot see
+ */
+async function describeAncestors(folders, user, permissions) {
+    const ancestors = [];
+    for (const folder of folders) {
+        const allowed = await folderService.effectivePermission(folder.id, user);
+        if (!allowed) continue;
+        ancestors.push({
+            Name: folder.name,
+            Url: wopiContainerUrl(folder.id, user, capPermission(permissions, allowed))
+        });
+    }
+    return ancestors;
+}
+
+/**
+ * Resolve the container from the request and the caller's permission on it
+ * Sends the error response and returns null if the container is missing or inaccessible
+ */
+async function loadContainerForWopi(req, res) {
+    const containerId = sanitizeParam(req.params.containerId);
+    const folder = await folderService.get(containerId);
+    if (!folder) {
+        res.status(404).json({ error: 'Container not found' });
+        return null;
+    }
+    const permission = capPermission(req.wopiToken.permissions,
+        await folderService.effectivePermission(folder.id, req.wopiUser));
+    if (!permission) {
+        res.status(401).json({ error: 'Access denied' });
+        return null;
+    }
+    return { folder, permission };
+}
+
+/**
+ * WOPI CheckContainerInfo - Get container (folder) metadata
+ */
+router.get('/wopi/containers/:containerId', wopiRateLimiter, validateWopiContainerToken, async (req, res) => {
+    try {
+        const container = await loadContainerForWopi(req, res);
+        if (!container) return;
+        const { folder, permission } = container;
+        const canWrite = permission === 'edit';
+        const isRoot = folder.id === ROOT_FOLDER_ID;
+
+        res.json({
+            Name: folder.name,
+            UserCanCreateChildContainer: canWrite,
+            UserCanCreateChildFile: canWrite,
+            UserCanDelete: canWrite && !isRoot,
+            UserCanRename: canWrite && !isRoot,
+            IsEduUser: false,
+            HostUrl: `${config.publicUrl}/?folder=${folder.id}`,
+            BreadcrumbBrandName: currentTenant().branding.name || 'TeamSync',
+            BreadcrumbBrandUrl: config.publicUrl
+        });
+    } catch (error) {
+        console.error('[WOPI] CheckContainerInfo error:', error);
+        res.status(500).json({ error: 'Storage error' });
+    }
+});
+
+/**
+ * WOPI EnumerateChildren - List the files and containers inside a container
+ * Honours the optional X-WOPI-FileExtensionFilterList header (e.g. ".docx,.xlsx")
+ */
+router.get('/wopi/containers/:containerId/children', wopiRateLimiter, validateWopiContainerToken, async (req, res) => {
+    try {
+        const container = await loadContainerForWopi(req, res);
+        if (!container) return;
+        const { folder, permission } = container;
+        const user = req.wopiUser;
+
+        const filterHeader = req.get('X-WOPI-FileExtensionFilterList');
+        const extensions = filterHeader
+            ? filterHeader.split(',').map(ext => ext.trim().toLowerCase().replace(/^\./, '')).filter(Boolean)
+            : null;
+
+        const childFiles = [];
+        for (const doc of await listDocuments()) {
+            if ((doc.folderId || ROOT_FOLDER_ID) !== folder.id) continue;
+            if (extensions && !extensions.includes(getFileExtension(doc.name))) continue;
+            const role = await documentAccess.role(doc, user);
+            if (!role) continue;
+            childFiles.push({
+                Name: doc.name,
+                Url: wopiFileUrl(doc.id, user, capPermission(permission, ROLE_PERMISSIONS[role]), await documentPolicy.effective(doc)),
+                LastModifiedTime: doc.lastModified,
+                Size: doc.size,
+                Version: doc.lastModified
+            });
+        }
+
+        const childContainers = [];
+        for (const child of await folderService.children(folder.id)) {
+            const allowed = await folderService.effectivePermission(child.id, user);
+            if (!allowed) continue;
+            childContainers.push({
+                Name: child.name,
+                Url: wopiContainerUrl(child.id, user, capPermission(permission, allowed))
+            });
+        }
+
+        res.json({ ChildFiles: childFiles, ChildContainers: childContainers });
+    } catch (error) {
+        console.error('[WOPI] EnumerateChildren error:', error);
+        res.status(500).json({ error: 'Storage error' });
+    }
+});
+
+/**
+ * WOPI EnumerateAncestors (container) - Path from the root to the container's parent
+ */
+router.get('/wopi/containers/:containerId/ancestry', wopiRateLimiter, validateWopiContainerToken, async (req, res) => {
+    try {
+        const container = await loadContainerForWopi(req, res);
+        if (!container) return;
+        const path = (await folderService.ancestors(container.folder.id)).slice(0, -1);
+        res.json({
+            AncestorsWithRootFirst: await describeAncestors(path, req.wopiUser, req.wopiToken.permissions)
+        });
+    } catch (error) {
+        console.error('[WOPI] EnumerateAncestors error:', error);
+        res.status(500).json({ error: 'Storage error' });
+    }
+});
+
+/**
+ * WOPI EnumerateAncestors (file) - Path from the root to the file's folder
+ */
+router.get('/wopi/files/:fileId/ancestry', wopiRateLimiter, validateWopiToken, async (req, res) => {
+    try {
+        if (req.wopiUser.guest) {
+            return res.status(403).json({ error: 'Not allowed for guests' });
+        }
+        const doc = await findDocument(sanitizeParam(req.params.fileId));
+        if (!doc) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        const path = await folderService.ancestors(doc.folderId || ROOT_FOLDER_ID);
+        res.json({
+            AncestorsWithRootFirst: await describeAncestors(path, req.wopiUser, req.wopiToken.permissions)
+        });
+    } catch (error) {
+        console.error('[WOPI] EnumerateAncestors error:', error);
+        res.status(500).json({ error: 'Storage error' });
+    }
+});
+
+module.exports = {
+    wopiProof, router
+};
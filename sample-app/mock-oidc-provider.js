@@ -0,0 +1,197 @@
+/**
+ * Mock OpenID Connect provider for trying out the sample app's login locally
+ *
+ * Implements just enough of OIDC for the authorization code flow: discovery,
+ * a user picker instead of a password prompt, the token endpoint (with PKCE
+ * and client secret checks), JWKS, userinfo and logout. Never use it outside
+ * development.
+ *
+ * Run: npm run mock-idp
+ * Then start the app with:
+ *   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=teamsync-sample \
+ *   OIDC_CLIENT_SECRET=mock-secret ALLOW_DEMO_USER=false npm start
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT           port to listen on (9400)
+ *   MOCK_OIDC_ISSUER         issuer URL (http://localhost:<port>)
+ *   MOCK_OIDC_CLIENT_ID      accepted client id (teamsync-sample)
+ *   MOCK_OIDC_CLIENT_SECRET  accepted client secret (mock-secret)
+ *   MOCK_OIDC_USERS          JSON array of users: [{ sub, name, email, groups }]
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '9400');
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'teamsync-sample';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+const USERS = process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : [
+    { sub: 'demo-user-001', name: 'Demo User', email: 'demo@example.com', groups: ['staff'] },
+    { sub: 'alice', name: 'Alice Example', email: 'alice@example.com', groups: ['staff', 'finance'] },
+    { sub: 'bob', name: 'Bob Example', email: 'bob@example.com', groups: ['contractors'] }
+];
+
+// A fresh signing key on every start; the app refetches the JWKS on an unknown kid
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes and access tokens, in memory
+const codes = new Map();        // code -> { user, clientId, redirectUri, nonce, codeChallenge, expiresAt }
+const accessTokens = new Map(); // token -> { user, expiresAt }
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function redirectWithParams(res, redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [name, value] of Object.entries(params)) {
+        if (value !== undefined) url.searchParams.set(name, value);
+    }
+    res.redirect(url.toString());
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        end_session_endpoint: `${ISSUER}/logout`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: ['openid', 'profile', 'email', 'groups'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['sub', 'name', 'email', 'groups']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+/**
+ * Authorization endpoint: pick a user instead of entering a password
+ */
+app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+    if (clientId !== CLIENT_ID || !redirectUri) {
+        return res.status(400).send('Unknown client_id or missing redirect_uri');
+    }
+    if (responseType !== 'code') {
+        return redirectWithParams(res, redirectUri, { error: 'unsupported_response_type', state: req.query.state });
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method', 'scope']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+        .join('');
+    const buttons = USERS
+        .map(user => `<button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt;</button>`)
+        .join('<br>');
+
+    res.send(`<!DOCTYPE html><title>Mock OIDC login</title>
+<h1>Mock identity provider</h1><p>Sign in as:</p>
+<form method="post" action="/authorize">${hidden}${buttons}<br><button name="deny" value="1">Deny</button></form>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state } = req.body;
+    if (clientId !== CLIENT_ID || !redirectUri) {
+        return res.status(400).send('Unknown client_id or missing redirect_uri');
+    }
+    if (req.body.deny) {
+        return redirectWithParams(res, redirectUri, { error: 'access_denied', error_description: 'User denied the login', state });
+    }
+
+    const user = USERS.find(candidate => candidate.sub === req.body.sub);
+    if (!user) {
+        return res.status(400).send('Unknown user');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        user,
+        clientId,
+        redirectUri,
+        nonce: req.body.nonce || undefined,
+        codeChallenge: req.body.code_challenge || null,
+        expiresAt: Date.now() + 60 * 1000
+    });
+    console.log(`[MockIdP] ${user.sub} logged in to ${clientId}`);
+    redirectWithParams(res, redirectUri, { code, state });
+});
+
+/**
+ * Token endpoint: authorization_code grant only
+ */
+app.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const basic = req.headers.authorization?.match(/^Basic (.+)$/);
+    if (basic) {
+        const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':');
+        clientId = decodeURIComponent(id);
+        clientSecret = decodeURIComponent(secret || '');
+    }
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+        return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (grant.codeChallenge) {
+        const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(accessToken, { user: grant.user, expiresAt: Date.now() + 3600 * 1000 });
+
+    const idToken = jwt.sign({
+        sub: grant.user.sub,
+        name: grant.user.name,
+        email: grant.user.email,
+        groups: grant.user.groups || [],
+        nonce: grant.nonce
+    }, privateKey, { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: clientId, expiresIn: 300 });
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 3600, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const entry = token && accessTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    const { sub, name, email, groups } = entry.user;
+    res.json({ sub, name, email, groups: groups || [] });
+});
+
+app.get('/logout', (req, res) => {
+    const target = req.query.post_logout_redirect_uri;
+    if (target) return res.redirect(target);
+    res.send('Logged out');
+});
+
+app.listen(PORT, () => {
+    console.log(`[MockIdP] Mock OpenID Connect provider at ${ISSUER} (client_id=${CLIENT_ID})`);
+    console.log(`[MockIdP] Users: ${USERS.map(user => user.sub).join(', ')}`);
+});
@@ -16,17 +16,39 @@ class TeamSyncApp {
         this.config = {
             apiBaseUrl: '/api',
             healthCheckInterval: 30000,
+            pageSize: 50,
+            searchDebounce: 300,
+            // How often an open document's token is checked for expiry or revocation
+            sessionCheckInterval: 30000,
         };
 
         // State
         this.documents = [];
-        this.filteredDocuments = [];
+        // Listing query state - filtering, sorting and paging happen on the server
+        this.searchQuery = '';
+        this.sortOrder = 'name:asc';
+        this.nextCursor = null;
+        this.totalDocuments = 0;
+        this.searchTimer = null;
+        this.contentSearchTimer = null;
         this.currentDocument = null;
         this.currentToken = null;
+        this.sessionTimer = null;
+        // Logged-in user, from GET /api/auth/me
+        this.currentUser = null;
+        this.isAdmin = false;
         this.isConnected = false;
         this.currentFilter = 'all';
-        // Editor modes: 'teamsync-unified' | 'multi-editor'
-        this.editorMode = localStorage.getItem('editorMode') || 'teamsync-unified';
+        // Sidebar view: 'documents' | 'trash'
+        this.currentView = 'documents';
+        this.trashedDocuments = [];
+        // Folder navigation ('root' is the top level); ?folder= deep links into a folder
+        this.currentFolderId = new URLSearchParams(window.location.search).get('folder') || 'root';
+        this.currentFolder = null;
+        // Document shown in the share dialog
+        this.shareDocumentId = null;
+        // Editor modes the server's routing rules use ('teamsync-unified' | 'multi-editor'), from the health check
+        this.editors = ['teamsync-unified'];
         this.serviceStatus = {
             'teamsync-document': 'checking',
             'teamsync-sheets': 'checking',
@@ -34,17 +56,26 @@ class TeamSyncApp {
             'teamsync-editor': 'checking'
         };
 
-        // File type mappings
-        this.fileTypeMap = {
-            document: ['docx', 'doc', 'odt', 'rtf', 'txt'],
-            spreadsheet: ['xlsx', 'xls', 'ods', 'csv'],
-            presentation: ['pptx', 'ppt', 'odp']
+        // Document roles, as returned by the server
+        this.roleLabels = {
+            owner: 'Owner',
+            editor: 'Editor',
+            commenter: 'Commenter',
+            viewer: 'Viewer'
+        };
+
+        // Filter tab -> document type understood by GET /api/documents
+        this.filterTypes = {
+            docx: 'document',
+            xlsx: 'spreadsheet',
+            pptx: 'presentation'
         };
 
-        this.supportedFormats = {
-            document: '.docx, .doc, .odt, .rtf, .txt',
-            spreadsheet: '.xlsx, .xls, .ods, .csv',
-            presentation: '.pptx, .ppt, .odp'
+        // Extensions per document type, from GET /api/formats (the editors' discovery)
+        this.fileTypeMap = {
+            document: [],
+            spreadsheet: [],
+            presentation: []
         };
 
         // DOM Elements
@@ -72,12 +103,42 @@ class TeamSyncApp {
             successMessage: document.getElementById('success-message'),
             closeSuccessToast: document.getElementById('close-success-toast'),
             filterTabs: document.getElementById('filter-tabs'),
+            listControls: document.getElementById('list-controls'),
+            searchInput: document.getElementById('document-search'),
+            sortSelect: document.getElementById('document-sort'),
+            contentSearch: document.getElementById('content-search'),
+            searchResults: document.getElementById('search-results'),
             serviceIndicators: document.getElementById('service-indicators'),
             statusDocument: document.getElementById('status-document'),
             statusSheets: document.getElementById('status-sheets'),
             statusPresentation: document.getElementById('status-presentation'),
-            editorModeSelector: document.querySelector('.editor-mode-selector'),
-            editorModeOptions: document.querySelectorAll('input[name="editor-mode"]'),
+            sidebarTitle: document.getElementById('sidebar-title'),
+            trashBtn: document.getElementById('trash-btn'),
+            newFolderBtn: document.getElementById('new-folder-btn'),
+            breadcrumbs: document.getElementById('folder-breadcrumbs'),
+            shareModal: document.getElementById('share-modal'),
+            shareTitle: document.getElementById('share-title'),
+            shareForm: document.getElementById('share-form'),
+            sharePrincipal: document.getElementById('share-principal'),
+            shareType: document.getElementById('share-type'),
+            shareRole: document.getElementById('share-role'),
+            shareList: document.getElementById('share-list'),
+            closeShare: document.getElementById('close-share'),
+            shareLinks: document.getElementById('share-links'),
+            linkForm: document.getElementById('link-form'),
+            linkPermissions: document.getElementById('link-permissions'),
+            linkExpires: document.getElementById('link-expires'),
+            linkPassword: document.getElementById('link-password'),
+            linkMaxUses: document.getElementById('link-max-uses'),
+            linkUrl: document.getElementById('link-url'),
+            linkList: document.getElementById('link-list'),
+            brandIcon: document.getElementById('brand-icon'),
+            brandLogo: document.getElementById('brand-logo'),
+            brandName: document.getElementById('brand-name'),
+            userMenu: document.getElementById('user-menu'),
+            userName: document.getElementById('user-name'),
+            loginBtn: document.getElementById('login-btn'),
+            logoutBtn: document.getElementById('logout-btn'),
         };
 
         this.selectedUploadType = 'document';
@@ -87,7 +148,18 @@ class TeamSyncApp {
 
     async init() {
         this.bindEvents();
-        this.initEditorModeToggle();
+        await this.loadBranding();
+
+        // Share links open a single document for a guest, without the document list
+        const linkToken = new URLSearchParams(window.location.search).get('link');
+        if (linkToken) {
+            await this.openSharedLink(linkToken);
+            return;
+        }
+
+        if (!await this.loadCurrentUser()) return;
+
+        await this.loadFormats();
         await this.checkConnection();
         await this.loadDocuments();
 
@@ -96,75 +168,115 @@ class TeamSyncApp {
     }
 
     /**
-     * Initialize the editor mode selector
+     * Apply the tenant's name, logo and color to the page
      */
-    initEditorModeToggle() {
-        // Set initial state from localStorage
-        if (this.elements.editorModeOptions) {
-            this.elements.editorModeOptions.forEach(option => {
-                option.checked = option.value === this.editorMode;
-            });
-            this.updateEditorModeUI();
+    async loadBranding() {
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/config/branding`);
+            if (!response.ok) return;
+            const branding = await response.json();
+
+            this.elements.brandName.textContent = branding.name;
+            document.title = `${branding.name} - Sample App`;
+            if (branding.logoUrl) {
+                this.elements.brandLogo.src = branding.logoUrl;
+                this.elements.brandLogo.hidden = false;
+                this.elements.brandIcon.style.display = 'none';
+            }
+            if (branding.primaryColor) {
+                document.documentElement.style.setProperty('--primary-color', branding.primaryColor);
+                document.documentElement.style.setProperty('--primary-hover', branding.primaryColor);
+            }
+        } catch (error) {
+            console.error('Failed to load branding:', error);
         }
     }
 
     /**
-     * Update the UI to reflect current editor mode
+     * Load the logged-in user and show them in the header
+     * Redirects to the login page when the server requires a login.
+     * Returns false if the page is navigating away.
      */
-    updateEditorModeUI() {
-        // Update the mode selector visual state
-        document.querySelectorAll('.mode-option').forEach(option => {
-            const input = option.querySelector('input');
-            if (input && input.value === this.editorMode) {
-                option.classList.add('active');
-            } else {
-                option.classList.remove('active');
+    async loadCurrentUser() {
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/auth/me`);
+            const data = await response.json();
+
+            if (response.status === 401) {
+                if (data.loginUrl) {
+                    const returnTo = window.location.pathname + window.location.search;
+                    window.location.href = `${data.loginUrl}?returnTo=${encodeURIComponent(returnTo)}`;
+                    return false;
+                }
+                this.showError('Authentication required');
+                return true;
             }
-        });
+
+            this.currentUser = data.user;
+            this.isAdmin = data.admin === true;
+            const loggedIn = data.method === 'session';
+            this.elements.userName.textContent = data.method === 'demo' ? `${data.user.name} (demo)` : data.user.name;
+            this.elements.userName.title = data.user.email || '';
+            this.elements.loginBtn.hidden = loggedIn || !data.loginUrl;
+            this.elements.loginBtn.href = `${data.loginUrl}?returnTo=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+            this.elements.logoutBtn.hidden = !loggedIn;
+            this.elements.userMenu.hidden = false;
+        } catch (error) {
+            console.error('Failed to load current user:', error);
+        }
+        return true;
     }
 
     /**
-     * Change editor mode (teamsync-unified or multi-editor)
+     * End the login session, at the identity provider too when it supports it
      */
-    async setEditorMode(mode) {
-        if (mode === this.editorMode) return;
-
-        this.editorMode = mode;
-        localStorage.setItem('editorMode', mode);
-        this.updateEditorModeUI();
-
-        // Close any open document when switching modes
-        if (this.currentDocument) {
-            this.closeDocument();
-        }
-
-        // Update the server configuration
+    async logout() {
         try {
-            await fetch(`${this.config.apiBaseUrl}/config/editor-mode`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ editorMode: mode })
-            });
+            const response = await fetch('/auth/logout', { method: 'POST' });
+            const data = await response.json();
+            window.location.href = data.redirect || '/';
         } catch (error) {
-            console.warn('Could not update server editor mode:', error);
+            this.showError('Failed to sign out');
         }
+    }
 
-        // Re-check health to update service indicators
-        await this.checkConnection();
+    /**
+     * Load the formats the editors can open
+     */
+    async loadFormats() {
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/formats`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { formats } = await response.json();
 
-        // Show feedback
-        const modeNames = {
-            'teamsync-unified': 'TeamSync Editor',
-            'multi-editor': 'Multi-Editor'
-        };
-        this.showSuccess(`Switched to ${modeNames[mode]} mode`);
+            this.fileTypeMap = { document: [], spreadsheet: [], presentation: [] };
+            for (const format of formats) {
+                this.fileTypeMap[format.documentType]?.push(format.ext);
+            }
+            this.selectUploadType(this.selectedUploadType);
+        } catch (error) {
+            console.error('Failed to load supported formats:', error);
+        }
     }
 
     bindEvents() {
         // Upload button
         this.elements.uploadBtn.addEventListener('click', () => this.showUploadModal());
+
+        // Trash view toggle
+        if (this.elements.trashBtn) {
+            this.elements.trashBtn.addEventListener('click', () => this.toggleTrashView());
+        }
+
+        // New folder
+        if (this.elements.newFolderBtn) {
+            this.elements.newFolderBtn.addEventListener('click', () => this.createFolder());
+        }
         this.elements.cancelUpload.addEventListener('click', () => this.hideUploadModal());
 
+        // Sign out
+        this.elements.logoutBtn.addEventListener('click', () => this.logout());
+
         // File input
         this.elements.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
 
@@ -198,6 +310,25 @@ class TeamSyncApp {
             }
         });
 
+        // Share dialog
+        if (this.elements.shareModal) {
+            this.elements.shareForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.shareDocument();
+            });
+            this.elements.linkForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createShareLink();
+            });
+            this.elements.linkUrl.addEventListener('focus', () => this.elements.linkUrl.select());
+            this.elements.closeShare.addEventListener('click', () => this.hideShareModal());
+            this.elements.shareModal.addEventListener('click', (e) => {
+                if (e.target === this.elements.shareModal) {
+                    this.hideShareModal();
+                }
+            });
+        }
+
         // Toast close
         this.elements.closeToast.addEventListener('click', () => this.hideError());
         if (this.elements.closeSuccessToast) {
@@ -214,10 +345,37 @@ class TeamSyncApp {
             tab.addEventListener('click', () => this.setFilter(tab.dataset.filter));
         });
 
-        // Editor mode selector (3-way toggle)
-        if (this.elements.editorModeOptions) {
-            this.elements.editorModeOptions.forEach(option => {
-                option.addEventListener('change', (e) => this.setEditorMode(e.target.value));
+        // Name search (debounced) and sort order
+        if (this.elements.searchInput) {
+            this.elements.searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => {
+                    this.searchQuery = this.elements.searchInput.value.trim();
+                    this.loadDocuments();
+                }, this.config.searchDebounce);
+            });
+        }
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.addEventListener('change', () => {
+                this.sortOrder = this.elements.sortSelect.value;
+                this.loadDocuments();
+            });
+        }
+
+        // Full-text search in the header
+        if (this.elements.contentSearch) {
+            this.elements.contentSearch.addEventListener('input', () => {
+                clearTimeout(this.contentSearchTimer);
+                this.contentSearchTimer = setTimeout(
+                    () => this.searchContents(this.elements.contentSearch.value.trim()),
+                    this.config.searchDebounce
+                );
+            });
+            this.elements.contentSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.hideSearchResults();
+            });
+            document.addEventListener('click', (e) => {
+                if (!e.target.closest('.content-search')) this.hideSearchResults();
             });
         }
 
@@ -233,16 +391,10 @@ class TeamSyncApp {
             btn.classList.toggle('active', btn.dataset.type === type);
         });
 
-        // Update supported formats text
-        this.elements.supportedFormats.textContent = `Supported: ${this.supportedFormats[type]}`;
-
-        // Update file input accept attribute
-        const acceptMap = {
-            document: '.docx,.doc,.odt,.rtf,.txt',
-            spreadsheet: '.xlsx,.xls,.ods,.csv',
-            presentation: '.pptx,.ppt,.odp'
-        };
-        this.elements.fileInput.accept = acceptMap[type];
+        // Update supported formats text and the file input accept attribute
+        const extensions = this.fileTypeMap[type].map(ext => `.${ext}`);
+        this.elements.supportedFormats.textContent = `Supported: ${extensions.join(', ') || 'none'}`;
+        this.elements.fileInput.accept = extensions.join(',');
     }
 
     setFilter(filter) {
@@ -253,20 +405,30 @@ class TeamSyncApp {
             tab.classList.toggle('active', tab.dataset.filter === filter);
         });
 
-        // Filter and render documents
-        this.filterDocuments();
-        this.renderDocumentList();
+        // Reload the listing with the new type filter
+        this.loadDocuments();
     }
 
-    filterDocuments() {
-        if (this.currentFilter === 'all') {
-            this.filteredDocuments = [...this.documents];
+    /**
+     * Build the GET /api/documents query for the current folder, search, filter and sort
+     * A search looks across all folders instead of just the current one
+     */
+    buildListQuery(append = false) {
+        const [sort, order] = this.sortOrder.split(':');
+        const params = new URLSearchParams({ sort, order, limit: this.config.pageSize });
+
+        if (this.searchQuery) {
+            params.set('q', this.searchQuery);
         } else {
-            this.filteredDocuments = this.documents.filter(doc => {
-                const docType = this.getDocumentType(doc.name);
-                return docType === this.currentFilter;
-            });
+            params.set('folderId', this.currentFolderId);
         }
+        if (this.currentFilter !== 'all') {
+            params.set('type', this.filterTypes[this.currentFilter]);
+        }
+        if (append && this.nextCursor) {
+            params.set('cursor', this.nextCursor);
+        }
+        return params;
     }
 
     /**
@@ -281,6 +443,7 @@ class TeamSyncApp {
 
             // Store service statuses
             this.serviceStatus = health.services || {};
+            this.editors = health.editors || this.editors;
 
             // Update product status cards
             this.updateProductStatusCards();
@@ -329,6 +492,9 @@ class TeamSyncApp {
             if (status === 'healthy') {
                 element.classList.add('healthy');
                 element.textContent = 'Ready';
+            } else if (this.usesFailover(service)) {
+                element.classList.add('failover');
+                element.textContent = 'Via TeamSync';
             } else if (status === 'checking' || !status) {
                 element.classList.add('checking');
                 element.textContent = 'Checking...';
@@ -343,12 +509,14 @@ class TeamSyncApp {
         const container = this.elements.serviceIndicators;
         if (!container) return;
 
-        if (this.editorMode === 'teamsync-unified') {
+        let indicators = '';
+        if (this.editors.includes('teamsync-unified')) {
             // Show single TeamSync Editor indicator
             const status = this.serviceStatus['teamsync-editor'];
             const healthClass = status === 'healthy' ? 'healthy' : 'unhealthy';
-            container.innerHTML = `<span class="service-indicator unified ${healthClass}" title="teamsync-editor: ${status}">TeamSync</span>`;
-        } else {
+            indicators += `<span class="service-indicator unified ${healthClass}" title="teamsync-editor: ${status}">TeamSync</span>`;
+        }
+        if (this.editors.includes('multi-editor')) {
             // Show multi-app indicators
             const services = [
                 { key: 'teamsync-document', label: 'Doc', class: 'document' },
@@ -356,12 +524,15 @@ class TeamSyncApp {
                 { key: 'teamsync-presentation', label: 'Slide', class: 'presentation' }
             ];
 
-            container.innerHTML = services.map(service => {
+            indicators += services.map(service => {
                 const status = this.serviceStatus[service.key];
-                const healthClass = status === 'healthy' ? 'healthy' : 'unhealthy';
-                return `<span class="service-indicator ${service.class} ${healthClass}" title="${service.key}: ${status}">${service.label}</span>`;
+                const failover = this.usesFailover(service.key);
+                const healthClass = status === 'healthy' ? 'healthy' : failover ? 'failover' : 'unhealthy';
+                const title = `${service.key}: ${status}${failover ? ' (served by teamsync-editor)' : ''}`;
+                return `<span class="service-indicator ${service.class} ${healthClass}" title="${title}">${service.label}</span>`;
             }).join('');
         }
+        container.innerHTML = indicators;
     }
 
     updateConnectionStatus(status, health = null) {
@@ -399,18 +570,32 @@ class TeamSyncApp {
     }
 
     /**
-     * Load the list of available documents
+     * Load the current folder and the first page of documents inside it
+     * With append, fetch the next page and add it to the list instead
      */
-    async loadDocuments() {
+    async loadDocuments({ append = false } = {}) {
         try {
-            const response = await fetch(`${this.config.apiBaseUrl}/documents`);
+            const folderId = encodeURIComponent(this.currentFolderId);
+            const [folderResponse, response] = await Promise.all([
+                fetch(`${this.config.apiBaseUrl}/folders/${folderId}`),
+                fetch(`${this.config.apiBaseUrl}/documents?${this.buildListQuery(append)}`)
+            ]);
+
+            // Fall back to the top level if the folder was deleted or is not shared with us
+            if ((folderResponse.status === 404 || folderResponse.status === 403) && this.currentFolderId !== 'root') {
+                await this.openFolder('root');
+                return;
+            }
 
-            if (!response.ok) {
+            if (!folderResponse.ok || !response.ok) {
                 throw new Error('Failed to load documents');
             }
 
-            this.documents = await response.json();
-            this.filterDocuments();
+            this.currentFolder = await folderResponse.json();
+            const page = await response.json();
+            this.documents = append ? [...this.documents, ...page.documents] : page.documents;
+            this.nextCursor = page.nextCursor;
+            this.totalDocuments = page.total;
             this.renderDocumentList();
         } catch (error) {
             console.error('Failed to load documents:', error);
@@ -422,22 +607,62 @@ class TeamSyncApp {
     renderDocumentList() {
         this.elements.loadingDocs.classList.add('hidden');
 
-        if (this.filteredDocuments.length === 0) {
+        if (this.currentView === 'trash') {
+            this.renderTrashList();
+            return;
+        }
+
+        this.renderBreadcrumbs();
+        // Search results span all folders, so subfolders of the current one are not listed
+        const folders = this.searchQuery ? [] : (this.currentFolder?.folders || []);
+
+        if (this.documents.length === 0 && folders.length === 0) {
             const filterText = this.currentFilter === 'all' ? '' : ` (${this.getFilterLabel(this.currentFilter)})`;
+            const title = this.searchQuery ? `No documents match "${this.searchQuery}"` : `No documents${filterText}`;
+            const hint = this.searchQuery ? 'Try a different name' : 'Upload a document to get started';
             this.elements.documentList.innerHTML = `
                 <div class="empty-state">
                     <svg width="48" height="48" viewBox="0 0 48 48" fill="none">
                         <rect x="8" y="4" width="32" height="40" rx="4" stroke="currentColor" stroke-width="2"/>
                         <path d="M16 16h16M16 24h12M16 32h14" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
                     </svg>
-                    <h4>No documents${filterText}</h4>
-                    <p>Upload a document to get started</p>
+                    <h4>${title}</h4>
+                    <p>${hint}</p>
                 </div>
             `;
             return;
         }
 
-        this.elements.documentList.innerHTML = this.filteredDocuments.map(doc => {
+        const folderItems = folders.map(folder => `
+            <div class="document-item folder-item" data-folder-id="${folder.id}" draggable="true" title="Open folder">
+                <div class="document-icon folder">
+                    ${this.getFolderIcon()}
+                </div>
+                <div class="document-info">
+                    <div class="document-name" title="${folder.name}">${folder.name}</div>
+                    <div class="document-meta">
+                        <span>Folder</span>
+                    </div>
+                </div>
+                <div class="document-actions">
+                    <button class="document-action" data-action="rename-folder" title="Rename">
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5z"/>
+                        </svg>
+                    </button>
+                    <button class="document-action danger" data-action="delete-folder" title="Delete folder">
+                        ${this.getTrashIcon()}
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        const remaining = this.totalDocuments - this.documents.length;
+        const loadMore = this.nextCursor
+            ? `<button class="btn btn-secondary load-more" id="load-more">Load ${Math.min(remaining, this.config.pageSize)} more of ${remaining}</button>`
+            : '';
+
+        this.elements.documentList.innerHTML = folderItems + this.documents.map(doc => {
             const docType = this.getDocumentType(doc.name);
             const productInfo = this.getProductInfo(docType);
             const isAvailable = this.isServiceAvailable(docType);
@@ -447,6 +672,7 @@ class TeamSyncApp {
             return `
                 <div class="document-item ${activeClass} ${disabledClass}"
                      data-id="${doc.id}"
+                     draggable="true"
                      title="${isAvailable ? 'Click to open' : 'Service unavailable'}">
                     <div class="document-icon ${docType}">
                         ${this.getDocumentIcon(doc.name)}
@@ -456,16 +682,31 @@ class TeamSyncApp {
                         <div class="document-meta">
                             <span class="product-label ${productInfo.class}">${productInfo.label}</span>
                             <span>${this.formatFileSize(doc.size)}</span>
+                            ${doc.role && doc.role !== 'owner' ? `<span class="document-role">${this.roleLabels[doc.role]}</span>` : ''}
                             ${!isAvailable ? '<span class="document-status unavailable">Offline</span>' : ''}
                         </div>
                     </div>
+                    <div class="document-actions">
+                        <button class="document-action" data-action="share" title="Share">
+                            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                                <path d="M11 2.5a2.5 2.5 0 1 1 .603 1.628l-6.718 3.12a2.499 2.499 0 0 1 0 1.504l6.718 3.12a2.5 2.5 0 1 1-.488.876l-6.718-3.12a2.5 2.5 0 1 1 0-3.256l6.718-3.12A2.5 2.5 0 0 1 11 2.5z"/>
+                            </svg>
+                        </button>
+                        ${doc.role === 'owner' || this.isAdmin ? `
+                        <button class="document-action danger" data-action="delete" title="Move to trash">
+                            ${this.getTrashIcon()}
+                        </button>` : ''}
+                    </div>
                 </div>
             `;
-        }).join('');
+        }).join('') + loadMore;
+
+        document.getElementById('load-more')?.addEventListener('click', () => this.loadDocuments({ append: true }));
 
         // Add click handlers
-        this.elements.documentList.querySelectorAll('.document-item:not(.disabled)').forEach(item => {
-            item.addEventListener('click', () => {
+        this.elements.documentList.querySelectorAll('.document-item:not(.disabled):not(.folder-item)').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.document-action')) return;
                 const docId = item.dataset.id;
                 const doc = this.documents.find(d => d.id === docId);
                 if (doc) {
@@ -473,6 +714,401 @@ class TeamSyncApp {
                 }
             });
         });
+
+        this.elements.documentList.querySelectorAll('.document-action[data-action="delete"]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const docId = button.closest('.document-item').dataset.id;
+                const doc = this.documents.find(d => d.id === docId);
+                if (doc) {
+                    this.deleteDocument(doc);
+                }
+            });
+        });
+
+        this.elements.documentList.querySelectorAll('.document-action[data-action="share"]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showShareModal(button.closest('.document-item').dataset.id);
+            });
+        });
+
+        this.elements.documentList.querySelectorAll('.folder-item').forEach(item => {
+            const folder = folders.find(f => f.id === item.dataset.folderId);
+            item.addEventListener('click', (e) => {
+                const action = e.target.closest('.document-action')?.dataset.action;
+                if (action === 'rename-folder') {
+                    this.renameFolder(folder);
+                } else if (action === 'delete-folder') {
+                    this.deleteFolder(folder);
+                } else {
+                    this.openFolder(folder.id);
+                }
+            });
+            this.bindDropTarget(item, folder.id);
+        });
+
+        // Documents and folders can be dragged onto folders and breadcrumbs to move them
+        this.elements.documentList.querySelectorAll('.document-item[draggable="true"]').forEach(item => {
+            item.addEventListener('dragstart', (e) => {
+                const payload = item.dataset.folderId
+                    ? { type: 'folder', id: item.dataset.folderId }
+                    : { type: 'document', id: item.dataset.id };
+                e.dataTransfer.setData('application/x-teamsync-item', JSON.stringify(payload));
+                e.dataTransfer.effectAllowed = 'move';
+            });
+        });
+    }
+
+    /**
+     * Render the breadcrumb trail for the current folder
+     */
+    renderBreadcrumbs() {
+        const container = this.elements.breadcrumbs;
+        if (!container) return;
+
+        const crumbs = this.currentFolder?.breadcrumbs || [];
+        container.innerHTML = crumbs.map((crumb, index) => {
+            const isCurrent = index === crumbs.length - 1;
+            const separator = index > 0 ? '<span class="breadcrumb-separator">/</span>' : '';
+            return `${separator}<button class="breadcrumb ${isCurrent ? 'current' : ''}" data-folder-id="${crumb.id}">${crumb.name}</button>`;
+        }).join('');
+
+        container.querySelectorAll('.breadcrumb:not(.current)').forEach(crumb => {
+            crumb.addEventListener('click', () => this.openFolder(crumb.dataset.folderId));
+            this.bindDropTarget(crumb, crumb.dataset.folderId);
+        });
+    }
+
+    /**
+     * Accept dragged documents and folders on an element representing a folder
+     */
+    bindDropTarget(element, folderId) {
+        element.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('application/x-teamsync-item')) return;
+            e.preventDefault();
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drop-target');
+            const data = e.dataTransfer.getData('application/x-teamsync-item');
+            if (!data) return;
+            const item = JSON.parse(data);
+            if (item.type === 'folder' && item.id === folderId) return;
+            this.moveItem(item, folderId);
+        });
+    }
+
+    getFolderIcon() {
+        return `<svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+            <path d="M2 5a2 2 0 0 1 2-2h4l2 2h6a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5z"/>
+        </svg>`;
+    }
+
+    /**
+     * Navigate into a folder
+     */
+    async openFolder(folderId) {
+        this.currentFolderId = folderId;
+
+        const url = new URL(window.location.href);
+        if (folderId === 'root') {
+            url.searchParams.delete('folder');
+        } else {
+            url.searchParams.set('folder', folderId);
+        }
+        window.history.replaceState(null, '', url);
+
+        await this.loadDocuments();
+    }
+
+    /**
+     * Create a folder inside the current folder
+     */
+    async createFolder() {
+        const name = prompt('Folder name');
+        if (!name || !name.trim()) return;
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/folders`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim(), parentId: this.currentFolderId })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Create folder failed');
+            }
+
+            await this.loadDocuments();
+        } catch (error) {
+            console.error('Create folder failed:', error);
+            this.showError(`Create folder failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename a folder
+     */
+    async renameFolder(folder) {
+        const name = prompt('Rename folder', folder.name);
+        if (!name || !name.trim() || name.trim() === folder.name) return;
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/folders/${folder.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Rename failed');
+            }
+
+            await this.loadDocuments();
+        } catch (error) {
+            console.error('Rename folder failed:', error);
+            this.showError(`Rename failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a folder; the documents inside are moved to the trash
+     */
+    async deleteFolder(folder) {
+        if (!confirm(`Delete "${folder.name}"? Documents inside will be moved to the trash.`)) return;
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/folders/${folder.id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Delete failed');
+            }
+
+            this.showSuccess(`${folder.name} deleted`);
+            await this.loadDocuments();
+        } catch (error) {
+            console.error('Delete folder failed:', error);
+            this.showError(`Delete failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move a dragged document or folder into another folder
+     */
+    async moveItem(item, folderId) {
+        const request = item.type === 'folder'
+            ? { url: `${this.config.apiBaseUrl}/folders/${item.id}`, method: 'PATCH', body: { parentId: folderId } }
+            : { url: `${this.config.apiBaseUrl}/documents/${item.id}/move`, method: 'POST', body: { folderId } };
+
+        try {
+            const response = await fetch(request.url, {
+                method: request.method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request.body)
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Move failed');
+            }
+
+            await this.loadDocuments();
+        } catch (error) {
+            console.error('Move failed:', error);
+            this.showError(`Move failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render the documents currently in the trash
+     */
+    renderTrashList() {
+        if (this.trashedDocuments.length === 0) {
+            this.elements.documentList.innerHTML = `
+                <div class="empty-state">
+                    ${this.getTrashIcon(48)}
+                    <h4>Trash is empty</h4>
+                    <p>Deleted documents appear here</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.documentList.innerHTML = this.trashedDocuments.map(doc => {
+            const docType = this.getDocumentType(doc.name);
+            const deletedAt = new Date(doc.deletedAt).toLocaleString();
+
+            return `
+                <div class="document-item trashed" data-id="${doc.id}">
+                    <div class="document-icon ${docType}">
+                        ${this.getDocumentIcon(doc.name)}
+                    </div>
+                    <div class="document-info">
+                        <div class="document-name" title="${doc.name}">${doc.name}</div>
+                        <div class="document-meta">
+                            <span>${this.formatFileSize(doc.size)}</span>
+                            <span title="Deleted by ${doc.deletedBy?.name || 'unknown'}">Deleted ${deletedAt}</span>
+                        </div>
+                    </div>
+                    <div class="document-actions">
+                        <button class="document-action" data-action="restore" title="Restore">
+                            <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                                <path d="M8 3a5 5 0 1 1-4.546 2.914.5.5 0 0 0-.908-.418A6 6 0 1 0 8 2v1z"/>
+                                <path d="M8 4.466V.534a.25.25 0 0 0-.41-.192L5.23 2.308a.25.25 0 0 0 0 .384l2.36 1.966A.25.25 0 0 0 8 4.466z"/>
+                            </svg>
+                        </button>
+                        <button class="document-action danger" data-action="purge" title="Delete forever">
+                            ${this.getTrashIcon()}
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.elements.documentList.querySelectorAll('.document-action').forEach(button => {
+            button.addEventListener('click', () => {
+                const docId = button.closest('.document-item').dataset.id;
+                const doc = this.trashedDocuments.find(d => d.id === docId);
+                if (!doc) return;
+                if (button.dataset.action === 'restore') {
+                    this.restoreDocument(doc);
+                } else {
+                    this.purgeDocument(doc);
+                }
+            });
+        });
+    }
+
+    getTrashIcon(size = 14) {
+        return `<svg width="${size}" height="${size}" viewBox="0 0 16 16" fill="currentColor">
+            <path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/>
+            <path d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1 0-2H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1zM4 4v9a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4H4z"/>
+        </svg>`;
+    }
+
+    /**
+     * Switch the sidebar between the document list and the trash
+     */
+    async toggleTrashView() {
+        this.currentView = this.currentView === 'trash' ? 'documents' : 'trash';
+        const inTrash = this.currentView === 'trash';
+
+        this.elements.sidebarTitle.textContent = inTrash ? 'Trash' : 'Documents';
+        this.elements.trashBtn.querySelector('.btn-label').textContent = inTrash ? 'Back to Documents' : 'Trash';
+        this.elements.filterTabs.classList.toggle('hidden', inTrash);
+        this.elements.listControls?.classList.toggle('hidden', inTrash);
+        this.elements.uploadBtn.classList.toggle('hidden', inTrash);
+        this.elements.newFolderBtn?.classList.toggle('hidden', inTrash);
+        this.elements.breadcrumbs?.classList.toggle('hidden', inTrash);
+
+        if (inTrash) {
+            await this.loadTrash();
+        } else {
+            await this.loadDocuments();
+        }
+    }
+
+    /**
+     * Load the documents in the trash
+     */
+    async loadTrash() {
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/trash`);
+
+            if (!response.ok) {
+                throw new Error('Failed to load trash');
+            }
+
+            const { documents } = await response.json();
+            this.trashedDocuments = documents;
+            this.renderDocumentList();
+        } catch (error) {
+            console.error('Failed to load trash:', error);
+            this.showError('Failed to load trash. Please check your connection.');
+        }
+    }
+
+    /**
+     * Move a document to the trash
+     */
+    async deleteDocument(doc) {
+        if (!confirm(`Move "${doc.name}" to the trash?`)) return;
+
+        if (this.currentDocument?.id === doc.id) {
+            this.closeDocument();
+        }
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/documents/${doc.id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Delete failed');
+            }
+
+            this.showSuccess(`${doc.name} moved to trash`);
+            await this.loadDocuments();
+        } catch (error) {
+            console.error('Delete failed:', error);
+            this.showError(`Delete failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore a document from the trash
+     */
+    async restoreDocument(doc) {
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/trash/${doc.id}/restore`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Restore failed');
+            }
+
+            const restored = await response.json();
+            this.showSuccess(`${restored.name} restored`);
+            await this.loadTrash();
+        } catch (error) {
+            console.error('Restore failed:', error);
+            this.showError(`Restore failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Permanently delete a document from the trash
+     */
+    async purgeDocument(doc) {
+        if (!confirm(`Permanently delete "${doc.name}"? This cannot be undone.`)) return;
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/trash/${doc.id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Delete failed');
+            }
+
+            this.showSuccess(`${doc.name} permanently deleted`);
+            await this.loadTrash();
+        } catch (error) {
+            console.error('Purge failed:', error);
+            this.showError(`Delete failed: ${error.message}`);
+        }
     }
 
     getFilterLabel(filter) {
@@ -501,14 +1137,30 @@ class TeamSyncApp {
         return info[docType] || info.docx;
     }
 
+    /**
+     * Whether an editor in use can open documents of a type
+     * The server's routing rules pick the editor per file, so any will do
+     */
     isServiceAvailable(docType) {
-        if (this.editorMode === 'teamsync-unified') {
-            // In TeamSync unified mode, all file types use the same editor service
-            return this.serviceStatus['teamsync-editor'] === 'healthy';
+        // TeamSync unified opens every file type
+        if (this.editors.includes('teamsync-unified') && this.serviceStatus['teamsync-editor'] === 'healthy') {
+            return true;
         }
-        // In multi-editor mode, check the specific service for this document type
+        // Multi-editor: the specific service for this document type
         const productInfo = this.getProductInfo(docType);
-        return this.serviceStatus[productInfo.service] === 'healthy';
+        return this.editors.includes('multi-editor') &&
+            (this.serviceStatus[productInfo.service] === 'healthy' || this.usesFailover(productInfo.service));
+    }
+
+    /**
+     * Whether documents of a down multi-editor service are served by the
+     * unified editor instead (the server fails over to it)
+     */
+    usesFailover(service) {
+        return this.editors.includes('multi-editor') &&
+            this.serviceStatus[service] !== 'healthy' &&
+            this.serviceStatus[service] !== 'checking' &&
+            this.serviceStatus['teamsync-editor'] === 'healthy';
     }
 
     getDocumentIcon(filename) {
@@ -560,13 +1212,12 @@ class TeamSyncApp {
         try {
             // Update UI to show loading state
             this.currentDocument = doc;
-            this.filterDocuments();
             this.renderDocumentList();
             this.elements.currentDoc.textContent = 'Editing: ' + String(doc.name);
 
             // Get WOPI access token and iframe URL from the backend
             // Always request fresh token with cache-busting
-            console.log(`[DEBUG] Requesting fresh token for ${doc.id} (mode=${this.editorMode})...`);
+            console.log(`[DEBUG] Requesting fresh token for ${doc.id}...`);
             const tokenStartTime = performance.now();
             const response = await fetch(`${this.config.apiBaseUrl}/documents/${doc.id}/token?_t=${Date.now()}`, {
                 method: 'POST',
@@ -575,10 +1226,9 @@ class TeamSyncApp {
                     'Cache-Control': 'no-cache, no-store, must-revalidate',
                     'Pragma': 'no-cache',
                 },
-                body: JSON.stringify({
-                    permissions: 'edit',
-                    editorMode: this.editorMode
-                }),
+                // No permissions requested: the token gets everything our role on the document allows;
+                // the server's routing rules pick the editor
+                body: JSON.stringify({}),
                 cache: 'no-store'
             });
             const tokenElapsed = (performance.now() - tokenStartTime).toFixed(0);
@@ -586,52 +1236,23 @@ class TeamSyncApp {
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.message || 'Failed to get editor token');
+                throw new Error(error.error || error.message || 'Failed to get editor token');
             }
 
-            const { iframeSrc, accessToken, accessTokenTtl, documentType } = await response.json();
-            console.log(`[DEBUG] Token received, documentType: ${documentType}`);
+            const { iframeSrc, accessToken, accessTokenTtl, documentType, permissions, editorMode, editorRule, backend } = await response.json();
+            console.log(`[DEBUG] Token received, documentType: ${documentType}, editor: ${editorMode} (rule: ${editorRule || 'default'}), backend: ${backend.instance} (${backend.reason}: ${backend.detail})`);
+            this.elements.currentDoc.title = backend.pool !== backend.preferredPool ? backend.detail : '';
+            if (permissions === 'view') {
+                // Our role, the document's policy or the format (no edit action) allows viewing only
+                this.elements.currentDoc.textContent = 'Viewing: ' + String(doc.name);
+            }
 
             this.currentToken = {
                 token: accessToken,
                 expiresAt: Date.now() + accessTokenTtl
             };
 
-            // Update editor header
-            const productInfo = this.getProductInfo(docType);
-            this.elements.editorProductBadge.textContent = productInfo.label;
-            this.elements.editorProductBadge.className = `editor-product-badge ${productInfo.class}`;
-            this.elements.editorDocName.textContent = doc.name;
-
-            // Show editor UI
-            this.elements.editorPlaceholder.classList.add('hidden');
-            this.elements.editorHeader.classList.remove('hidden');
-            this.elements.editorFrame.classList.remove('hidden');
-
-            console.log(`[DEBUG] Setting iframe src...`);
-            const iframeStartTime = performance.now();
-
-            // Set up onload handler to send PostMessage ready notification
-            this.elements.editorFrame.onload = () => {
-                const iframeLoadTime = (performance.now() - iframeStartTime).toFixed(0);
-                console.log(`[DEBUG] Iframe loaded in ${iframeLoadTime}ms, sending Host_PostmessageReady`);
-
-                // Notify the editor that we're ready to receive PostMessage calls
-                // This resolves the "Integrator is not ready for PostMessage calls" audit warning
-                try {
-                    this.elements.editorFrame.contentWindow.postMessage(
-                        JSON.stringify({
-                            MessageId: 'Host_PostmessageReady'
-                        }),
-                        '*'
-                    );
-                    console.log(`[DEBUG] Host_PostmessageReady sent to editor`);
-                } catch (e) {
-                    console.warn(`[DEBUG] Could not send PostMessage to iframe:`, e.message);
-                }
-            };
-
-            this.elements.editorFrame.src = iframeSrc;
+            this.showEditor(doc.name, docType, iframeSrc);
 
             const totalElapsed = (performance.now() - openStartTime).toFixed(0);
             console.log(`[DEBUG] Document open initiated in ${totalElapsed}ms (iframe loading now...)`);
@@ -643,11 +1264,201 @@ class TeamSyncApp {
             console.error('Failed to open document:', error);
             this.showError(`Failed to open document: ${error.message}`);
             this.currentDocument = null;
-            this.filterDocuments();
             this.renderDocumentList();
         }
     }
 
+    /**
+     * Show the editor and load a document into the iframe
+     */
+    showEditor(name, docType, iframeSrc) {
+        // Update editor header
+        const productInfo = this.getProductInfo(docType);
+        this.elements.editorProductBadge.textContent = productInfo.label;
+        this.elements.editorProductBadge.className = `editor-product-badge ${productInfo.class}`;
+        this.elements.editorDocName.textContent = name;
+
+        // Show editor UI
+        this.elements.editorPlaceholder.classList.add('hidden');
+        this.elements.editorHeader.classList.remove('hidden');
+        this.elements.editorFrame.classList.remove('hidden');
+
+        console.log(`[DEBUG] Setting iframe src...`);
+        const iframeStartTime = performance.now();
+
+        // Set up onload handler to send PostMessage ready notification
+        this.elements.editorFrame.onload = () => {
+            const iframeLoadTime = (performance.now() - iframeStartTime).toFixed(0);
+            console.log(`[DEBUG] Iframe loaded in ${iframeLoadTime}ms, sending Host_PostmessageReady`);
+
+            // Notify the editor that we're ready to receive PostMessage calls
+            // This resolves the "Integrator is not ready for PostMessage calls" audit warning
+            try {
+                this.elements.editorFrame.contentWindow.postMessage(
+                    JSON.stringify({
+                        MessageId: 'Host_PostmessageReady'
+                    }),
+                    '*'
+                );
+                console.log(`[DEBUG] Host_PostmessageReady sent to editor`);
+            } catch (e) {
+                console.warn(`[DEBUG] Could not send PostMessage to iframe:`, e.message);
+            }
+        };
+
+        this.elements.editorFrame.src = iframeSrc;
+        this.startSessionCheck();
+    }
+
+    /**
+     * Poll the open document's token and close the editor once it has expired
+     * or been revoked, ending the editing session
+     */
+    startSessionCheck() {
+        clearInterval(this.sessionTimer);
+        this.sessionTimer = setInterval(async () => {
+            if (!this.currentDocument || !this.currentToken) return;
+            try {
+                const token = encodeURIComponent(this.currentToken.token);
+                const response = await fetch(
+                    `${this.config.apiBaseUrl}/documents/${this.currentDocument.id}/session?access_token=${token}`,
+                    { cache: 'no-store' }
+                );
+                if ([401, 403, 404].includes(response.status)) {
+                    console.warn(`Editor session ended (HTTP ${response.status})`);
+                    this.closeDocument();
+                    this.showError('Your editing session has ended. Access to this document may have been revoked.');
+                }
+            } catch (error) {
+                // Network errors are retried on the next check
+            }
+        }, this.config.sessionCheckInterval);
+    }
+
+    /**
+     * Open a share link as a guest - only the shared document is shown
+     */
+    async openSharedLink(token) {
+        document.body.classList.add('guest-mode');
+        const linkUrl = `${this.config.apiBaseUrl}/links/${encodeURIComponent(token)}`;
+
+        try {
+            const infoResponse = await fetch(linkUrl);
+            const info = await infoResponse.json();
+            if (!infoResponse.ok) {
+                throw new Error(info.error || 'This link cannot be opened');
+            }
+
+            let response;
+            for (;;) {
+                let password;
+                if (info.passwordRequired) {
+                    password = prompt(`"${info.name}" is password protected. Enter the password:`);
+                    if (password === null) return;
+                }
+                response = await fetch(`${linkUrl}/open`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password }),
+                    cache: 'no-store'
+                });
+                if (response.status !== 401) break;
+                this.showError('Incorrect password');
+            }
+
+            const opened = await response.json();
+            if (!response.ok) {
+                throw new Error(opened.error || 'This link cannot be opened');
+            }
+
+            this.currentDocument = opened.document;
+            this.currentToken = {
+                token: opened.accessToken,
+                expiresAt: Date.now() + opened.accessTokenTtl
+            };
+            const mode = opened.permissions === 'edit' ? 'Editing' : 'Viewing';
+            this.elements.currentDoc.textContent = `${mode} as guest: ${opened.document.name}`;
+            this.showEditor(opened.document.name, opened.documentType, opened.iframeSrc);
+        } catch (error) {
+            console.error('Failed to open link:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Search document contents and show the hits below the header search box
+     */
+    async searchContents(query) {
+        if (!query) {
+            this.hideSearchResults();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/search?q=${encodeURIComponent(query)}`);
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Search failed');
+            }
+
+            const { results } = await response.json();
+            // Ignore responses for a query the user has already typed past
+            if (query !== this.elements.contentSearch.value.trim()) return;
+            this.renderSearchResults(query, results);
+        } catch (error) {
+            console.error('Search failed:', error);
+            this.showError(`Search failed: ${error.message}`);
+        }
+    }
+
+    renderSearchResults(query, results) {
+        const container = this.elements.searchResults;
+
+        if (results.length === 0) {
+            container.innerHTML = `<div class="empty">No documents contain "${this.escapeHtml(query)}"</div>`;
+        } else {
+            container.innerHTML = results.map(result => `
+                <div class="search-result" data-id="${result.id}">
+                    <div class="search-result-name">${this.escapeHtml(result.name)}</div>
+                    <div class="search-result-snippet">${this.highlightTerms(result.snippet, query)}</div>
+                </div>
+            `).join('');
+
+            container.querySelectorAll('.search-result').forEach(item => {
+                item.addEventListener('click', () => {
+                    const result = results.find(r => r.id === item.dataset.id);
+                    this.hideSearchResults();
+                    this.openDocument(result);
+                });
+            });
+        }
+
+        container.classList.remove('hidden');
+    }
+
+    hideSearchResults() {
+        this.elements.searchResults?.classList.add('hidden');
+    }
+
+    /**
+     * Escape text for HTML and wrap occurrences of the query terms in <mark>
+     */
+    highlightTerms(text, query) {
+        const terms = query.split(/\s+/)
+            .filter(term => term.length > 1)
+            .map(term => this.escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const escaped = this.escapeHtml(text);
+        if (terms.length === 0) return escaped;
+        return escaped.replace(new RegExp(`(${terms.join('|')})`, 'gi'), '<mark>$1</mark>');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Handle messages from the TeamSync Editor iframe
      */
@@ -689,6 +1500,12 @@ class TeamSyncApp {
             case 'UI_Ready':
                 console.log(`[DEBUG ${timestamp}] ✓ UI Ready`);
                 break;
+            case 'UI_Sharing':
+            case 'UI_Share':
+                if (this.currentDocument) {
+                    this.showShareModal(this.currentDocument.id);
+                }
+                break;
             default:
                 if (message.MessageId) {
                     console.log(`[DEBUG ${timestamp}] Editor message: ${message.MessageId}`, message.Values);
@@ -700,6 +1517,7 @@ class TeamSyncApp {
      * Close the current document
      */
     closeDocument() {
+        clearInterval(this.sessionTimer);
         this.currentDocument = null;
         this.currentToken = null;
         this.elements.editorFrame.src = '';
@@ -707,10 +1525,226 @@ class TeamSyncApp {
         this.elements.editorHeader.classList.add('hidden');
         this.elements.editorPlaceholder.classList.remove('hidden');
         this.elements.currentDoc.textContent = '';
-        this.filterDocuments();
         this.renderDocumentList();
     }
 
+    /**
+     * Open the share dialog for a document
+     */
+    async showShareModal(docId) {
+        this.shareDocumentId = docId;
+        this.elements.shareList.innerHTML = '<li class="share-empty">Loading...</li>';
+        this.elements.shareModal.classList.remove('hidden');
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/documents/${docId}/shares`);
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to load sharing');
+            }
+            const shares = await response.json();
+            this.renderShareDialog(shares);
+            this.elements.shareLinks.classList.toggle('hidden', !shares.canManage);
+            if (shares.canManage) {
+                this.resetLinkForm();
+                await this.loadShareLinks();
+            }
+        } catch (error) {
+            console.error('Failed to load sharing:', error);
+            this.hideShareModal();
+            this.showError(error.message);
+        }
+    }
+
+    hideShareModal() {
+        this.shareDocumentId = null;
+        this.elements.shareModal.classList.add('hidden');
+    }
+
+    /**
+     * Render who has access to the document in the share dialog
+     */
+    renderShareDialog(shares) {
+        this.elements.shareTitle.textContent = `Share "${shares.name}"`;
+        this.elements.shareForm.classList.toggle('hidden', !shares.canManage);
+
+        const roleSelect = (entry) => `
+            <select class="sort-select share-role-select" data-type="${entry.type}" data-id="${this.escapeHtml(entry.id)}">
+                ${['viewer', 'commenter', 'editor'].map(role =>
+                    `<option value="${role}" ${role === entry.role ? 'selected' : ''}>${this.roleLabels[role]}</option>`
+                ).join('')}
+            </select>
+            <button class="document-action danger" data-action="unshare" title="Remove access">&times;</button>
+        `;
+        const row = (entry, detail, controls) => `
+            <li class="share-entry" data-type="${entry.type}" data-id="${this.escapeHtml(entry.id)}">
+                <span class="share-principal">
+                    ${this.escapeHtml(entry.id)}
+                    <small>${detail}</small>
+                </span>
+                ${controls || `<span class="document-role">${this.roleLabels[entry.role]}</span>`}
+            </li>
+        `;
+
+        const rows = [];
+        if (shares.ownerId) {
+            rows.push(row({ type: 'user', id: shares.ownerId, role: 'owner' }, 'Owner'));
+        }
+        shares.users.forEach(entry => rows.push(row(entry, 'User', shares.canManage && roleSelect(entry))));
+        shares.groups.forEach(entry => rows.push(row(entry, 'Group', shares.canManage && roleSelect(entry))));
+        (shares.inherited?.entries || []).forEach(entry =>
+            rows.push(row(entry, `From folder ${this.escapeHtml(shares.inherited.folderName)}`)));
+
+        this.elements.shareList.innerHTML = rows.join('') ||
+            '<li class="share-empty">Only you have access</li>';
+
+        this.elements.shareList.querySelectorAll('.share-role-select').forEach(select => {
+            select.addEventListener('change', () =>
+                this.updateShare('POST', { type: select.dataset.type, id: select.dataset.id, role: select.value }));
+        });
+        this.elements.shareList.querySelectorAll('.document-action[data-action="unshare"]').forEach(button => {
+            const entry = button.closest('.share-entry').dataset;
+            button.addEventListener('click', () => this.updateShare('DELETE', { type: entry.type, id: entry.id }));
+        });
+    }
+
+    /**
+     * Share the document with the user or group entered in the share dialog
+     */
+    async shareDocument() {
+        const id = this.elements.sharePrincipal.value.trim();
+        if (!id) return;
+        const shared = await this.updateShare('POST', {
+            type: this.elements.shareType.value,
+            id,
+            role: this.elements.shareRole.value
+        });
+        if (shared) {
+            this.elements.sharePrincipal.value = '';
+        }
+    }
+
+    /**
+     * Add, change (POST) or remove (DELETE) an entry of the document's access list
+     */
+    async updateShare(method, entry) {
+        const baseUrl = `${this.config.apiBaseUrl}/documents/${this.shareDocumentId}/shares`;
+        try {
+            const response = method === 'DELETE'
+                ? await fetch(`${baseUrl}/${entry.type}/${encodeURIComponent(entry.id)}`, { method })
+                : await fetch(baseUrl, {
+                    method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(entry)
+                });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Sharing failed');
+            }
+
+            this.renderShareDialog(await response.json());
+            return true;
+        } catch (error) {
+            console.error('Sharing failed:', error);
+            this.showError(`Sharing failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    resetLinkForm() {
+        const day = 24 * 60 * 60 * 1000;
+        this.elements.linkForm.reset();
+        this.elements.linkExpires.min = new Date().toISOString().slice(0, 10);
+        this.elements.linkExpires.value = new Date(Date.now() + 7 * day).toISOString().slice(0, 10);
+        this.elements.linkUrl.value = '';
+        this.elements.linkUrl.classList.add('hidden');
+    }
+
+    /**
+     * Load the guest links of the document in the share dialog
+     */
+    async loadShareLinks() {
+        const response = await fetch(`${this.config.apiBaseUrl}/documents/${this.shareDocumentId}/links`);
+        if (!response.ok) {
+            this.elements.linkList.innerHTML = '<li class="share-empty">Failed to load links</li>';
+            return;
+        }
+        const { links } = await response.json();
+        this.elements.linkList.innerHTML = links.map(link => `
+            <li class="share-entry" data-link-id="${link.id}">
+                <span class="share-principal">
+                    ${link.permissions === 'edit' ? 'Can edit' : 'Can view'}${link.passwordProtected ? ', password' : ''}
+                    <small>${link.status === 'active'
+                        ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}`
+                        : link.status.charAt(0).toUpperCase() + link.status.slice(1)}
+                        - used ${link.uses}${link.maxUses ? ` of ${link.maxUses}` : ''} time(s)</small>
+                </span>
+                ${link.status === 'active'
+                    ? '<button class="document-action danger" data-action="revoke" title="Revoke link">&times;</button>'
+                    : ''}
+            </li>
+        `).join('') || '<li class="share-empty">No guest links</li>';
+
+        this.elements.linkList.querySelectorAll('.document-action[data-action="revoke"]').forEach(button => {
+            button.addEventListener('click', () => this.revokeShareLink(button.closest('.share-entry').dataset.linkId));
+        });
+    }
+
+    /**
+     * Create a guest link from the share dialog and show its URL (it is only shown once)
+     */
+    async createShareLink() {
+        const expires = this.elements.linkExpires.value;
+        const maxUses = this.elements.linkMaxUses.value;
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/documents/${this.shareDocumentId}/links`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    permissions: this.elements.linkPermissions.value,
+                    // Links stay valid until the end of the chosen day
+                    expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : undefined,
+                    password: this.elements.linkPassword.value || undefined,
+                    maxUses: maxUses ? parseInt(maxUses, 10) : undefined
+                })
+            });
+            const link = await response.json();
+            if (!response.ok) {
+                throw new Error(link.error || 'Failed to create link');
+            }
+
+            this.resetLinkForm();
+            this.elements.linkUrl.value = link.url;
+            this.elements.linkUrl.classList.remove('hidden');
+            this.elements.linkUrl.focus();
+            navigator.clipboard?.writeText(link.url).then(
+                () => this.showSuccess('Link copied to the clipboard'),
+                () => {}
+            );
+            await this.loadShareLinks();
+        } catch (error) {
+            console.error('Failed to create link:', error);
+            this.showError(`Failed to create link: ${error.message}`);
+        }
+    }
+
+    async revokeShareLink(linkId) {
+        if (!confirm('Revoke this link? Guests will no longer be able to open it.')) return;
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/documents/${this.shareDocumentId}/links/${linkId}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to revoke link');
+            }
+            await this.loadShareLinks();
+        } catch (error) {
+            console.error('Failed to revoke link:', error);
+            this.showError(`Failed to revoke link: ${error.message}`);
+        }
+    }
+
     /**
      * Show the upload modal
      */
@@ -762,6 +1796,7 @@ class TeamSyncApp {
 
         try {
             const formData = new FormData();
+            formData.append('folderId', this.currentFolderId);
             formData.append('file', file);
 
             const response = await fetch(`${this.config.apiBaseUrl}/documents/upload`, {
@@ -771,7 +1806,7 @@ class TeamSyncApp {
 
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.message || 'Upload failed');
+                throw new Error(error.error || error.message || 'Upload failed');
             }
 
             const newDoc = await response.json();
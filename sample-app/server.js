@@ -5,8 +5,9 @@
  * TeamSync Editor using JWT authentication for the WOPI protocol.
  *
  * Authentication Flow:
- * 1. Your app authenticates users (OAuth2, session, etc.)
- * 2. Your app generates a JWT signed with the shared JWT_SECRET
+ * 1. Your app authenticates users (here: OpenID Connect login with a session cookie)
+ * 2. Your app generates a JWT signed with the shared JWT_SECRET (HS256),
+ *    or with a rotating RS256/ES256 key published at /.well-known/jwks.json
  * 3. The JWT is used as the WOPI access_token
  * 4. TeamSync Editor passes this token back to WOPI endpoints
  * 5. WOPI endpoints validate the JWT and serve the document
@@ -15,11 +16,40 @@
 const express = require('express');
 const path = require('path');
 const multer = require('multer');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const fs = require('fs');
 const dns = require('dns');
-const rateLimit = require('express-rate-limit');
+const { rateLimit } = require('express-rate-limit');
+const { AsyncResource } = require('async_hooks');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { sanitizeParam, getFileExtension, isValidFileName } = require('./lib/utils');
+const {
+    multiTenant, tenants, currentTenant, forEachTenant, config, resolveTenant, tenantRateLimit
+} = require('./lib/tenants');
+const { formatMegabytes, storage, findDocument, listDocuments } = require('./lib/storage');
+const { documentLocks, forcedLockReleases, lockService } = require('./lib/locks');
+const { searchIndex } = require('./lib/search');
+const { versionService } = require('./lib/versions');
+const { editorSessions, tokenRevocations } = require('./lib/revocations');
+const { shareLinkService, shareLinkUrl } = require('./lib/share-links');
+const {
+    trashService, ROOT_FOLDER_ID, parseFolderPermissions, folderService, TOKEN_PERMISSIONS, capPermission
+} = require('./lib/folders');
+const {
+    isAdmin, canManageFolder, SHAREABLE_ROLES, ROLE_PERMISSIONS, roleAtLeast, documentAccess, loadDocumentForUser
+} = require('./lib/access');
+const { parsePolicy, mergePolicies, applyPolicyToPermission, documentPolicy } = require('./lib/policies');
+const {
+    getDocumentType, maxFileSize, EDITOR_POOL_SETTINGS, splitUrls, editorPool, EDITOR_MODES,
+    editorRules, editorUrlsInUse, discoveryMonitor, editorFormats, buildIframeSrc
+} = require('./lib/editor-routing');
+const { keyStore, describeSigning, tokenService } = require('./lib/tokens');
+const {
+    safeReturnPath, oidcClient, loginSessions, API_KEY_SCOPES, apiKeyService, validateWopiToken,
+    validateAppAuth, requireAdmin
+} = require('./lib/auth');
+const { router: wopiRouter } = require('./lib/wopi');
 
 // Configure DNS to prefer IPv6 for Railway private networking
 // Railway's .internal domains only resolve to IPv6 addresses
@@ -28,471 +58,22 @@ dns.setDefaultResultOrder('verbatim');
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Validate required environment variables
-if (!process.env.JWT_SECRET) {
-    console.error('ERROR: JWT_SECRET environment variable is required.');
-    console.error('Generate one with: openssl rand -base64 32');
-    process.exit(1);
-}
-
-// ============================================================================
-// Configuration
-// ============================================================================
-
-const config = {
-    // WOPI Host URL - for proxy mode
-    wopiHostUrl: process.env.WOPI_HOST_URL || 'http://localhost:3000',
-
-    // TeamSync Editor URLs (the actual editor servers) - INTERNAL URLs for server-to-server communication
-    // These are used for health checks and discovery fetching from within Docker network
-    // Single server mode (backward compatible)
-    editorUrl: process.env.TEAMSYNC_URL || 'http://localhost:9980',
-
-    // Multi-variant mode - separate servers for each document type (internal Docker network URLs)
-    documentEditorUrl: process.env.TEAMSYNC_DOCUMENT_URL || process.env.TEAMSYNC_URL || 'http://localhost:9980',
-    sheetsEditorUrl: process.env.TEAMSYNC_SHEETS_URL || process.env.TEAMSYNC_URL || 'http://localhost:9981',
-    presentationEditorUrl: process.env.TEAMSYNC_PRESENTATION_URL || process.env.TEAMSYNC_URL || 'http://localhost:9982',
-
-    // TeamSync Editor - unified editor handling ALL document types (internal Docker network URL)
-    unifiedEditorUrl: process.env.TEAMSYNC_EDITOR_URL || 'http://localhost:9983',
-
-    // PUBLIC URLs for browser access - these are what the browser iframe will use
-    // When running in Docker, the browser needs localhost URLs to access the exposed ports
-    documentEditorPublicUrl: process.env.TEAMSYNC_DOCUMENT_PUBLIC_URL || 'http://localhost:9980',
-    sheetsEditorPublicUrl: process.env.TEAMSYNC_SHEETS_PUBLIC_URL || 'http://localhost:9981',
-    presentationEditorPublicUrl: process.env.TEAMSYNC_PRESENTATION_PUBLIC_URL || 'http://localhost:9982',
-    unifiedEditorPublicUrl: process.env.TEAMSYNC_EDITOR_PUBLIC_URL || 'http://localhost:9983',
-
-    // Editor mode: 'teamsync-unified' | 'multi-editor'
-    // - teamsync-unified: Use single TeamSync Editor for all documents
-    // - multi-editor: Use specialized TeamSync editors (Document/Sheets/Presentation)
-    editorMode: process.env.EDITOR_MODE || 'teamsync-unified',
-
-    // This sample app's public URL (for browser access)
-    publicUrl: process.env.PUBLIC_URL || 'http://localhost:8080',
-
-    // WOPI callback URL - what TeamSync Editor (inside Docker) uses to reach this app
-    // When running in Docker, the editor needs host.docker.internal to reach the host
-    wopiCallbackUrl: process.env.WOPI_CALLBACK_URL || 'http://host.docker.internal:8080',
-
-    // JWT secret - MUST match the secret used by wopi-host
-    // REQUIRED: Set JWT_SECRET environment variable (32+ characters recommended)
-    // Generate with: openssl rand -base64 32
-    jwtSecret: process.env.JWT_SECRET,
-
-    // Token TTL in seconds (8 hours default for better UX)
-    tokenTtlSeconds: parseInt(process.env.TOKEN_TTL || '28800'),
-
-    // Demo user info (in production, this comes from your auth system)
-    demoUser: {
-        id: 'demo-user-001',
-        name: 'Demo User',
-        email: 'demo@example.com'
-    },
-
-    // Standalone mode - serve as own WOPI host
-    standaloneMode: process.env.STANDALONE_MODE !== 'false'
-};
-
-// ============================================================================
-// JWT Token Service
-// ============================================================================
-
-const tokenService = {
-    /**
-     * Generate a WOPI access token (JWT)
-     * This token is passed to TeamSync Editor and returned to WOPI endpoints
-     */
-    generateWopiToken(fileId, user, permissions = 'edit') {
-        const payload = {
-            // WOPI-specific claims
-            fileId,
-            permissions,
-
-            // User claims
-            userId: user.id,
-            userName: user.name,
-            userEmail: user.email,
-
-            // Standard JWT claims
-            iat: Math.floor(Date.now() / 1000),
-            exp: Math.floor(Date.now() / 1000) + config.tokenTtlSeconds,
-
-            // Token type identifier
-            type: 'wopi_access'
-        };
-
-        return jwt.sign(payload, config.jwtSecret, { algorithm: 'HS256' });
-    },
-
-    /**
-     * Validate a WOPI access token
-     * Returns the decoded payload or null if invalid
-     */
-    validateWopiToken(token) {
-        try {
-            const decoded = jwt.verify(token, config.jwtSecret, {
-                algorithms: ['HS256']
-            });
-
-            // Verify it's a WOPI token
-            if (decoded.type !== 'wopi_access') {
-                console.warn('[Token] Invalid token type:', decoded.type);
-                return null;
-            }
-
-            return decoded;
-        } catch (error) {
-            if (error.name === 'TokenExpiredError') {
-                console.warn('[Token] Token expired');
-            } else if (error.name === 'JsonWebTokenError') {
-                console.warn('[Token] Invalid token:', error.message);
-            } else {
-                console.error('[Token] Validation error:', error);
-            }
-            return null;
-        }
-    },
-
-    /**
-     * Generate an application JWT for API authentication
-     * This is what your frontend would use to authenticate API calls
-     */
-    generateAppToken(user) {
-        const payload = {
-            sub: user.id,
-            name: user.name,
-            email: user.email,
-            iat: Math.floor(Date.now() / 1000),
-            exp: Math.floor(Date.now() / 1000) + config.tokenTtlSeconds,
-            type: 'app_auth'
-        };
-
-        return jwt.sign(payload, config.jwtSecret, { algorithm: 'HS256' });
-    },
-
-    /**
-     * Validate an application JWT
-     */
-    validateAppToken(token) {
-        try {
-            const decoded = jwt.verify(token, config.jwtSecret, {
-                algorithms: ['HS256']
-            });
-
-            if (decoded.type !== 'app_auth') {
-                return null;
-            }
-
-            return {
-                id: decoded.sub,
-                name: decoded.name,
-                email: decoded.email
-            };
-        } catch (error) {
-            return null;
-        }
-    },
-
-    /**
-     * Get token TTL in milliseconds
-     */
-    getTokenTtlMs() {
-        return config.tokenTtlSeconds * 1000;
-    }
-};
-
-// ============================================================================
-// WOPI Token Validation Middleware
-// ============================================================================
-
-/**
- * Sanitize request parameter to ensure it's a string (not an array)
- * Prevents type confusion attacks where arrays are passed as params
- */
-function sanitizeParam(param) {
-    if (Array.isArray(param)) {
-        return String(param[0] || '');
-    }
-    return String(param || '');
-}
-
-/**
- * Middleware to validate WOPI access tokens
- * Extracts token from query param or Authorization header
- */
-function validateWopiToken(req, res, next) {
-    // WOPI tokens come as query parameter 'access_token'
-    const token = req.query.access_token ||
-                  req.headers['authorization']?.replace('Bearer ', '');
-
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
-
-    const payload = tokenService.validateWopiToken(token);
-    if (!payload) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-
-    // Verify the token is for the requested file
-    // Sanitize fileId to prevent type confusion (could be array)
-    const fileId = sanitizeParam(req.params.fileId);
-    if (payload.fileId !== fileId) {
-        return res.status(403).json({ error: 'Token not valid for this file' });
-    }
-
-    // Attach user info to request
-    req.wopiUser = {
-        id: payload.userId,
-        name: payload.userName,
-        email: payload.userEmail,
-        permissions: payload.permissions
-    };
-    req.wopiToken = payload;
-
-    next();
-}
-
-/**
- * Middleware to validate app authentication tokens
- */
-function validateAppAuth(req, res, next) {
-    const authHeader = req.headers['authorization'];
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        // For demo purposes, use demo user if no auth provided
-        req.user = config.demoUser;
-        return next();
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-    const user = tokenService.validateAppToken(token);
-
-    if (!user) {
-        return res.status(401).json({ error: 'Invalid authentication token' });
-    }
-
-    req.user = user;
-    next();
-}
-
-// ============================================================================
-// File Type Detection & Editor URL Routing
-// ============================================================================
-
-/**
- * Determine the document type based on file extension
- */
-function getDocumentType(filename) {
-    const ext = filename.split('.').pop().toLowerCase();
-
-    const documentTypes = ['docx', 'doc', 'odt', 'rtf', 'txt'];
-    const spreadsheetTypes = ['xlsx', 'xls', 'ods', 'csv'];
-    const presentationTypes = ['pptx', 'ppt', 'odp'];
-
-    if (documentTypes.includes(ext)) return 'document';
-    if (spreadsheetTypes.includes(ext)) return 'spreadsheet';
-    if (presentationTypes.includes(ext)) return 'presentation';
-
-    return 'document'; // Default to document
-}
-
-/**
- * Get the appropriate editor URL for a document type (internal Docker network)
- * Used for server-to-server communication (health checks, discovery)
- * @param {string} docType - The document type (document, spreadsheet, presentation)
- * @param {string} editorMode - The editor mode (teamsync-unified, multi-editor)
- */
-function getEditorUrlForType(docType, editorMode = config.editorMode) {
-    // Route based on editor mode
-    if (editorMode === 'teamsync-unified') {
-        return config.unifiedEditorUrl;
-    }
-
-    // Multi-editor mode: use specialized editors
-    switch (docType) {
-        case 'spreadsheet':
-            return config.sheetsEditorUrl;
-        case 'presentation':
-            return config.presentationEditorUrl;
-        case 'document':
-        default:
-            return config.documentEditorUrl;
-    }
-}
-
-/**
- * Get the PUBLIC editor URL for a document type (for browser iframe)
- * Used for building the iframe src that the browser will load
- * @param {string} docType - The document type (document, spreadsheet, presentation)
- * @param {string} editorMode - The editor mode (teamsync-unified, multi-editor)
- */
-function getEditorPublicUrlForType(docType, editorMode = config.editorMode) {
-    // Route based on editor mode
-    if (editorMode === 'teamsync-unified') {
-        return config.unifiedEditorPublicUrl;
-    }
-
-    // Multi-editor mode: use specialized editors
-    switch (docType) {
-        case 'spreadsheet':
-            return config.sheetsEditorPublicUrl;
-        case 'presentation':
-            return config.presentationEditorPublicUrl;
-        case 'document':
-        default:
-            return config.documentEditorPublicUrl;
-    }
-}
-
-// ============================================================================
-// Editor Discovery Service
-// ============================================================================
-
-// Cache discovery per editor instance
-const discoveryCache = new Map(); // url -> { urlPath, timestamp }
-const DISCOVERY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
-
-async function fetchDiscovery(editorUrl) {
-    const startTime = Date.now();
-    try {
-        console.log(`[Discovery] Fetching from ${editorUrl}/hosting/discovery`);
-        const response = await fetch(`${editorUrl}/hosting/discovery`);
-        const elapsed = Date.now() - startTime;
-        if (!response.ok) {
-            throw new Error(`Discovery fetch failed: ${response.status}`);
-        }
-        const xml = await response.text();
-        console.log(`[Discovery] Fetched from ${editorUrl} in ${elapsed}ms`);
-
-        // Parse the discovery XML to extract URL patterns
-        const urlMatch = xml.match(/urlsrc="([^"]+cool\.html[^"]*)"/);
-        if (urlMatch) {
-            const fullUrl = urlMatch[1];
-            const urlPath = new URL(fullUrl).pathname;
-            const cache = { urlPath, timestamp: Date.now() };
-            discoveryCache.set(editorUrl, cache);
-            console.log(`[Discovery] Found editor URL path for ${editorUrl}:`, urlPath);
-            return cache;
-        }
-
-        // Fallback
-        const fallbackMatch = xml.match(/urlsrc="([^"]+)"/);
-        if (fallbackMatch) {
-            const fullUrl = fallbackMatch[1];
-            const urlPath = new URL(fullUrl).pathname;
-            const cache = { urlPath, timestamp: Date.now() };
-            discoveryCache.set(editorUrl, cache);
-            return cache;
-        }
-
-        throw new Error('Could not parse discovery XML');
-    } catch (error) {
-        console.error(`[Discovery] Error for ${editorUrl}:`, error.message);
-        return { urlPath: '/browser/dist/cool.html', timestamp: Date.now() };
-    }
-}
-
-async function getEditorUrlPath(editorUrl) {
-    const cached = discoveryCache.get(editorUrl);
-    if (cached && (Date.now() - cached.timestamp) < DISCOVERY_CACHE_TTL) {
-        return cached.urlPath;
-    }
-    const discovery = await fetchDiscovery(editorUrl);
-    return discovery.urlPath;
-}
-
-async function buildIframeSrc(fileId, accessToken, filename, editorMode = config.editorMode) {
-    const startTime = Date.now();
-    // Determine which editor instance to use based on file type and editor mode
-    const docType = getDocumentType(filename);
-
-    const editorInternalUrl = getEditorUrlForType(docType, editorMode);
-    const editorPublicUrl = getEditorPublicUrlForType(docType, editorMode);
-
-    const modeLabels = {
-        'teamsync-unified': 'TEAMSYNC UNIFIED',
-        'multi-editor': 'MULTI-EDITOR'
-    };
-    console.log(`[Router] Building iframe for "${filename}" (${docType}) - ${modeLabels[editorMode] || editorMode} MODE`);
-
-    console.log(`[Router]   Internal URL: ${editorInternalUrl}`);
-    console.log(`[Router]   Public URL:   ${editorPublicUrl}`);
-
-    const urlPath = await getEditorUrlPath(editorInternalUrl);
-    const discoveryElapsed = Date.now() - startTime;
-    console.log(`[Router]   Discovery lookup: ${discoveryElapsed}ms`);
-
-    // Use wopiCallbackUrl for the WOPISrc - this is what TeamSync Editor (inside Docker) calls back to
-    const wopiSrc = encodeURIComponent(`${config.wopiCallbackUrl}/wopi/files/${fileId}`);
-
-    console.log(`[Router] File "${filename}" (${docType})`);
-    console.log(`  Internal URL: ${editorInternalUrl}`);
-    console.log(`  Public URL:   ${editorPublicUrl}`);
-
-    // Add cache-busting timestamp to ensure fresh tokens are used
-    const cacheBuster = Date.now();
-
-    // Return the PUBLIC URL for the browser iframe
-    return `${editorPublicUrl}${urlPath}?WOPISrc=${wopiSrc}&access_token=${accessToken}&lang=en&_t=${cacheBuster}`;
-}
-
-// ============================================================================
-// Document Storage (In-memory for demo)
-// ============================================================================
-
-const localDocuments = new Map();
-const documentLocks = new Map(); // fileId -> { lockId, userId, timestamp }
-
-// Initialize with sample documents for each type
-const sampleFiles = [
-    { path: 'sample-document.docx', id: 'sample-doc-001', name: 'Sample Document.docx' },
-    { path: 'sample-spreadsheet.xlsx', id: 'sample-sheet-001', name: 'Sample Spreadsheet.xlsx' },
-    { path: 'sample-presentation.pptx', id: 'sample-pres-001', name: 'Sample Presentation.pptx' }
-];
-
-sampleFiles.forEach(({ path: filePath, id, name }) => {
-    const fullPath = path.join(__dirname, filePath);
-    if (fs.existsSync(fullPath)) {
-        const content = fs.readFileSync(fullPath);
-        localDocuments.set(id, {
-            id,
-            name,
-            content,
-            size: content.length,
-            lastModified: new Date().toISOString(),
-            ownerId: config.demoUser.id
-        });
-        console.log(`[Storage] Loaded sample ${getDocumentType(name)}:`, id);
-    }
-});
-
-// Create placeholder documents if no sample files exist
-if (localDocuments.size === 0) {
-    console.log('[Storage] No sample files found. Upload documents to test.');
-}
-
-function getFileExtension(filename) {
-    return filename.split('.').pop().toLowerCase();
-}
-
 // ============================================================================
 // Middleware Setup
 // ============================================================================
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+// Everything below runs in the context of the request's tenant
+app.use(resolveTenant);
 
 // File upload configuration
+// Files are streamed to a temp directory instead of memory; the format and the
+// per-type limit are checked once the name is known, multer only enforces the
+// largest limit
 const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 50 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedExtensions = ['docx', 'doc', 'xlsx', 'xls', 'pptx', 'ppt', 'odt', 'ods', 'odp'];
-        const ext = getFileExtension(file.originalname);
-        cb(null, allowedExtensions.includes(ext));
-    }
+    storage: multer.diskStorage({ destination: config.uploadTempDir }),
+    limits: { fileSize: Math.max(...Object.values(config.maxFileSizes)) }
 });
 
 // ============================================================================
@@ -505,49 +86,44 @@ const upload = multer({
 app.get('/api/health', async (req, res) => {
     try {
         if (config.standaloneMode) {
-            // Check all editor instances
-            const checkInstance = async (name, url) => {
-                const startTime = Date.now();
-                try {
-                    console.log(`[Health] Checking ${name} at ${url}/hosting/discovery`);
-                    const response = await fetch(`${url}/hosting/discovery`, {
-                        signal: AbortSignal.timeout(5000)
-                    });
-                    const elapsed = Date.now() - startTime;
-                    const status = response.ok ? 'healthy' : 'not reachable';
-                    console.log(`[Health] ${name}: ${status} (HTTP ${response.status}) - ${elapsed}ms`);
-                    return status;
-                } catch (e) {
-                    const elapsed = Date.now() - startTime;
-                    console.log(`[Health] ${name}: not reachable (${e.message}) - ${elapsed}ms`);
-                    return 'not reachable';
-                }
+            // Check all editor instances; a pool is healthy while one of its instances is up
+            const checkPool = async pool => {
+                const results = await Promise.all(editorPool.nodes(pool).map(async node => {
+                    console.log(`[Health] Checking ${node.id} at ${node.url}/hosting/discovery`);
+                    const result = await editorPool.probe(node.url);
+                    console.log(`[Health] ${node.id}: ${result.status}${result.error ? ` (${result.error})` : ''} - ${result.latencyMs}ms`);
+                    return result;
+                }));
+                return results.some(result => result.status !== 'down') ? 'healthy' : 'not reachable';
             };
 
             const [docStatus, sheetsStatus, presentationStatus, editorStatus] = await Promise.all([
-                checkInstance('document', config.documentEditorUrl),
-                checkInstance('sheets', config.sheetsEditorUrl),
-                checkInstance('presentation', config.presentationEditorUrl),
-                checkInstance('editor', config.unifiedEditorUrl)
+                checkPool('document'),
+                checkPool('sheets'),
+                checkPool('presentation'),
+                checkPool('unified')
             ]);
 
-            // Determine health based on current editor mode
-            let allHealthy;
-            if (config.editorMode === 'teamsync-unified') {
-                allHealthy = editorStatus === 'healthy';
-            } else {
-                // multi-editor mode
-                allHealthy = docStatus === 'healthy' && sheetsStatus === 'healthy' && presentationStatus === 'healthy';
-            }
+            // Determine health based on the editors the routing rules use
+            const editors = editorRules.editors();
+            const allHealthy =
+                (!editors.includes('teamsync-unified') || editorStatus === 'healthy') &&
+                (!editors.includes('multi-editor') ||
+                    (docStatus === 'healthy' && sheetsStatus === 'healthy' && presentationStatus === 'healthy'));
 
             const anyHealthy = docStatus === 'healthy' ||
                                sheetsStatus === 'healthy' ||
                                presentationStatus === 'healthy' ||
                                editorStatus === 'healthy';
 
+            // Editors running on stale or missing discovery
+            const discoveryDegraded = editorUrlsInUse().filter(url => discoveryMonitor.isDegraded(url)).length;
+
             return res.json({
-                status: allHealthy ? 'healthy' : (anyHealthy ? 'partial' : 'degraded'),
-                mode: config.editorMode,
+                status: allHealthy && discoveryDegraded === 0 ? 'healthy' : (anyHealthy ? 'partial' : 'degraded'),
+                mode: editorRules.defaultEditor(),
+                editors,
+                discovery: discoveryDegraded === 0 ? 'ok' : 'degraded',
                 timestamp: new Date().toISOString(),
                 services: {
                     sampleApp: 'healthy',
@@ -569,74 +145,282 @@ app.get('/api/health', async (req, res) => {
 });
 
 /**
- * Get/Set editor mode configuration
- * Editor modes: 'teamsync-unified' | 'multi-editor'
+ * Editor modes in use: the default and every mode a routing rule can pick
+ * Editor modes: 'teamsync-unified' | 'multi-editor'. The routing rules decide
+ * per file (see editorRules).
  */
 app.get('/api/config/editor-mode', (req, res) => {
     res.json({
-        editorMode: config.editorMode,
-        mode: config.editorMode
+        editorMode: editorRules.defaultEditor(),
+        mode: editorRules.defaultEditor(),
+        editors: editorRules.editors()
     });
 });
 
-app.post('/api/config/editor-mode', (req, res) => {
-    const { editorMode } = req.body;
-    const validModes = ['teamsync-unified', 'multi-editor'];
-
-    if (editorMode && validModes.includes(editorMode)) {
-        config.editorMode = editorMode;
-        console.log(`[Config] Editor mode changed to: ${editorMode}`);
+/**
+ * File formats the editors can open (?editorMode= for one editor mode, by
+ * default every mode the routing rules use) and the actions each supports,
+ * from their discovery
+ */
+app.get('/api/formats', validateAppAuth, async (req, res) => {
+    try {
+        const requestedMode = sanitizeParam(req.query.editorMode);
+        const editors = EDITOR_MODES.includes(requestedMode) ? [requestedMode] : editorRules.editors();
+        const formats = new Map();
+        for (const editorMode of editors) {
+            for (const [ext, format] of await editorFormats.load(editorMode)) {
+                if (!formats.has(ext)) formats.set(ext, format);
+            }
+        }
+        res.json({
+            editors,
+            formats: Array.from(formats.values())
+                .sort((a, b) => a.ext.localeCompare(b.ext))
+                .map(format => editorFormats.describe(format))
+        });
+    } catch (error) {
+        console.error('[Formats] Error:', error);
+        res.status(500).json({ error: 'Failed to list formats' });
     }
+});
+
+/**
+ * Branding of the request's tenant for the page header
+ * Public, so the pages shown before login are branded too
+ */
+app.get('/api/config/branding', (req, res) => {
+    const { id, name, branding } = currentTenant();
     res.json({
-        editorMode: config.editorMode,
-        mode: config.editorMode
+        tenant: { id, name },
+        name: branding.name || 'TeamSync Editor',
+        logoUrl: branding.logoUrl,
+        primaryColor: branding.primaryColor
     });
 });
 
+// Sortable fields for the document listing and how to compare their values
+const DOCUMENT_SORT_FIELDS = {
+    name: (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true }),
+    lastModified: (a, b) => Date.parse(a) - Date.parse(b),
+    size: (a, b) => a - b
+};
+const DOCUMENT_LIST_DEFAULT_LIMIT = 50;
+const DOCUMENT_LIST_MAX_LIMIT = 200;
+
+/**
+ * Encode/decode the opaque pagination cursor: the sort value and ID of the last item on a page
+ */
+function encodeListCursor(doc, sort) {
+    return Buffer.from(JSON.stringify([doc[sort], doc.id])).toString('base64url');
+}
+
+function decodeListCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string' ? decoded : null;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * List documents
+ * Query:
+ *   folderId       - only documents directly inside this folder ('root' for the top level)
+ *   q              - case-insensitive match on the document name
+ *   type           - document | spreadsheet | presentation
+ *   ownerId        - only documents owned by this user
+ *   modifiedAfter  - ISO date, inclusive lower bound on lastModified
+ *   modifiedBefore - ISO date, exclusive upper bound on lastModified
+ *   sort           - name | lastModified | size (default name)
+ *   order          - asc | desc (default asc)
+ *   limit          - page size (default 50, max 200)
+ *   cursor         - nextCursor from the previous page
+ * Returns { documents, total, nextCursor } - nextCursor is null on the last page
  */
-app.get('/api/documents', validateAppAuth, (req, res) => {
-    const docs = Array.from(localDocuments.values()).map(doc => ({
-        id: doc.id,
-        name: doc.name,
-        size: doc.size,
-        lastModified: doc.lastModified
-    }));
-    res.json(docs);
+app.get('/api/documents', validateAppAuth, async (req, res) => {
+    try {
+        const folderId = req.query.folderId ? sanitizeParam(req.query.folderId) : null;
+        const q = sanitizeParam(req.query.q).trim().toLowerCase();
+        const type = sanitizeParam(req.query.type);
+        const ownerId = sanitizeParam(req.query.ownerId);
+        const sort = sanitizeParam(req.query.sort) || 'name';
+        const order = sanitizeParam(req.query.order) || 'asc';
+        const limit = req.query.limit ? parseInt(sanitizeParam(req.query.limit), 10) : DOCUMENT_LIST_DEFAULT_LIMIT;
+        const modifiedAfter = req.query.modifiedAfter ? Date.parse(sanitizeParam(req.query.modifiedAfter)) : null;
+        const modifiedBefore = req.query.modifiedBefore ? Date.parse(sanitizeParam(req.query.modifiedBefore)) : null;
+
+        if (!DOCUMENT_SORT_FIELDS[sort]) {
+            return res.status(400).json({ error: `sort must be one of: ${Object.keys(DOCUMENT_SORT_FIELDS).join(', ')}` });
+        }
+        if (order !== 'asc' && order !== 'desc') {
+            return res.status(400).json({ error: 'order must be asc or desc' });
+        }
+        if (type && !['document', 'spreadsheet', 'presentation'].includes(type)) {
+            return res.status(400).json({ error: 'type must be document, spreadsheet or presentation' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > DOCUMENT_LIST_MAX_LIMIT) {
+            return res.status(400).json({ error: `limit must be between 1 and ${DOCUMENT_LIST_MAX_LIMIT}` });
+        }
+        if (Number.isNaN(modifiedAfter) || Number.isNaN(modifiedBefore)) {
+            return res.status(400).json({ error: 'modifiedAfter and modifiedBefore must be ISO dates' });
+        }
+        const cursor = req.query.cursor ? decodeListCursor(sanitizeParam(req.query.cursor)) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const docs = [];
+        for (const doc of await listDocuments()) {
+            if (folderId && (doc.folderId || ROOT_FOLDER_ID) !== folderId) continue;
+            if (q && !doc.name.toLowerCase().includes(q)) continue;
+            if (type && getDocumentType(doc.name) !== type) continue;
+            if (ownerId && doc.ownerId !== ownerId) continue;
+            const modified = Date.parse(doc.lastModified);
+            if (modifiedAfter !== null && modified < modifiedAfter) continue;
+            if (modifiedBefore !== null && modified >= modifiedBefore) continue;
+            const role = await documentAccess.role(doc, req.user);
+            if (!role) continue;
+            docs.push({
+                id: doc.id,
+                name: doc.name,
+                size: doc.size,
+                lastModified: doc.lastModified,
+                ownerId: doc.ownerId,
+                folderId: doc.folderId || ROOT_FOLDER_ID,
+                role
+            });
+        }
+
+        // Sort by the requested field with the ID as tie-breaker, so the cursor position is stable
+        const direction = order === 'desc' ? -1 : 1;
+        const compare = (a, b) =>
+            direction * (DOCUMENT_SORT_FIELDS[sort](a[sort], b[sort]) || a.id.localeCompare(b.id));
+        docs.sort(compare);
+
+        const remaining = cursor
+            ? docs.filter(doc => compare(doc, { [sort]: cursor[0], id: cursor[1] }) > 0)
+            : docs;
+        const page = remaining.slice(0, limit);
+
+        res.json({
+            documents: page,
+            total: docs.length,
+            nextCursor: remaining.length > limit ? encodeListCursor(page[page.length - 1], sort) : null
+        });
+    } catch (error) {
+        console.error('[Documents] List error:', error);
+        res.status(500).json({ error: 'Failed to list documents' });
+    }
+});
+
+/**
+ * Full-text search across document names and contents
+ * Query: q - search terms (all must match, the last one also as a prefix), limit - max results (default 20)
+ */
+app.get('/api/search', validateAppAuth, async (req, res) => {
+    try {
+        const query = sanitizeParam(req.query.q).trim();
+        const limit = Math.min(parseInt(sanitizeParam(req.query.limit), 10) || 20, 100);
+        if (!query) {
+            return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+
+        const results = [];
+        for (const { fileId, score } of await searchIndex.search(query)) {
+            const doc = await findDocument(fileId);
+            if (!doc || !await documentAccess.role(doc, req.user)) continue;
+            results.push({
+                id: doc.id,
+                name: doc.name,
+                folderId: doc.folderId || ROOT_FOLDER_ID,
+                size: doc.size,
+                lastModified: doc.lastModified,
+                score: Math.round(score * 1000) / 1000
+            });
+        }
+
+        // Snippets read the stored text, so only build them for the returned page
+        const page = [];
+        for (const result of results.slice(0, limit)) {
+            page.push({ ...result, snippet: await searchIndex.snippet(result.id, query) });
+        }
+
+        res.json({ query, total: results.length, results: page });
+    } catch (error) {
+        console.error('[Search] Query error:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
 });
 
 /**
  * Upload a document
  */
-app.post('/api/documents/upload', validateAppAuth, upload.single('file'), async (req, res) => {
+app.post('/api/documents/upload', validateAppAuth, (req, res, next) => {
+    upload.single('file')(req, res, AsyncResource.bind(error => {
+        if (error?.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: 'File is too large' });
+        }
+        next(error);
+    }));
+}, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        // Optional target folder (multipart field), defaults to the root folder
+        const folderId = req.body.folderId ? sanitizeParam(req.body.folderId) : ROOT_FOLDER_ID;
+
+        // Only formats the editor picked for the file can open are accepted
+        const { editor } = await editorRules.match({ name: req.file.originalname, size: req.file.size, folderId }, req.user);
+        const formats = await editorFormats.load(editor);
+        if (!formats.has(getFileExtension(req.file.originalname))) {
+            return res.status(415).json({
+                error: `Unsupported file type .${getFileExtension(req.file.originalname)}`,
+                supportedExtensions: Array.from(formats.keys()).sort()
+            });
+        }
+
+        const maxBytes = maxFileSize(req.file.originalname);
+        if (req.file.size > maxBytes) {
+            return res.status(413).json({
+                error: `${getDocumentType(req.file.originalname)} files are limited to ${formatMegabytes(maxBytes)}`
+            });
+        }
+
+        if (!await folderService.get(folderId)) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        if (await folderService.effectivePermission(folderId, req.user) !== 'edit') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
         const docId = `doc-${crypto.randomBytes(8).toString('hex')}`;
-        const doc = {
+        const doc = await versionService.saveDocument(docId, fs.createReadStream(req.file.path), {
             id: docId,
             name: req.file.originalname,
-            content: req.file.buffer,
-            size: req.file.size,
+            folderId,
             lastModified: new Date().toISOString(),
             ownerId: req.user.id
-        };
+        }, req.user);
 
-        localDocuments.set(docId, doc);
         console.log(`[Storage] Document uploaded: ${doc.name} (${doc.size} bytes)`);
 
         res.json({
             id: doc.id,
             name: doc.name,
             size: doc.size,
-            lastModified: doc.lastModified
+            lastModified: doc.lastModified,
+            folderId: doc.folderId
         });
     } catch (error) {
         console.error('[Upload] Error:', error);
         res.status(500).json({ error: 'Upload failed' });
+    } finally {
+        if (req.file) {
+            fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+        }
     }
 });
 
@@ -648,37 +432,82 @@ app.post('/api/documents/:fileId/token', validateAppAuth, async (req, res) => {
     const startTime = Date.now();
     try {
         const { fileId } = req.params;
-        const { permissions = 'edit', editorMode } = req.body;
-
-        // Use client preference if provided, otherwise fall back to server config
-        const effectiveEditorMode = editorMode || config.editorMode;
-        console.log(`[API] Token request: fileId=${fileId} permissions=${permissions} editorMode=${effectiveEditorMode}`);
+        const { permissions: requestedPermissions, policy: requestedPolicy, action: requestedAction } = req.body;
+        console.log(`[API] Token request: fileId=${fileId} permissions=${requestedPermissions || '(role)'}`);
+
+        // Verify document exists and the user may open it
+        const access = await loadDocumentForUser(req, res, fileId);
+        if (!access) return;
+        const { doc, role } = access;
+
+        // The routing rules pick the editor
+        const { editor: effectiveEditorMode, rule: editorRule } = await editorRules.match(doc, req.user);
+
+        // Without an explicit request, the token carries everything the role allows
+        const allowed = ROLE_PERMISSIONS[role];
+        const permissions = requestedPermissions || allowed;
+        if (!TOKEN_PERMISSIONS.includes(permissions)) {
+            return res.status(400).json({ error: `permissions must be one of: ${TOKEN_PERMISSIONS.join(', ')}` });
+        }
+        if (capPermission(permissions, allowed) !== permissions) {
+            console.warn(`[API] Token refused: file=${fileId} user=${req.user.id} role=${role} requested=${permissions}`);
+            return res.status(403).json({ error: `Your role (${role}) does not allow ${permissions} access`, role });
+        }
 
-        // Verify document exists
-        if (!localDocuments.has(fileId)) {
-            return res.status(404).json({ error: 'Document not found' });
+        // Callers may add restrictions on top of the document's policy, never lift them
+        const extra = requestedPolicy === undefined ? { policy: null } : parsePolicy(requestedPolicy);
+        if (extra.error) {
+            return res.status(400).json({ error: extra.error });
         }
+        const policy = mergePolicies(await documentPolicy.effective(doc), extra.policy);
 
-        const doc = localDocuments.get(fileId);
+        // The editors' discovery decides whether the format can be edited at all
+        const format = (await editorFormats.load(effectiveEditorMode)).get(getFileExtension(doc.name));
+        if (!format) {
+            return res.status(415).json({ error: `No editor can open .${getFileExtension(doc.name)} files` });
+        }
+        let grantedPermissions = applyPolicyToPermission(permissions, policy);
+        if (grantedPermissions !== 'view' && !editorFormats.canEdit(format)) {
+            grantedPermissions = 'view';
+        }
+        const action = editorFormats.chooseAction(format, grantedPermissions, requestedAction);
+        if (!action) {
+            return res.status(400).json({
+                error: requestedAction
+                    ? `.${format.ext} files cannot be opened with the ${requestedAction} action`
+                    : `.${format.ext} files have no view or edit action`,
+                actions: editorFormats.actions(format)
+            });
+        }
 
         // Generate WOPI access token (JWT)
-        const accessToken = tokenService.generateWopiToken(fileId, req.user, permissions);
+        const accessToken = tokenService.generateWopiToken(fileId, req.user, grantedPermissions, { policy });
 
         // Build iframe URL for editor (routes to correct server based on file type and editor mode)
-        const iframeSrc = await buildIframeSrc(fileId, accessToken, doc.name, effectiveEditorMode);
+        const { iframeSrc, backend, error: editorError, discovery } = await buildIframeSrc(fileId, accessToken, doc.name, effectiveEditorMode, action);
+        if (editorError) {
+            return res.status(503).json({ error: editorError, backend, discovery: discovery?.status ?? null });
+        }
 
         // Determine document type for client info
-        const docType = getDocumentType(doc.name);
+        const docType = format.documentType;
 
         const elapsed = Date.now() - startTime;
-        console.log(`[API] Token issued: file=${fileId} (${docType}) user=${req.user.id} permissions=${permissions} editorMode=${effectiveEditorMode} - ${elapsed}ms`);
+        console.log(`[API] Token issued: file=${fileId} (${docType}) user=${req.user.id} permissions=${grantedPermissions}${policy ? ` policy=${JSON.stringify(policy)}` : ''} editorMode=${effectiveEditorMode} rule=${editorRule || '(default)'} action=${action} backend=${backend.instance} (${backend.reason}) - ${elapsed}ms`);
 
         res.json({
             accessToken,
             accessTokenTtl: tokenService.getTokenTtlMs(),
             iframeSrc,
             documentType: docType,
-            editorMode: effectiveEditorMode
+            editorMode: effectiveEditorMode,
+            editorRule,
+            backend,
+            action,
+            editable: editorFormats.canEdit(format),
+            permissions: grantedPermissions,
+            policy,
+            role
         });
     } catch (error) {
         const elapsed = Date.now() - startTime;
@@ -688,277 +517,1269 @@ app.post('/api/documents/:fileId/token', validateAppAuth, async (req, res) => {
 });
 
 /**
- * Get an app authentication token (for demo/testing)
- * In production, this would be handled by your OAuth2/OIDC provider
+ * Check that a WOPI access token is still valid
+ * The host page polls this while a document is open and closes the editor
+ * once the token expires or is revoked (401)
  */
-app.post('/api/auth/token', (req, res) => {
-    const { userId, userName, userEmail } = req.body;
-
-    const user = {
-        id: userId || config.demoUser.id,
-        name: userName || config.demoUser.name,
-        email: userEmail || config.demoUser.email
-    };
-
-    const token = tokenService.generateAppToken(user);
-
+app.get('/api/documents/:fileId/session', validateWopiToken, (req, res) => {
+    res.set('Cache-Control', 'no-store');
     res.json({
-        token,
-        expiresIn: config.tokenTtlSeconds,
-        user
+        active: true,
+        permissions: req.wopiToken.permissions,
+        expiresAt: new Date(req.wopiToken.exp * 1000).toISOString()
     });
 });
 
-// ============================================================================
-// WOPI Protocol Endpoints
-// These endpoints are called by TeamSync Editor to access documents
-// ============================================================================
-
-// Rate limiter for WOPI endpoints to prevent abuse
-const wopiRateLimiter = rateLimit({
-    windowMs: 60 * 1000, // 1 minute window
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: { error: 'Too many requests, please try again later' },
-    standardHeaders: true,
-    legacyHeaders: false,
+/**
+ * List the version history of a document (newest first)
+ */
+app.get('/api/documents/:fileId/versions', validateAppAuth, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        if (!await loadDocumentForUser(req, res, fileId)) return;
+        const history = await versionService.listVersions(fileId);
+        if (!history) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json(history);
+    } catch (error) {
+        console.error('[Versions] List error:', error);
+        res.status(500).json({ error: 'Failed to list versions' });
+    }
 });
 
 /**
- * WOPI CheckFileInfo - Get file metadata
- * Called when TeamSync Editor opens a document
+ * Download the content of a specific version
  */
-app.get('/wopi/files/:fileId', wopiRateLimiter, validateWopiToken, (req, res) => {
-    const startTime = Date.now();
-    const { fileId } = req.params;
-    console.log(`[WOPI] CheckFileInfo request: fileId=${fileId}`);
+app.get('/api/documents/:fileId/versions/:version/content', validateAppAuth, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        const version = parseInt(sanitizeParam(req.params.version), 10);
+        const access = await loadDocumentForUser(req, res, fileId);
+        if (!access) return;
+        const policy = await documentPolicy.effective(access.doc);
+        if (policy?.noDownload) {
+            return res.status(403).json({ error: 'Downloads are disabled for this document' });
+        }
+        if (policy?.watermark) {
+            return res.status(403).json({ error: 'Watermarked documents can only be exported as PDF from the editor' });
+        }
+        const found = await versionService.getVersion(fileId, version);
+        if (!found) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
 
-    const doc = localDocuments.get(fileId);
+        const { doc, record, stream } = found;
+        const ext = getFileExtension(doc.name);
+        const baseName = doc.name.slice(0, -(ext.length + 1)) || doc.name;
+        const downloadName = `${baseName} (v${record.version}).${ext}`;
 
-    if (!doc) {
-        console.log(`[WOPI] CheckFileInfo: file not found - ${fileId}`);
-        return res.status(404).json({ error: 'File not found' });
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': record.size,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`,
+            'ETag': `"${record.hash}"`
+        });
+        await pipeline(stream, res);
+    } catch (error) {
+        if (res.headersSent) {
+            if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('[Versions] Download stream error:', error.message);
+            }
+            return res.destroy(error);
+        }
+        console.error('[Versions] Download error:', error);
+        res.status(500).json({ error: 'Failed to download version' });
     }
-
-    const user = req.wopiUser;
-    const canWrite = req.wopiToken.permissions === 'edit';
-
-    // Return WOPI CheckFileInfo response
-    // See: https://docs.microsoft.com/en-us/microsoft-365/cloud-storage-partner-program/rest/files/checkfileinfo
-    const elapsed = Date.now() - startTime;
-    console.log(`[WOPI] CheckFileInfo: ${doc.name} (${doc.size} bytes) - ${elapsed}ms`);
-    res.json({
-        // Required properties
-        BaseFileName: doc.name,
-        OwnerId: doc.ownerId,
-        Size: doc.size,
-        UserId: user.id,
-        Version: doc.lastModified,
-
-        // User info
-        UserFriendlyName: user.name,
-        UserCanWrite: canWrite,
-        UserCanNotWriteRelative: true,
-
-        // Capabilities
-        SupportsUpdate: true,
-        SupportsLocks: true,
-        SupportsGetLock: true,
-        SupportsExtendedLockLength: true,
-        SupportsRename: true,
-        SupportsDeleteFile: false,
-        SupportsCobalt: false,
-        SupportsFolders: false,
-        SupportsUserInfo: true,
-
-        // Status
-        IsAnonymousUser: false,
-        IsAdminUser: true,  // Set to true to enable admin features in TeamSync Editor
-        ReadOnly: !canWrite,
-        RestrictedWebViewOnly: false,
-        LastModifiedTime: doc.lastModified,
-
-        // URLs for navigation
-        CloseUrl: config.publicUrl,
-        HostEditUrl: `${config.publicUrl}/?doc=${fileId}`,
-        HostViewUrl: `${config.publicUrl}/?doc=${fileId}&mode=view`,
-
-        // PostMessage settings for iframe communication
-        PostMessageOrigin: config.publicUrl,
-        EnableOwnerTermination: true,  // Allow host to terminate sessions
-        EnableInsertRemoteImage: false,
-        DisableExport: false,
-        DisablePrint: false,
-        DisableCopy: false,
-
-        // Additional WOPI properties for better integration
-        UserCanRename: canWrite,
-        FileNameMaxLength: 255,
-        EditModePostMessage: true,  // Enable PostMessage for edit mode changes
-        FileSharingPostMessage: true,  // Enable PostMessage for file sharing
-        ClosePostMessage: true,  // Enable PostMessage when document closes
-    });
 });
 
 /**
- * WOPI GetFile - Download file content
+ * Restore a previous version - saved as a new version on top of the history
  */
-app.get('/wopi/files/:fileId/contents', validateWopiToken, (req, res) => {
-    const startTime = Date.now();
-    const { fileId } = req.params;
-    console.log(`[WOPI] GetFile request: fileId=${fileId}`);
+app.post('/api/documents/:fileId/versions/:version/restore', validateAppAuth, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        const version = parseInt(sanitizeParam(req.params.version), 10);
+        if (!await loadDocumentForUser(req, res, fileId, 'editor')) return;
+        const doc = await versionService.restoreVersion(fileId, version, req.user);
+        if (!doc) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const current = doc.versions[doc.versions.length - 1];
+        console.log(`[Versions] Restored ${fileId} to version ${version} as version ${current.version} by ${req.user.id}`);
+        res.json({
+            id: doc.id,
+            name: doc.name,
+            size: doc.size,
+            lastModified: doc.lastModified,
+            version: current.version,
+            restoredFrom: version
+        });
+    } catch (error) {
+        console.error('[Versions] Restore error:', error);
+        res.status(500).json({ error: 'Failed to restore version' });
+    }
+});
 
-    const doc = localDocuments.get(fileId);
+/**
+ * Delete a document (moves it to the trash); only its owner or an admin may
+ * Refused while an editor session holds a lock on the document
+ */
+app.delete('/api/documents/:fileId', validateAppAuth, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        const access = await loadDocumentForUser(req, res, fileId);
+        if (!access) return;
+        const refusal = await documentAccess.deleteRefusal(access.doc, req.user);
+        if (refusal) {
+            const { status, error, lock } = refusal;
+            return res.status(status).json({ error, lockedBy: lock ? { id: lock.userId, name: lock.userName } : undefined });
+        }
 
-    if (!doc) {
-        console.log(`[WOPI] GetFile: file not found - ${fileId}`);
-        return res.status(404).json({ error: 'File not found' });
+        const doc = await trashService.moveToTrash(fileId, req.user);
+        res.json({ id: doc.id, name: doc.name, deletedAt: doc.deletedAt });
+    } catch (error) {
+        console.error('[Trash] Delete error:', error);
+        res.status(500).json({ error: 'Failed to delete document' });
     }
+});
 
-    const elapsed = Date.now() - startTime;
-    console.log(`[WOPI] GetFile: ${doc.name} (${doc.size} bytes) - ${elapsed}ms`);
+/**
+ * Move a document to another folder
+ * Body: { folderId }
+ */
+app.post('/api/documents/:fileId/move', validateAppAuth, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        const folderId = sanitizeParam(req.body.folderId) || ROOT_FOLDER_ID;
 
-    res.set({
-        'Content-Type': 'application/octet-stream',
-        'Content-Length': doc.content.length,
-        'X-WOPI-ItemVersion': doc.lastModified
-    });
-    res.send(doc.content);
+        const access = await loadDocumentForUser(req, res, fileId, 'editor');
+        if (!access) return;
+        if (!await folderService.get(folderId)) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        if (await folderService.effectivePermission(folderId, req.user) !== 'edit') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const siblings = (await listDocuments())
+            .filter(d => (d.folderId || ROOT_FOLDER_ID) === folderId && d.id !== fileId);
+        if (siblings.some(d => d.name === access.doc.name)) {
+            return res.status(409).json({ error: 'A document with this name already exists in the target folder' });
+        }
+
+        const policyBefore = await documentPolicy.effective(access.doc);
+        const doc = await storage.updateMetadata(fileId, { folderId });
+        console.log(`[Folders] Moved document ${fileId} to ${folderId} by ${req.user.id}`);
+
+        // Open sessions still run under the previous folder's restrictions
+        if (JSON.stringify(policyBefore) !== JSON.stringify(await documentPolicy.effective(doc))) {
+            await documentPolicy.revokeTokens([fileId], req.user);
+        }
+        res.json({ id: doc.id, name: doc.name, folderId: doc.folderId });
+    } catch (error) {
+        console.error('[Folders] Move document error:', error);
+        res.status(500).json({ error: 'Failed to move document' });
+    }
 });
 
 /**
- * WOPI PutFile - Save file content
+ * Get a document's policy: its own, the one inherited from its folders and the
+ * effective combination copied into new WOPI tokens
  */
-app.post('/wopi/files/:fileId/contents', validateWopiToken, express.raw({ type: '*/*', limit: '50mb' }), (req, res) => {
-    const { fileId } = req.params;
-    const doc = localDocuments.get(fileId);
+app.get('/api/documents/:fileId/policy', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        res.json(await documentPolicy.describe(access.doc));
+    } catch (error) {
+        console.error('[Policy] Get error:', error);
+        res.status(500).json({ error: 'Failed to load policy' });
+    }
+});
 
-    if (!doc) {
-        return res.status(404).json({ error: 'File not found' });
+/**
+ * Set or clear (null) a document's own policy (owner only)
+ * Body: { policy: { noDownload?, noPrint?, noCopy?, commentOnly?, exportFormats? } | null }
+ * Restrictions inherited from folders cannot be lifted here.
+ */
+app.put('/api/documents/:fileId/policy', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        if (!documentAccess.canManage(access.role, req.user)) {
+            return res.status(403).json({ error: 'Only the document owner can change its policy' });
+        }
+        if (req.body.policy === undefined) {
+            return res.status(400).json({ error: 'policy is required (null clears it)' });
+        }
+        const { policy, error } = parsePolicy(req.body.policy);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const doc = await storage.updateMetadata(access.doc.id, { policy });
+        await documentPolicy.revokeTokens([doc.id], req.user);
+        console.log(`[Policy] ${doc.id} policy ${policy ? `set to ${JSON.stringify(policy)}` : 'cleared'} by ${req.user.id}`);
+        res.json(await documentPolicy.describe(doc));
+    } catch (error) {
+        console.error('[Policy] Update error:', error);
+        res.status(500).json({ error: 'Failed to update policy' });
+    }
+});
+
+/**
+ * List who has access to a document
+ * Returns the owner, users and groups the document is shared with, and the
+ * grants inherited from a restricted folder
+ */
+app.get('/api/documents/:fileId/shares', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        res.json(await documentAccess.describe(access.doc, req.user));
+    } catch (error) {
+        console.error('[Sharing] List error:', error);
+        res.status(500).json({ error: 'Failed to list shares' });
     }
+});
+
+/**
+ * Share a document with a user or group, or change their role
+ * Body: { type: 'user' | 'group', id, role: 'viewer' | 'commenter' | 'editor' | 'owner' }
+ * Only the owner (or an admin) can share; role 'owner' transfers ownership to a user
+ */
+app.post('/api/documents/:fileId/shares', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        if (!documentAccess.canManage(access.role, req.user)) {
+            return res.status(403).json({ error: 'Only the document owner can share it' });
+        }
+
+        const type = sanitizeParam(req.body.type) || 'user';
+        const principalId = sanitizeParam(req.body.id).trim();
+        const role = sanitizeParam(req.body.role);
+        if (type !== 'user' && type !== 'group') {
+            return res.status(400).json({ error: 'type must be user or group' });
+        }
+        if (!principalId || principalId.length > 200) {
+            return res.status(400).json({ error: 'id is required (up to 200 characters)' });
+        }
+        if (!SHAREABLE_ROLES.includes(role) && !(role === 'owner' && type === 'user')) {
+            return res.status(400).json({ error: `role must be one of: ${SHAREABLE_ROLES.join(', ')} (or owner for a user)` });
+        }
+        if (type === 'user' && principalId === access.doc.ownerId) {
+            return res.status(400).json({ error: 'This user already owns the document' });
+        }
+
+        const previousRole = access.doc.acl?.[type === 'group' ? 'groups' : 'users']?.[principalId];
+        const doc = await documentAccess.share(access.doc, type, principalId, role);
+        console.log(`[Sharing] ${access.doc.id}: ${type} ${principalId} -> ${role} by ${req.user.id}`);
 
-    // Check write permission
-    if (req.wopiToken.permissions !== 'edit') {
-        return res.status(403).json({ error: 'Write permission required' });
+        // Tokens issued under a higher role must not outlive the downgrade
+        if (previousRole && !roleAtLeast(role, previousRole)) {
+            await tokenRevocations.revoke({ [type === 'group' ? 'group' : 'userId']: principalId, fileId: doc.id },
+                req.user, `Role lowered to ${role}`);
+        }
+        res.json(await documentAccess.describe(doc, req.user));
+    } catch (error) {
+        console.error('[Sharing] Share error:', error);
+        res.status(500).json({ error: 'Failed to share document' });
     }
+});
 
-    // Check lock (if document is locked by another user)
-    const lock = documentLocks.get(fileId);
-    const requestLock = req.headers['x-wopi-lock'];
+/**
+ * Stop sharing a document with a user or group
+ */
+app.delete('/api/documents/:fileId/shares/:type/:principalId', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        if (!documentAccess.canManage(access.role, req.user)) {
+            return res.status(403).json({ error: 'Only the document owner can change sharing' });
+        }
 
-    if (lock && requestLock !== lock.lockId) {
-        res.set('X-WOPI-Lock', lock.lockId);
-        return res.status(409).json({ error: 'Lock mismatch' });
+        const type = sanitizeParam(req.params.type);
+        const principalId = sanitizeParam(req.params.principalId);
+        const doc = await documentAccess.unshare(access.doc, type, principalId);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document is not shared with this user or group' });
+        }
+        console.log(`[Sharing] ${access.doc.id}: removed ${type} ${principalId} by ${req.user.id}`);
+        await tokenRevocations.revoke({ [type === 'group' ? 'group' : 'userId']: principalId, fileId: doc.id },
+            req.user, 'Access removed');
+        res.json(await documentAccess.describe(doc, req.user));
+    } catch (error) {
+        console.error('[Sharing] Unshare error:', error);
+        res.status(500).json({ error: 'Failed to change sharing' });
     }
+});
 
-    // Update document
-    doc.content = req.body;
-    doc.size = req.body.length;
-    doc.lastModified = new Date().toISOString();
-    localDocuments.set(fileId, doc);
+/**
+ * List the share links of a document (owner only)
+ */
+app.get('/api/documents/:fileId/links', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        if (!documentAccess.canManage(access.role, req.user)) {
+            return res.status(403).json({ error: 'Only the document owner can manage links' });
+        }
+        const links = await shareLinkService.list(access.doc.id);
+        res.json({ links: links.map(link => shareLinkService.describe(link)) });
+    } catch (error) {
+        console.error('[Links] List error:', error);
+        res.status(500).json({ error: 'Failed to list links' });
+    }
+});
 
-    console.log(`[WOPI] PutFile: ${doc.name} (${doc.size} bytes) by ${req.wopiUser.name}`);
+/**
+ * Create a share link for guests (owner only)
+ * Body: { permissions: 'view' | 'edit', expiresAt?, password?, maxUses? }
+ * expiresAt defaults to SHARE_LINK_DEFAULT_DAYS from now. The link URL is only
+ * returned here.
+ */
+app.post('/api/documents/:fileId/links', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        if (!documentAccess.canManage(access.role, req.user)) {
+            return res.status(403).json({ error: 'Only the document owner can manage links' });
+        }
 
-    res.set('X-WOPI-ItemVersion', doc.lastModified);
-    res.json({
-        LastModifiedTime: doc.lastModified,
-        ItemVersion: doc.lastModified
-    });
+        const permissions = sanitizeParam(req.body.permissions) || 'view';
+        const expiresAt = req.body.expiresAt
+            ? Date.parse(sanitizeParam(req.body.expiresAt))
+            : Date.now() + config.shareLinkDefaultDays * 24 * 60 * 60 * 1000;
+        const password = req.body.password ? sanitizeParam(req.body.password) : null;
+        const maxUses = req.body.maxUses !== undefined && req.body.maxUses !== null && req.body.maxUses !== ''
+            ? Number(req.body.maxUses)
+            : null;
+
+        if (permissions !== 'view' && permissions !== 'edit') {
+            return res.status(400).json({ error: 'permissions must be view or edit' });
+        }
+        if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+            return res.status(400).json({ error: 'expiresAt must be a future ISO date' });
+        }
+        if (expiresAt > Date.now() + config.shareLinkMaxDays * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: `Links can be valid for at most ${config.shareLinkMaxDays} days` });
+        }
+        if (password !== null && (password.length < 4 || password.length > 200)) {
+            return res.status(400).json({ error: 'password must be 4-200 characters' });
+        }
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+            return res.status(400).json({ error: 'maxUses must be a positive integer' });
+        }
+
+        const { link, token } = await shareLinkService.create(access.doc, req.user, {
+            permissions,
+            expiresAt: new Date(expiresAt).toISOString(),
+            password,
+            maxUses
+        });
+        res.status(201).json({ ...shareLinkService.describe(link), url: shareLinkUrl(token), token });
+    } catch (error) {
+        console.error('[Links] Create error:', error);
+        res.status(500).json({ error: 'Failed to create link' });
+    }
 });
 
 /**
- * WOPI Lock/Unlock operations
+ * Revoke a share link (owner only)
  */
-app.post('/wopi/files/:fileId', validateWopiToken, (req, res) => {
-    const { fileId } = req.params;
-    const wopiOverride = req.headers['x-wopi-override'];
-    const requestLock = req.headers['x-wopi-lock'];
-    const oldLock = req.headers['x-wopi-oldlock'];
+app.delete('/api/documents/:fileId/links/:linkId', validateAppAuth, async (req, res) => {
+    try {
+        const access = await loadDocumentForUser(req, res, sanitizeParam(req.params.fileId));
+        if (!access) return;
+        if (!documentAccess.canManage(access.role, req.user)) {
+            return res.status(403).json({ error: 'Only the document owner can manage links' });
+        }
+        const link = (await shareLinkService.load()).get(sanitizeParam(req.params.linkId));
+        if (!link || link.fileId !== access.doc.id) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+        if (!link.revokedAt) {
+            await shareLinkService.revoke(link, req.user);
+            await tokenRevocations.revoke({ linkId: link.id }, req.user, 'Link revoked');
+        }
+        res.json(shareLinkService.describe(link));
+    } catch (error) {
+        console.error('[Links] Revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke link' });
+    }
+});
+
+// Guests can guess at link passwords, so link lookups are rate limited per IP (and tenant)
+const linkRateLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    ...tenantRateLimit('links', 20),
+    message: { error: 'Too many requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
 
-    const doc = localDocuments.get(fileId);
+/**
+ * Resolve a link token to a usable link and its document
+ * Sends the error response and returns null if the link is unknown (404) or
+ * no longer usable (410)
+ */
+async function loadShareLink(req, res) {
+    const link = await shareLinkService.findByToken(sanitizeParam(req.params.token));
+    if (!link) {
+        res.status(404).json({ error: 'Link not found' });
+        return null;
+    }
+    const status = shareLinkService.status(link);
+    if (status !== 'active') {
+        res.status(410).json({ error: `This link is ${status}`, status });
+        return null;
+    }
+    const doc = await findDocument(link.fileId);
     if (!doc) {
-        return res.status(404).json({ error: 'File not found' });
+        res.status(410).json({ error: 'The shared document no longer exists', status: 'deleted' });
+        return null;
     }
+    return { link, doc };
+}
 
-    const currentLock = documentLocks.get(fileId);
-
-    switch (wopiOverride) {
-        case 'LOCK':
-            if (currentLock) {
-                if (currentLock.lockId === requestLock) {
-                    // Refresh lock
-                    currentLock.timestamp = Date.now();
-                    res.set('X-WOPI-Lock', currentLock.lockId);
-                    return res.status(200).send();
-                } else {
-                    // Conflict
-                    res.set('X-WOPI-Lock', currentLock.lockId);
-                    return res.status(409).json({ error: 'Lock conflict' });
-                }
-            }
-            // Create new lock
-            documentLocks.set(fileId, {
-                lockId: requestLock,
-                userId: req.wopiUser.id,
-                timestamp: Date.now()
+/**
+ * Describe a share link for the guest landing page (does not count as a use)
+ */
+app.get('/api/links/:token', linkRateLimiter, async (req, res) => {
+    try {
+        const shared = await loadShareLink(req, res);
+        if (!shared) return;
+        const { link, doc } = shared;
+        res.json({
+            name: doc.name,
+            documentType: getDocumentType(doc.name),
+            permissions: link.permissions,
+            expiresAt: link.expiresAt,
+            passwordRequired: !!link.password
+        });
+    } catch (error) {
+        console.error('[Links] Lookup error:', error);
+        res.status(500).json({ error: 'Failed to open link' });
+    }
+});
+
+/**
+ * Open a share link as a guest: checks the password, issues a guest WOPI token
+ * and counts a use once the editor URL is ready
+ * Body: { password?, name? }
+ */
+app.post('/api/links/:token/open', linkRateLimiter, async (req, res) => {
+    try {
+        const shared = await loadShareLink(req, res);
+        if (!shared) return;
+        const { link, doc } = shared;
+
+        if (!await shareLinkService.checkPassword(link, req.body.password)) {
+            console.warn(`[Links] Wrong password for ${link.id} from ${req.ip}`);
+            return res.status(401).json({
+                error: req.body.password ? 'Incorrect password' : 'Password required',
+                passwordRequired: true
             });
-            console.log(`[WOPI] Lock acquired: ${fileId} by ${req.wopiUser.name}`);
-            res.set('X-WOPI-Lock', requestLock);
-            return res.status(200).send();
-
-        case 'GET_LOCK':
-            res.set('X-WOPI-Lock', currentLock?.lockId || '');
-            return res.status(200).send();
-
-        case 'REFRESH_LOCK':
-            if (!currentLock || currentLock.lockId !== requestLock) {
-                res.set('X-WOPI-Lock', currentLock?.lockId || '');
-                return res.status(409).json({ error: 'Lock mismatch' });
+        }
+        const guestName = sanitizeParam(req.body.name).trim().slice(0, 100);
+        const guest = {
+            id: `guest-${crypto.randomBytes(6).toString('hex')}`,
+            name: guestName ? `${guestName} (guest)` : 'Guest',
+            email: ''
+        };
+        const policy = await documentPolicy.effective(doc);
+        // Guests have no groups; the other routing conditions apply as for members
+        const { editor: editorMode, rule: editorRule } = await editorRules.match(doc, null);
+        const format = (await editorFormats.load(editorMode)).get(getFileExtension(doc.name));
+        if (!format) {
+            return res.status(415).json({ error: `No editor can open .${getFileExtension(doc.name)} files` });
+        }
+        let permissions = applyPolicyToPermission(link.permissions, policy);
+        if (permissions !== 'view' && !editorFormats.canEdit(format)) {
+            permissions = 'view';
+        }
+        const action = editorFormats.chooseAction(format, permissions);
+        const accessToken = tokenService.generateWopiToken(doc.id, guest, permissions, {
+            linkId: link.id,
+            expiresAt: link.expiresAt,
+            policy
+        });
+        const { iframeSrc, backend, error: editorError, discovery } = await buildIframeSrc(doc.id, accessToken, doc.name, editorMode, action);
+        if (editorError) {
+            return res.status(503).json({ error: editorError, discovery: discovery?.status ?? null });
+        }
+
+        // Only a successful open counts; another guest may have taken the last use meanwhile
+        if (!await shareLinkService.recordUse(link)) {
+            const status = shareLinkService.status(link);
+            return res.status(410).json({ error: `This link is ${status}`, status });
+        }
+
+        console.log(`[Links] ${link.id} opened (${link.uses}${link.maxUses ? `/${link.maxUses}` : ''} uses) for ${doc.id} as ${guest.id}`);
+        res.json({
+            accessToken,
+            accessTokenTtl: Math.min(tokenService.getTokenTtlMs(), Date.parse(link.expiresAt) - Date.now()),
+            iframeSrc,
+            documentType: format.documentType,
+            editorMode,
+            editorRule,
+            backend,
+            action,
+            permissions,
+            policy,
+            document: { id: doc.id, name: doc.name },
+            guest
+        });
+    } catch (error) {
+        console.error('[Links] Open error:', error);
+        res.status(500).json({ error: 'Failed to open link' });
+    }
+});
+
+/**
+ * List documents in the trash
+ */
+app.get('/api/trash', validateAppAuth, async (req, res) => {
+    try {
+        const docs = [];
+        for (const doc of await trashService.listTrash()) {
+            if (!await documentAccess.role(doc, req.user)) continue;
+            docs.push({
+                id: doc.id,
+                name: doc.name,
+                size: doc.size,
+                lastModified: doc.lastModified,
+                deletedAt: doc.deletedAt,
+                deletedBy: doc.deletedBy
+            });
+        }
+        res.json({ retentionDays: config.trashRetentionDays, documents: docs });
+    } catch (error) {
+        console.error('[Trash] List error:', error);
+        res.status(500).json({ error: 'Failed to list trash' });
+    }
+});
+
+/**
+ * Restore a document from the trash
+ */
+app.post('/api/trash/:fileId/restore', validateAppAuth, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        const trashed = await storage.metadata(fileId);
+        if (trashed?.deletedAt && !roleAtLeast(await documentAccess.role(trashed, req.user), 'editor')) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        const doc = await trashService.restore(fileId, req.user);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document not found in trash' });
+        }
+        res.json({ id: doc.id, name: doc.name, size: doc.size, lastModified: doc.lastModified });
+    } catch (error) {
+        console.error('[Trash] Restore error:', error);
+        res.status(500).json({ error: 'Failed to restore document' });
+    }
+});
+
+/**
+ * Permanently delete a document from the trash (owner only)
+ */
+app.delete('/api/trash/:fileId', validateAppAuth, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        const trashed = await storage.metadata(fileId);
+        if (trashed?.deletedAt && await documentAccess.role(trashed, req.user) !== 'owner') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        if (!await trashService.purge(fileId)) {
+            return res.status(404).json({ error: 'Document not found in trash' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        console.error('[Trash] Purge error:', error);
+        res.status(500).json({ error: 'Failed to purge document' });
+    }
+});
+
+/**
+ * Get a folder with its breadcrumbs and visible subfolders ('root' for the top level)
+ */
+app.get('/api/folders/:folderId', validateAppAuth, async (req, res) => {
+    try {
+        const folderId = sanitizeParam(req.params.folderId);
+        const folder = await folderService.get(folderId);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        const permission = await folderService.effectivePermission(folderId, req.user);
+        if (!permission) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const subfolders = [];
+        for (const child of await folderService.children(folderId)) {
+            if (await folderService.effectivePermission(child.id, req.user)) {
+                subfolders.push({ id: child.id, name: child.name, lastModified: child.lastModified });
             }
-            currentLock.timestamp = Date.now();
-            res.set('X-WOPI-Lock', currentLock.lockId);
-            return res.status(200).send();
-
-        case 'UNLOCK':
-            if (!currentLock || currentLock.lockId !== requestLock) {
-                res.set('X-WOPI-Lock', currentLock?.lockId || '');
-                return res.status(409).json({ error: 'Lock mismatch' });
+        }
+
+        res.json({
+            id: folder.id,
+            name: folder.name,
+            parentId: folder.parentId,
+            ownerId: folder.ownerId,
+            permission,
+            permissions: folder.ownerId === req.user.id ? folder.permissions : undefined,
+            policy: folder.policy || null,
+            inheritedPolicy: await documentPolicy.inherited(folder.parentId),
+            breadcrumbs: (await folderService.ancestors(folderId)).map(f => ({ id: f.id, name: f.name })),
+            folders: subfolders
+        });
+    } catch (error) {
+        console.error('[Folders] Get error:', error);
+        res.status(500).json({ error: 'Failed to load folder' });
+    }
+});
+
+/**
+ * Create a folder
+ * Body: { name, parentId }
+ */
+app.post('/api/folders', validateAppAuth, async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        const parentId = sanitizeParam(req.body.parentId) || ROOT_FOLDER_ID;
+
+        if (!isValidFileName(name)) {
+            return res.status(400).json({ error: 'Invalid folder name' });
+        }
+        if (!await folderService.get(parentId)) {
+            return res.status(404).json({ error: 'Parent folder not found' });
+        }
+        if (await folderService.effectivePermission(parentId, req.user) !== 'edit') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        if (await folderService.nameTaken(parentId, name)) {
+            return res.status(409).json({ error: 'A folder with this name already exists' });
+        }
+
+        const folder = await folderService.create(name, parentId, req.user);
+        res.status(201).json(folder);
+    } catch (error) {
+        console.error('[Folders] Create error:', error);
+        res.status(500).json({ error: 'Failed to create folder' });
+    }
+});
+
+/**
+ * Rename, move or change the permissions or policy of a folder (folder owner or admin)
+ * Body: { name?, parentId?, permissions?, policy? }
+ */
+app.patch('/api/folders/:folderId', validateAppAuth, async (req, res) => {
+    try {
+        const folderId = sanitizeParam(req.params.folderId);
+        const folder = folderId === ROOT_FOLDER_ID ? null : await folderService.get(folderId);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        if (await folderService.effectivePermission(folderId, req.user) !== 'edit') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        if (!canManageFolder(folder, req.user)) {
+            return res.status(403).json({ error: 'Only the folder owner can change it' });
+        }
+
+        const patch = {};
+        const { name, parentId, permissions, policy } = req.body;
+
+        if (name !== undefined) {
+            patch.name = String(name).trim();
+            if (!isValidFileName(patch.name)) {
+                return res.status(400).json({ error: 'Invalid folder name' });
+            }
+        }
+
+        if (parentId !== undefined) {
+            patch.parentId = sanitizeParam(parentId) || ROOT_FOLDER_ID;
+            if (!await folderService.get(patch.parentId)) {
+                return res.status(404).json({ error: 'Target folder not found' });
+            }
+            if (await folderService.wouldCreateCycle(folderId, patch.parentId)) {
+                return res.status(400).json({ error: 'Cannot move a folder into itself' });
+            }
+            if (await folderService.effectivePermission(patch.parentId, req.user) !== 'edit') {
+                return res.status(403).json({ error: 'Access denied' });
             }
-            documentLocks.delete(fileId);
-            console.log(`[WOPI] Lock released: ${fileId}`);
-            res.set('X-WOPI-Lock', '');
-            return res.status(200).send();
-
-        case 'UNLOCK_AND_RELOCK':
-            if (!currentLock || currentLock.lockId !== oldLock) {
-                res.set('X-WOPI-Lock', currentLock?.lockId || '');
-                return res.status(409).json({ error: 'Lock mismatch' });
+        }
+
+        if (permissions !== undefined) {
+            const parsed = parseFolderPermissions(permissions);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            patch.permissions = parsed.permissions;
+        }
+
+        if (policy !== undefined) {
+            const parsed = parsePolicy(policy);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
             }
-            documentLocks.set(fileId, {
-                lockId: requestLock,
-                userId: req.wopiUser.id,
-                timestamp: Date.now()
+            patch.policy = parsed.policy;
+        }
+
+        const targetParent = patch.parentId || folder.parentId;
+        const targetName = patch.name || folder.name;
+        if ((patch.name || patch.parentId) && await folderService.nameTaken(targetParent, targetName, folderId)) {
+            return res.status(409).json({ error: 'A folder with this name already exists' });
+        }
+
+        const policyBefore = mergePolicies(await documentPolicy.inherited(folder.parentId), folder.policy);
+        const updated = await folderService.update(folderId, patch);
+        console.log(`[Folders] Updated ${folderId} (${Object.keys(patch).join(', ')}) by ${req.user.id}`);
+
+        // Open documents below the folder still run under the old restrictions
+        const policyAfter = mergePolicies(await documentPolicy.inherited(updated.parentId), updated.policy);
+        if (JSON.stringify(policyBefore) !== JSON.stringify(policyAfter)) {
+            const fileIds = (await folderService.documents(folderId)).map(doc => doc.id);
+            await documentPolicy.revokeTokens(fileIds, req.user);
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error('[Folders] Update error:', error);
+        res.status(500).json({ error: 'Failed to update folder' });
+    }
+});
+
+/**
+ * Delete a folder with everything below it (folder owner or admin); documents inside are moved to the trash
+ * Refused unless the caller may delete every document inside (see documentAccess.deleteRefusal)
+ */
+app.delete('/api/folders/:folderId', validateAppAuth, async (req, res) => {
+    try {
+        const folderId = sanitizeParam(req.params.folderId);
+        const folder = folderId === ROOT_FOLDER_ID ? null : await folderService.get(folderId);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        if (await folderService.effectivePermission(folderId, req.user) !== 'edit') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        if (!canManageFolder(folder, req.user)) {
+            return res.status(403).json({ error: 'Only the folder owner can delete it' });
+        }
+
+        const refused = [];
+        for (const doc of await folderService.documents(folderId)) {
+            const refusal = await documentAccess.deleteRefusal(doc, req.user);
+            if (refusal) refused.push({ doc, ...refusal });
+        }
+        if (refused.length > 0) {
+            // A document the caller may not delete outweighs one that is only locked
+            const status = refused.some(refusal => refusal.status === 403) ? 403 : 409;
+            return res.status(status).json({
+                error: status === 403
+                    ? 'Folder contains documents only their owner can delete'
+                    : 'Folder contains documents that are open in an editor',
+                documents: refused
+                    .filter(refusal => refusal.status === status)
+                    .map(({ doc }) => ({ id: doc.id, name: doc.name }))
             });
-            res.set('X-WOPI-Lock', requestLock);
-            return res.status(200).send();
-
-        case 'PUT_RELATIVE':
-            return res.status(501).json({ error: 'Not implemented' });
-
-        case 'RENAME_FILE':
-            const newName = req.headers['x-wopi-requestedname'];
-            if (newName) {
-                doc.name = decodeURIComponent(newName);
-                doc.lastModified = new Date().toISOString();
-                console.log(`[WOPI] Renamed: ${fileId} -> ${doc.name}`);
+        }
+
+        const result = await folderService.delete(folderId, req.user);
+        res.json({ id: folderId, deletedFolders: result.folders, trashedDocuments: result.documents });
+    } catch (error) {
+        console.error('[Folders] Delete error:', error);
+        res.status(500).json({ error: 'Failed to delete folder' });
+    }
+});
+
+// Login attempts call out to the identity provider, so they are rate limited per IP (and tenant)
+const loginRateLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    ...tenantRateLimit('login', 30),
+    message: { error: 'Too many requests, please try again later' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+/**
+ * Start an OpenID Connect login: redirect to the identity provider
+ * ?returnTo=/path is where the browser lands once logged in
+ */
+app.get('/auth/login', loginRateLimiter, async (req, res) => {
+    if (!oidcClient.enabled) {
+        return res.status(404).json({ error: 'OpenID Connect login is not configured' });
+    }
+    try {
+        const { url, login } = await oidcClient.authorizationRequest(sanitizeParam(req.query.returnTo));
+        loginSessions.saveLogin(res, login);
+        res.redirect(url);
+    } catch (error) {
+        console.error('[OIDC] Login error:', error.message);
+        res.status(502).json({ error: 'Identity provider unavailable' });
+    }
+});
+
+/**
+ * OpenID Connect redirect URI: exchange the code and start a login session
+ */
+app.get('/auth/callback', loginRateLimiter, async (req, res) => {
+    if (!oidcClient.enabled) {
+        return res.status(404).json({ error: 'OpenID Connect login is not configured' });
+    }
+
+    const login = loginSessions.takeLogin(req, res);
+    if (req.query.error) {
+        const detail = sanitizeParam(req.query.error_description || req.query.error);
+        console.warn(`[OIDC] Login refused by provider: ${detail}`);
+        return res.status(401).json({ error: `Login failed: ${detail}` });
+    }
+    if (!login || !req.query.state || sanitizeParam(req.query.state) !== login.state) {
+        return res.status(400).json({ error: 'Login expired or state mismatch, please try again' });
+    }
+    if (!req.query.code) {
+        return res.status(400).json({ error: 'Authorization code missing' });
+    }
+
+    try {
+        const user = await oidcClient.completeLogin(sanitizeParam(req.query.code), login);
+        loginSessions.create(res, user);
+        console.log(`[OIDC] Login: ${user.id} (${user.email || 'no email'}) groups=[${user.groups.join(', ')}]`);
+        res.redirect(safeReturnPath(login.returnTo));
+    } catch (error) {
+        console.error('[OIDC] Callback error:', error.message);
+        res.status(401).json({ error: 'Login failed' });
+    }
+});
+
+/**
+ * End the login session
+ * Returns the identity provider's logout URL, if it has one, for the browser to visit
+ */
+app.post('/auth/logout', async (req, res) => {
+    try {
+        const session = await loginSessions.destroy(req, res);
+        if (session) {
+            console.log(`[OIDC] Logout: ${session.userId}`);
+        }
+        res.json({ loggedOut: Boolean(session), redirect: await oidcClient.logoutUrl() });
+    } catch (error) {
+        console.error('[OIDC] Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+/**
+ * Current user and how the request was authenticated
+ */
+app.get('/api/auth/me', validateAppAuth, (req, res) => {
+    res.json({
+        user: req.user,
+        method: req.authMethod,
+        admin: isAdmin(req.user),
+        loginUrl: oidcClient.enabled ? '/auth/login' : null
+    });
+});
+
+/**
+ * Get an app authentication token
+ * Unauthenticated callers (demo user allowed) can request any identity, for
+ * demo/testing. Logged-in callers get a token for their own identity.
+ */
+app.post('/api/auth/token', validateAppAuth, (req, res) => {
+    // API keys are limited by their scopes; an app token would not be
+    if (req.user.apiKey) {
+        return res.status(403).json({ error: 'API keys cannot be exchanged for app tokens' });
+    }
+
+    let user = req.user;
+    const { userId, userName, userEmail, groups } = req.body || {};
+    const otherIdentity = [userId, userName, userEmail, groups].some(value => value !== undefined);
+    if (otherIdentity && !(req.authMethod === 'demo' && config.allowDemoIdentities)) {
+        return res.status(403).json({ error: 'Tokens can only be issued for the caller' });
+    }
+    if (otherIdentity) {
+        user = {
+            id: userId || config.demoUser.id,
+            name: userName || config.demoUser.name,
+            email: userEmail || config.demoUser.email,
+            groups: Array.isArray(groups) ? groups.filter(group => typeof group === 'string') : []
+        };
+    }
+
+    const token = tokenService.generateAppToken(user);
+
+    res.json({
+        token,
+        expiresIn: config.tokenTtlSeconds,
+        user
+    });
+});
+
+/**
+ * Public keys for verifying RS256/ES256 tokens (JWK set, matched by kid)
+ * Empty when tokens are signed with the shared HS256 secret
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(config.jwtAlgorithm === 'HS256' ? { keys: [] } : keyStore.jwks());
+});
+
+// ============================================================================
+// Admin API Routes
+// ============================================================================
+
+/**
+ * List active WOPI locks
+ */
+app.get('/api/admin/locks', validateAppAuth, requireAdmin, async (req, res) => {
+    try {
+        const locks = [];
+        for (const fileId of Array.from(documentLocks.keys())) {
+            const lock = lockService.getActiveLock(fileId);
+            if (!lock) continue;
+            const doc = await storage.metadata(fileId);
+            locks.push({
+                fileId,
+                fileName: doc?.name || null,
+                lockId: lock.lockId,
+                heldBy: { id: lock.userId, name: lock.userName },
+                lockedAt: new Date(lock.timestamp).toISOString(),
+                expiresAt: lockService.expiresAt(lock)
+            });
+        }
+        res.json({ lockExpirySeconds: config.lockExpirySeconds, locks });
+    } catch (error) {
+        console.error('[Admin] List locks error:', error);
+        res.status(500).json({ error: 'Failed to list locks' });
+    }
+});
+
+/**
+ * List forced lock releases (audit trail, newest first)
+ */
+app.get('/api/admin/locks/releases', validateAppAuth, requireAdmin, (req, res) => {
+    res.json({ releases: [...forcedLockReleases.records].reverse() });
+});
+
+/**
+ * Force-release the lock on a document
+ * Optional JSON body: { reason }
+ */
+app.delete('/api/admin/locks/:fileId', validateAppAuth, requireAdmin, async (req, res) => {
+    try {
+        const fileId = sanitizeParam(req.params.fileId);
+        const record = await lockService.forceRelease(fileId, req.user, req.body?.reason);
+        if (!record) {
+            return res.status(404).json({ error: 'No active lock for this file' });
+        }
+        res.json(record);
+    } catch (error) {
+        console.error('[Admin] Force-release lock error:', error);
+        res.status(500).json({ error: 'Failed to release lock' });
+    }
+});
+
+/**
+ * List live editor sessions (tokens seen on WOPI calls that have not expired)
+ */
+app.get('/api/admin/sessions', validateAppAuth, requireAdmin, (req, res) => {
+    const sessions = editorSessions.list()
+        .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+        .map(session => ({
+            jti: session.jti,
+            user: { id: session.userId, name: session.userName },
+            fileId: session.fileId,
+            linkId: session.linkId,
+            issuedAt: new Date(session.iat * 1000).toISOString(),
+            expiresAt: new Date(session.exp * 1000).toISOString(),
+            firstSeen: session.firstSeen,
+            lastSeen: session.lastSeen
+        }));
+    res.json({ sessions });
+});
+
+/**
+ * List active token revocations
+ */
+app.get('/api/admin/revocations', validateAppAuth, requireAdmin, (req, res) => {
+    tokenRevocations.prune();
+    res.json({
+        tokens: Array.from(tokenRevocations.jtis, ([jti, exp]) => ({ jti, expiresAt: new Date(exp * 1000).toISOString() })),
+        rules: tokenRevocations.rules
+    });
+});
+
+/**
+ * Revoke WOPI and app tokens and end the matching live editor sessions
+ * Body: { jti } for one token, or { userId?, fileId? } for every token of a
+ * user, of a document, or of a user on a document; optional reason
+ */
+app.post('/api/admin/revocations', validateAppAuth, requireAdmin, async (req, res) => {
+    try {
+        const jti = sanitizeParam(req.body.jti);
+        const userId = sanitizeParam(req.body.userId);
+        const fileId = sanitizeParam(req.body.fileId);
+        const reason = sanitizeParam(req.body.reason) || null;
+
+        if (jti) {
+            return res.json(await tokenRevocations.revokeToken(jti, req.user, reason));
+        }
+        if (!userId && !fileId) {
+            return res.status(400).json({ error: 'jti, userId or fileId is required' });
+        }
+        res.json(await tokenRevocations.revoke({ userId, fileId }, req.user, reason));
+    } catch (error) {
+        console.error('[Admin] Revocation error:', error);
+        res.status(500).json({ error: 'Failed to revoke tokens' });
+    }
+});
+
+/**
+ * Editor instances per pool with their health, weight, drain state and the
+ * documents pinned to them
+ */
+app.get('/api/admin/editors', validateAppAuth, requireAdmin, (req, res) => {
+    res.json({
+        editors: editorRules.editors(),
+        affinitySeconds: config.editorAffinitySeconds,
+        pools: Object.keys(EDITOR_POOL_SETTINGS).map(pool => ({
+            pool,
+            nodes: editorPool.nodes(pool).map(node => editorPool.describe(node))
+        }))
+    });
+});
+
+/**
+ * Drain an editor instance for maintenance: it takes no new documents, the
+ * documents already on it stay until their editors go quiet
+ */
+app.post('/api/admin/editors/:nodeId/drain', validateAppAuth, requireAdmin, (req, res) => {
+    const node = editorPool.findNode(sanitizeParam(req.params.nodeId));
+    if (!node) {
+        return res.status(404).json({ error: 'Editor instance not found' });
+    }
+    editorPool.draining.add(node.url);
+    console.warn(`[Admin] ${req.user.id} is draining editor ${node.id} (${node.url})`);
+    res.json(editorPool.describe(node));
+});
+
+/**
+ * Put a drained editor instance back into rotation
+ */
+app.delete('/api/admin/editors/:nodeId/drain', validateAppAuth, requireAdmin, (req, res) => {
+    const node = editorPool.findNode(sanitizeParam(req.params.nodeId));
+    if (!node) {
+        return res.status(404).json({ error: 'Editor instance not found' });
+    }
+    editorPool.draining.delete(node.url);
+    console.log(`[Admin] ${req.user.id} put editor ${node.id} (${node.url}) back into rotation`);
+    res.json(editorPool.describe(node));
+});
+
+/**
+ * Discovery state of the tenant's editor instances and the changes detected
+ * in their discovery (URL paths, proof keys, formats)
+ */
+app.get('/api/admin/discovery', validateAppAuth, requireAdmin, (req, res) => {
+    const urls = editorPool.urls();
+    res.json({
+        refreshSeconds: config.discoveryRefreshSeconds,
+        editors: urls.map(url => discoveryMonitor.describe(url)),
+        changes: discoveryMonitor.changes.filter(change => urls.includes(change.editorUrl))
+    });
+});
+
+/**
+ * Editor routing rules in force
+ */
+app.get('/api/admin/editor-rules', validateAppAuth, requireAdmin, (req, res) => {
+    res.json({
+        file: editorRules.file,
+        loadedAt: editorRules.loadedAt,
+        default: editorRules.defaultEditor(),
+        rules: editorRules.rules
+    });
+});
+
+/**
+ * Reread the rules file; an invalid file is rejected and the current rules stay
+ */
+app.post('/api/admin/editor-rules/reload', validateAppAuth, requireAdmin, async (req, res) => {
+    const { error } = await editorRules.reload();
+    if (error) {
+        console.warn(`[Admin] ${req.user.id} tried to reload the editor rules: ${error}`);
+        return res.status(400).json({ error });
+    }
+    console.log(`[Admin] ${req.user.id} reloaded the editor rules`);
+    res.json({ file: editorRules.file, loadedAt: editorRules.loadedAt, default: editorRules.defaultEditor(), rules: editorRules.rules });
+});
+
+/**
+ * Dry run: which editor a file would open in, and which rule decided
+ * Body: { fileId } for a stored document, or { name, size?, folderId? };
+ * groups? (the user's groups, default the caller's)
+ */
+app.post('/api/admin/editor-rules/dry-run', validateAppAuth, requireAdmin, async (req, res) => {
+    try {
+        const { fileId, name, size, folderId, groups } = req.body;
+        if (groups !== undefined && (!Array.isArray(groups) || groups.some(group => typeof group !== 'string'))) {
+            return res.status(400).json({ error: 'groups must be an array of strings' });
+        }
+
+        let file;
+        if (fileId) {
+            const access = await loadDocumentForUser(req, res, sanitizeParam(fileId));
+            if (!access) return;
+            file = { id: access.doc.id, name: access.doc.name, size: access.doc.size, folderId: access.doc.folderId };
+        } else if (typeof name === 'string' && name) {
+            if (size !== undefined && (!Number.isInteger(size) || size < 0)) {
+                return res.status(400).json({ error: 'size must be a number of bytes' });
             }
-            res.json({ Name: doc.name });
-            return;
+            file = { name, size, folderId: folderId ? sanitizeParam(folderId) : ROOT_FOLDER_ID };
+        } else {
+            return res.status(400).json({ error: 'fileId or name is required' });
+        }
 
-        default:
-            return res.status(400).json({ error: 'Unknown WOPI operation' });
+        const user = { groups: groups || req.user.groups || [] };
+        const { editor, rule, trace } = await editorRules.match(file, user);
+        res.json({
+            file,
+            tenant: currentTenant().id,
+            groups: user.groups,
+            editor,
+            rule,
+            explanation: rule
+                ? `Rule "${rule}" matched: ${editor}`
+                : `No rule matched (${trace.length} tried): default ${editor}`,
+            trace
+        });
+    } catch (error) {
+        console.error('[Rules] Dry run error:', error);
+        res.status(500).json({ error: 'Dry run failed' });
+    }
+});
+
+/**
+ * List token signing keys (metadata only)
+ */
+app.get('/api/admin/keys', validateAppAuth, requireAdmin, (req, res) => {
+    if (config.jwtAlgorithm === 'HS256') {
+        return res.json({ algorithm: 'HS256', rotationDays: null, keys: [] });
+    }
+    res.json({
+        algorithm: config.jwtAlgorithm,
+        rotationDays: config.jwtKeyRotationDays,
+        keys: keyStore.describe()
+    });
+});
+
+/**
+ * Rotate the token signing key now
+ * The previous key stays published until the tokens it signed have expired
+ */
+app.post('/api/admin/keys/rotate', validateAppAuth, requireAdmin, async (req, res) => {
+    if (config.jwtAlgorithm === 'HS256') {
+        return res.status(400).json({ error: 'Key rotation requires JWT_ALGORITHM=RS256 or ES256' });
+    }
+    try {
+        const key = await keyStore.generate();
+        console.log(`[Admin] ${req.user.id} rotated the signing key to ${key.kid}`);
+        res.json({ kid: key.kid, alg: key.alg, createdAt: key.createdAt });
+    } catch (error) {
+        console.error('[Admin] Key rotation error:', error);
+        res.status(500).json({ error: 'Failed to rotate the signing key' });
+    }
+});
+
+/**
+ * List API keys (never the keys themselves), newest first
+ */
+app.get('/api/admin/api-keys', validateAppAuth, requireAdmin, (req, res) => {
+    const keys = Array.from(apiKeyService.keys.values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(key => apiKeyService.describe(key));
+    res.json({ keys });
+});
+
+/**
+ * Create an API key
+ * Body: { name, scopes: ['read' | 'write' | 'token-issue' | 'admin'], expiresInDays?,
+ *         userId?, userName?, userEmail?, groups? }
+ * Without userId the key acts as its own service user (apikey-<id>).
+ * The response contains the key; it cannot be retrieved again.
+ */
+app.post('/api/admin/api-keys', validateAppAuth, requireAdmin, async (req, res) => {
+    try {
+        const name = sanitizeParam(req.body.name).trim();
+        const { scopes, groups, expiresInDays } = req.body;
+        const userId = req.body.userId ? sanitizeParam(req.body.userId).trim() : null;
+
+        if (!name || name.length > 100) {
+            return res.status(400).json({ error: 'name must be 1-100 characters' });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({ error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` });
+        }
+        if (groups !== undefined && (!Array.isArray(groups) || !groups.every(group => typeof group === 'string' && group))) {
+            return res.status(400).json({ error: 'groups must be a list of group IDs' });
+        }
+        if (expiresInDays !== undefined && expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+            return res.status(400).json({ error: 'expiresInDays must be a positive integer' });
+        }
+        if (!userId && (req.body.userName || req.body.userEmail || groups)) {
+            return res.status(400).json({ error: 'userName, userEmail and groups require userId' });
+        }
+
+        const { key, secret } = await apiKeyService.create({
+            name,
+            scopes: Array.from(new Set(scopes)),
+            user: userId ? {
+                id: userId,
+                name: sanitizeParam(req.body.userName).trim() || name,
+                email: sanitizeParam(req.body.userEmail).trim(),
+                groups: groups || []
+            } : null,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null
+        }, req.user);
+        res.status(201).json({ ...apiKeyService.describe(key), key: secret });
+    } catch (error) {
+        console.error('[API Keys] Create error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+/**
+ * Revoke an API key; requests using it are refused from now on
+ */
+app.delete('/api/admin/api-keys/:keyId', validateAppAuth, requireAdmin, async (req, res) => {
+    try {
+        const keyId = sanitizeParam(req.params.keyId);
+        const key = apiKeyService.keys.get(keyId);
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        if (key.revokedAt) {
+            return res.status(409).json({ error: 'API key already revoked' });
+        }
+        res.json(apiKeyService.describe(await apiKeyService.revoke(keyId, req.user)));
+    } catch (error) {
+        console.error('[API Keys] Revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
     }
 });
 
+// ============================================================================
+// WOPI Endpoints (lib/wopi.js)
+// ============================================================================
+
+app.use(wopiRouter);
+
 // ============================================================================
 // SPA Fallback
 // ============================================================================
@@ -971,8 +1792,92 @@ app.get('*', (req, res) => {
 // Start Server
 // ============================================================================
 
-app.listen(PORT, () => {
-    console.log(`
+// Sample documents for each type, seeded into storage on first start
+const sampleFiles = [
+    { path: 'sample-document.docx', id: 'sample-doc-001', name: 'Sample Document.docx' },
+    { path: 'sample-spreadsheet.xlsx', id: 'sample-sheet-001', name: 'Sample Spreadsheet.xlsx' },
+    { path: 'sample-presentation.pptx', id: 'sample-pres-001', name: 'Sample Presentation.pptx' }
+];
+
+async function initializeStorage() {
+    console.log(`[Storage] Using ${storage.name} storage backend`);
+
+    for (const { path: filePath, id, name } of sampleFiles) {
+        const fullPath = path.join(__dirname, filePath);
+        if (await storage.metadata(id) || !fs.existsSync(fullPath)) {
+            continue;
+        }
+        const content = fs.readFileSync(fullPath);
+        await versionService.saveDocument(id, content, {
+            id,
+            name,
+            lastModified: new Date().toISOString(),
+            ownerId: config.demoUser.id
+        }, config.demoUser);
+        console.log(`[Storage] Loaded sample ${getDocumentType(name)}:`, id);
+    }
+
+    const docs = await listDocuments();
+    if (docs.length === 0) {
+        console.log('[Storage] No documents found. Upload documents to test.');
+    }
+    return docs;
+}
+
+function describeStorage() {
+    switch (storage.name) {
+        case 'filesystem':
+            return `filesystem (${config.storageDir})`;
+        case 's3':
+            return `s3 (${config.s3.endpoint || 'AWS'} bucket=${config.s3.bucket})`;
+        default:
+            return storage.name;
+    }
+}
+
+async function startServer() {
+    const started = new Map(); // tenantId -> { docs, signing, storage }
+    await forEachTenant(async tenant => {
+        if (multiTenant) {
+            console.log(`[Tenants] Starting tenant ${tenant.id} (${tenant.hosts.join(', ') || 'no host names'})`);
+        }
+        if (config.jwtAlgorithm !== 'HS256') {
+            await keyStore.rotate();
+        }
+        const docs = await initializeStorage();
+        await tokenRevocations.load();
+        await apiKeyService.load();
+        await forcedLockReleases.load();
+        for (const pool of Object.keys(EDITOR_POOL_SETTINGS)) {
+            const nodes = editorPool.nodes(pool);
+            const publicUrls = splitUrls(config[EDITOR_POOL_SETTINGS[pool][1]]);
+            if (nodes.length > 1 && publicUrls.length !== nodes.length) {
+                console.warn(`[Pool] ${pool} has ${nodes.length} instances but ${publicUrls.length} public URL(s); browsers need one per instance for sticky routing`);
+            }
+        }
+        started.set(tenant.id, { docs, signing: describeSigning(), storage: describeStorage() });
+    });
+    const primary = started.get(tenants[0].id);
+    const tenantLines = tenants.map(tenant => {
+        const { docs, signing, storage: storageInfo } = started.get(tenant.id);
+        return `  - ${tenant.id}${tenant.isDefault ? ' (default)' : ''}: ${tenant.hosts.join(', ') || 'no host names'}
+      Signing: ${signing}
+      Storage: ${storageInfo}
+      Documents loaded: ${docs.length}`;
+    }).join('\n');
+
+    if (config.allowDemoUser && process.env.NODE_ENV === 'production') {
+        console.warn('[Auth] ALLOW_DEMO_USER is on in production: unauthenticated requests act as the demo user');
+    }
+    if (config.allowDemoUser && config.allowDemoIdentities) {
+        console.warn('[Auth] ALLOW_DEMO_IDENTITIES is on: unauthenticated callers can get tokens for any user');
+    }
+    if (!config.allowDemoUser && !oidcClient.enabled) {
+        console.warn('[Auth] Demo user disabled and OIDC not configured: only bearer app tokens can authenticate');
+    }
+
+    const server = app.listen(PORT, () => {
+        console.log(`
 ╔════════════════════════════════════════════════════════════════╗
 ║                                                                ║
 ║   TeamSync Editor - Sample Application                         ║
@@ -990,38 +1895,71 @@ TeamSync Editor Instances:
   - Presentation: ${config.presentationEditorUrl}
   - Unified:      ${config.unifiedEditorUrl}
 
-Editor Mode: ${config.editorMode}
+Editor Mode: ${editorRules.file
+    ? `${editorRules.rules.length} routing rule(s) from ${editorRules.file}, default ${editorRules.defaultEditor()}`
+    : editorRules.defaultEditor()}
 
 Authentication:
-  - JWT Secret: [REDACTED] (${config.jwtSecret.length} chars)
-  - Token TTL: ${config.tokenTtlSeconds} seconds
-  - Demo User: ${config.demoUser.name} (${config.demoUser.id})
+${multiTenant ? '' : `  - Signing: ${primary.signing}\n`}  - Token TTL: ${config.tokenTtlSeconds} seconds
+  - WOPI proof keys: ${config.wopiProofValidation}
+  - Login: ${oidcClient.enabled ? `OpenID Connect (${config.oidc.issuer})` : 'none'}
+  - Demo User: ${config.allowDemoUser ? `${config.demoUser.name} (${config.demoUser.id})` : 'disabled'}
 
-Documents loaded: ${Array.from(localDocuments.keys()).join(', ') || 'none'}
+${multiTenant ? `Tenants:\n${tenantLines}` : `Storage: ${primary.storage}
+Documents loaded: ${primary.docs.map(doc => doc.id).join(', ') || 'none'}`}
 `);
 
-    if (config.standaloneMode) {
-        const modeInfo = {
-            'teamsync-unified': {
-                label: 'TeamSync Unified Editor',
-                routing: '  All documents -> TeamSync Editor (port 9983)',
-                setup: '  docker-compose -f docker-compose.editor.yml up -d'
-            },
-            'multi-editor': {
-                label: 'Multi-Editor Mode',
-                routing: `  .docx/.doc/.odt -> TeamSync Document (port 9980)
+        if (config.standaloneMode) {
+            const modeInfo = {
+                'teamsync-unified': {
+                    label: 'TeamSync Unified Editor',
+                    routing: '  All documents -> TeamSync Editor (port 9983)',
+                    setup: '  docker-compose -f docker-compose.editor.yml up -d'
+                },
+                'multi-editor': {
+                    label: 'Multi-Editor Mode',
+                    routing: `  .docx/.doc/.odt -> TeamSync Document (port 9980)
   .xlsx/.xls/.ods -> TeamSync Sheets (port 9981)
   .pptx/.ppt/.odp -> TeamSync Presentation (port 9982)`,
-                setup: '  docker-compose -f docker-compose.multi.yml up -d'
+                    setup: '  docker-compose -f docker-compose.multi.yml up -d'
+                }
+            };
+
+            for (const editorMode of editorRules.editors()) {
+                const mode = modeInfo[editorMode];
+                console.log(`[${mode.label}] Document routing:`);
+                console.log(mode.routing);
+                console.log('\nMake sure the editor is running:');
+                console.log(mode.setup + '\n');
             }
-        };
+        }
+    });
 
-        const mode = modeInfo[config.editorMode] || modeInfo['teamsync-unified'];
-        console.log(`[${mode.label}] Document routing:`);
-        console.log(mode.routing);
-        console.log('\nMake sure the editor is running:');
-        console.log(mode.setup + '\n');
-    }
-});
+    // First health check, so routing knows which editor instances are up
+    editorPool.probeAll().catch(error => console.error('[Pool] Health check failed:', error));
+
+    // Prefetch every editor's discovery; it is refreshed in the background from then on
+    discoveryMonitor.start()
+        .then(() => {
+            const degraded = Array.from(discoveryMonitor.editors.keys()).filter(url => discoveryMonitor.isDegraded(url));
+            console.log(`[Discovery] Prefetched ${discoveryMonitor.editors.size - degraded.length}/${discoveryMonitor.editors.size} editor(s)${degraded.length ? `; unavailable: ${degraded.join(', ')}` : ''}`);
+        })
+        .catch(error => console.error('[Discovery] Prefetch failed:', error));
+
+    // Catch up on documents stored before full-text search existed or changed while it was down
+    forEachTenant(() => searchIndex.indexStale()
+        .then(count => count > 0 && console.log(`[Search] Indexed ${count} stale document(s)`)))
+        .catch(error => console.error('[Search] Initial indexing failed:', error));
+
+    await once(server, 'listening');
+    return server;
+}
+
+if (require.main === module) {
+    startServer().catch(error => {
+        console.error('[Startup] Failed to start server:', error);
+        process.exit(1);
+    });
+}
 
-module.exports = app;
+module.exports = { app, startServer };
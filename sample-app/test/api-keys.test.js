@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+    app = await startApp({ ADMIN_USER_IDS: 'demo-user-001' });
+});
+
+after(() => app.close());
+
+async function createKey(body) {
+    const { status, body: created } = await app.request('POST', '/api/admin/api-keys', { body });
+    assert.equal(status, 201);
+    return created;
+}
+
+const withKey = (key, method, url, options = {}) =>
+    app.request(method, url, { ...options, headers: { 'X-API-Key': key } });
+
+test('a key can only make the requests its scopes allow', async () => {
+    const { key } = await createKey({ name: 'Reporting', scopes: ['read'], userId: 'demo-user-001' });
+
+    assert.equal((await withKey(key, 'GET', '/api/documents')).status, 200);
+    const write = await withKey(key, 'POST', '/api/folders', { body: { name: 'Reports' } });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.scope, 'write');
+    assert.equal((await withKey(key, 'POST', '/api/documents/sample-doc-001/token')).status, 403);
+    assert.equal((await withKey(key, 'GET', '/api/admin/api-keys')).status, 403);
+});
+
+test('a key without a user acts as its own service user and sees what is shared with it', async () => {
+    const created = await createKey({ name: 'Archiver', scopes: ['read'] });
+    assert.equal(created.user.id, `apikey-${created.id}`);
+
+    const before = await withKey(created.key, 'GET', '/api/documents');
+    assert.equal(before.body.documents.length, 0);
+
+    const shared = await app.request('POST', '/api/documents/sample-doc-001/shares', {
+        body: { type: 'user', id: created.user.id, role: 'viewer' }
+    });
+    assert.equal(shared.status, 200);
+    const after = await withKey(created.key, 'GET', '/api/documents');
+    assert.deepEqual(after.body.documents.map(doc => doc.id), ['sample-doc-001']);
+});
+
+test('keys are stored hashed, survive a reload and stop working once revoked', async () => {
+    const { apiKeyService } = require('../lib/auth');
+    const created = await createKey({ name: 'Sync', scopes: ['read', 'write'], userId: 'demo-user-001' });
+
+    const { body } = await app.request('GET', '/api/admin/api-keys');
+    const listed = body.keys.find(key => key.id === created.id);
+    assert.equal(listed.status, 'active');
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.hash, undefined);
+
+    // What a restart does: forget the keys and read them back from storage
+    apiKeyService.keys = new Map();
+    await apiKeyService.load();
+    assert.ok(!JSON.stringify(Array.from(apiKeyService.keys.values())).includes(created.key));
+    assert.equal((await withKey(created.key, 'GET', '/api/documents')).status, 200);
+    assert.equal((await withKey(`${created.key}x`, 'GET', '/api/documents')).status, 401);
+
+    assert.equal((await app.request('DELETE', `/api/admin/api-keys/${created.id}`)).status, 200);
+    assert.equal((await withKey(created.key, 'GET', '/api/documents')).status, 401);
+});
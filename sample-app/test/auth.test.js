@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(() => app.close());
+
+test('the demo user is not an admin by default', async () => {
+    const { status } = await app.request('GET', '/api/admin/locks');
+    assert.equal(status, 403);
+});
+
+test('the demo user gets an app token for itself', async () => {
+    const { status, body } = await app.request('POST', '/api/auth/token', { body: {} });
+    assert.equal(status, 200);
+    assert.equal(body.user.id, 'demo-user-001');
+
+    const me = await app.request('GET', '/api/auth/me', { token: body.token });
+    assert.equal(me.status, 200);
+});
+
+test('tokens for other identities need ALLOW_DEMO_IDENTITIES', async () => {
+    for (const body of [{ userId: 'admin' }, { groups: ['finance'] }]) {
+        const { status } = await app.request('POST', '/api/auth/token', { body });
+        assert.equal(status, 403, JSON.stringify(body));
+    }
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, startFakeEditor } = require('./helpers');
+
+let app;
+let editor;
+let discoveryMonitor;
+
+before(async () => {
+    editor = await startFakeEditor({ status: 503 });
+    app = await startApp({ TEAMSYNC_EDITOR_URL: editor.url });
+    ({ discoveryMonitor } = require('../lib/editor-routing'));
+});
+
+after(() => {
+    app.close();
+    editor.close();
+});
+
+/**
+ * Seconds until the next scheduled discovery fetch of the fake editor
+ */
+function secondsToNextAttempt() {
+    return (Date.parse(discoveryMonitor.state(editor.url).nextAttempt) - Date.now()) / 1000;
+}
+
+test('failed fetches are retried with a doubling backoff', async () => {
+    // The first refresh may join the startup prefetch
+    assert.equal(await discoveryMonitor.refresh(editor.url), null);
+    assert.equal(discoveryMonitor.status(editor.url), 'unavailable');
+    const { failures } = discoveryMonitor.state(editor.url);
+    const first = secondsToNextAttempt();
+    assert.ok(first > 0 && first <= 6 * 2 ** (failures - 1), `retry in ${first}s after ${failures} failure(s)`);
+
+    assert.equal(await discoveryMonitor.refresh(editor.url), null);
+    assert.equal(discoveryMonitor.state(editor.url).failures, failures + 1);
+    const second = secondsToNextAttempt();
+    assert.ok(second > first * 1.2, `retry in ${second}s after ${first}s`);
+});
+
+test('a recovered editor resets the backoff, and a later failure keeps its last discovery', async () => {
+    editor.status = 200;
+    assert.ok(await discoveryMonitor.refresh(editor.url));
+    assert.equal(discoveryMonitor.status(editor.url), 'ok');
+    assert.equal(discoveryMonitor.state(editor.url).failures, 0);
+
+    editor.status = 503;
+    assert.ok(await discoveryMonitor.refresh(editor.url), 'the last good discovery stays in use');
+    assert.equal(discoveryMonitor.status(editor.url), 'stale');
+    assert.equal(discoveryMonitor.state(editor.url).failures, 1);
+});
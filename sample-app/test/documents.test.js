@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(() => app.close());
+
+test('seeds the sample documents into storage on first start', async () => {
+    const { status, body } = await app.request('GET', '/api/documents');
+    assert.equal(status, 200);
+    const ids = body.documents.map(doc => doc.id);
+    for (const id of ['sample-doc-001', 'sample-sheet-001', 'sample-pres-001']) {
+        assert.ok(ids.includes(id), `${id} is listed`);
+    }
+});
+
+test('pages through the listing with nextCursor and rejects an invalid cursor', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+        const query = `sort=name&limit=1${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+        const { status, body } = await app.request('GET', `/api/documents?${query}`);
+        assert.equal(status, 200);
+        assert.equal(body.documents.length, 1);
+        seen.push(body.documents[0].name);
+        cursor = body.nextCursor;
+    } while (cursor);
+
+    const all = await app.request('GET', '/api/documents?sort=name');
+    assert.deepEqual(seen, all.body.documents.map(doc => doc.name));
+    assert.equal(seen.length, all.body.total);
+
+    assert.equal((await app.request('GET', '/api/documents?cursor=not-a-cursor')).status, 400);
+});
+
+test('editors cannot move a document they do not own to the trash', async () => {
+    const { tokenService } = require('../lib/tokens');
+    const shared = await app.request('POST', '/api/documents/sample-pres-001/shares', {
+        body: { type: 'user', id: 'bob', role: 'editor' }
+    });
+    assert.equal(shared.status, 200);
+
+    const bob = tokenService.generateAppToken({ id: 'bob', name: 'Bob' });
+    assert.equal((await app.request('DELETE', '/api/documents/sample-pres-001', { token: bob })).status, 403);
+    assert.equal((await app.request('DELETE', '/api/documents/sample-pres-001')).status, 200);
+});
@@ -0,0 +1,57 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+let editorPool;
+
+before(async () => {
+    app = await startApp({ TEAMSYNC_EDITOR_URL: 'http://editor-a:9983,http://editor-b:9983' });
+    ({ editorPool } = require('../lib/editor-routing'));
+});
+
+afterEach(() => {
+    editorPool.draining.clear();
+    editorPool.assignments.clear();
+});
+
+after(() => app.close());
+
+test('a drained instance takes no new documents', () => {
+    editorPool.draining.add('http://editor-a:9983');
+    for (const fileId of ['file-1', 'file-2', 'file-3', 'file-4']) {
+        assert.equal(editorPool.route(fileId, 'document').node.id, 'unified-2');
+    }
+});
+
+test('a pool with every instance draining has no backend', () => {
+    editorPool.draining.add('http://editor-a:9983');
+    editorPool.draining.add('http://editor-b:9983');
+
+    const { node, reason, detail } = editorPool.route('file-1', 'document');
+    assert.equal(node, null);
+    assert.equal(reason, 'no-backend');
+    assert.match(detail, /draining/);
+});
+
+test('token requests get a 503 when no editor can take the document', async () => {
+    editorPool.draining.add('http://editor-a:9983');
+    editorPool.draining.add('http://editor-b:9983');
+
+    const { status, body } = await app.request('POST', '/api/documents/sample-doc-001/token', { body: {} });
+    assert.equal(status, 503);
+    assert.equal(body.backend.reason, 'no-backend');
+    assert.equal(body.discovery, null);
+});
+
+test('in multi-editor mode a pool without instances fails over to the unified editor', () => {
+    const { nodes } = editorPool;
+    editorPool.nodes = pool => (pool === 'document' ? [] : nodes.call(editorPool, pool));
+    try {
+        const { node, reason } = editorPool.route('file-1', 'document', 'multi-editor');
+        assert.equal(node.pool, 'unified');
+        assert.equal(reason, 'failover');
+    } finally {
+        editorPool.nodes = nodes;
+    }
+});
@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('./helpers');
+
+const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamsync-rules-'));
+const rulesFile = path.join(rulesDir, 'rules.json');
+
+let app;
+
+before(async () => {
+    fs.writeFileSync(rulesFile, JSON.stringify({
+        default: 'teamsync-unified',
+        rules: [{ name: 'csv-in-calc', editor: 'multi-editor', match: { extensions: ['csv'] } }]
+    }));
+    app = await startApp({ EDITOR_RULES_FILE: rulesFile, ADMIN_USER_IDS: 'demo-user-001' });
+});
+
+after(() => {
+    app.close();
+    fs.rmSync(rulesDir, { recursive: true, force: true });
+});
+
+test('the dry run reports the rule that picks the editor, or the default', async () => {
+    const matched = await app.request('POST', '/api/admin/editor-rules/dry-run', { body: { name: 'export.csv', size: 10 } });
+    assert.equal(matched.status, 200);
+    assert.equal(matched.body.editor, 'multi-editor');
+    assert.equal(matched.body.rule, 'csv-in-calc');
+
+    const unmatched = await app.request('POST', '/api/admin/editor-rules/dry-run', { body: { name: 'notes.docx' } });
+    assert.equal(unmatched.status, 200);
+    assert.equal(unmatched.body.editor, 'teamsync-unified');
+    assert.equal(unmatched.body.rule, null);
+    assert.equal(unmatched.body.trace.length, 1);
+});
+
+test('an invalid rules file is rejected on reload and the current rules stay', async () => {
+    fs.writeFileSync(rulesFile, JSON.stringify({ rules: [{ editor: 'multi-editor', match: { color: ['red'] } }] }));
+    const reload = await app.request('POST', '/api/admin/editor-rules/reload');
+    assert.equal(reload.status, 400);
+    assert.match(reload.body.error, /unknown condition "color"/);
+
+    const { body } = await app.request('POST', '/api/admin/editor-rules/dry-run', { body: { name: 'export.csv' } });
+    assert.equal(body.rule, 'csv-in-calc');
+});
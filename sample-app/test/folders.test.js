@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+let folderId;
+
+before(async () => {
+    app = await startApp();
+    const { status, body } = await app.request('POST', '/api/folders', { body: { name: 'Board' } });
+    assert.equal(status, 201);
+    folderId = body.id;
+});
+
+after(() => app.close());
+
+const setPermissions = permissions =>
+    app.request('PATCH', `/api/folders/${folderId}`, { body: { permissions } });
+
+test('folder permissions must be a map of user IDs to view or edit', async () => {
+    for (const permissions of [['edit'], 'edit', 42, { bob: 'admin' }, { bob: ['edit'] }, { ' ': 'view' }]) {
+        const { status } = await setPermissions(permissions);
+        assert.equal(status, 400, `${JSON.stringify(permissions)} is refused`);
+    }
+
+    const { status, body } = await setPermissions({ bob: 'view' });
+    assert.equal(status, 200);
+    assert.deepEqual(body.permissions, { bob: 'view' });
+});
+
+test('users missing from the permissions map have no access, whatever their ID', async () => {
+    const { tokenService } = require('../lib/tokens');
+    assert.equal((await setPermissions({ bob: 'view' })).status, 200);
+
+    const bob = tokenService.generateAppToken({ id: 'bob', name: 'Bob' });
+    assert.equal((await app.request('GET', `/api/folders/${folderId}`, { token: bob })).body.permission, 'view');
+
+    for (const id of ['carol', 'toString', 'constructor']) {
+        const token = tokenService.generateAppToken({ id, name: id });
+        assert.equal((await app.request('GET', `/api/folders/${folderId}`, { token })).status, 403, `${id} is refused`);
+    }
+});
+
+test('deleting a folder is refused while it holds a document the caller may not delete', async () => {
+    const { tokenService } = require('../lib/tokens');
+    const bob = tokenService.generateAppToken({ id: 'bob', name: 'Bob' });
+    const inbox = await app.request('POST', '/api/folders', { body: { name: 'Inbox' }, token: bob });
+    assert.equal(inbox.status, 201);
+    assert.equal((await app.request('POST', '/api/documents/sample-doc-001/move', { body: { folderId: inbox.body.id } })).status, 200);
+
+    const refused = await app.request('DELETE', `/api/folders/${inbox.body.id}`, { token: bob });
+    assert.equal(refused.status, 403);
+    assert.deepEqual(refused.body.documents.map(doc => doc.id), ['sample-doc-001']);
+    assert.equal((await app.request('GET', '/api/documents/sample-doc-001/versions')).status, 200);
+});
+
+test('deleting a folder is refused while a document inside is locked', async () => {
+    const { tokenService } = require('../lib/tokens');
+    const drafts = await app.request('POST', '/api/folders', { body: { name: 'Drafts' } });
+    assert.equal((await app.request('POST', '/api/documents/sample-sheet-001/move', { body: { folderId: drafts.body.id } })).status, 200);
+
+    const token = tokenService.generateWopiToken('sample-sheet-001', { id: 'demo-user-001', name: 'Demo User' }, 'edit');
+    const lock = override => app.request('POST', `/wopi/files/sample-sheet-001?access_token=${encodeURIComponent(token)}`, {
+        headers: { 'X-WOPI-Override': override, 'X-WOPI-Lock': 'lock-1' }
+    });
+    assert.equal((await lock('LOCK')).status, 200);
+    assert.equal((await app.request('DELETE', `/api/folders/${drafts.body.id}`)).status, 409);
+
+    assert.equal((await lock('UNLOCK')).status, 200);
+    const deleted = await app.request('DELETE', `/api/folders/${drafts.body.id}`);
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.trashedDocuments, 1);
+});
+
+test('only the owner of an unrestricted folder may rename, move or delete it', async () => {
+    const { tokenService } = require('../lib/tokens');
+    const bob = tokenService.generateAppToken({ id: 'bob', name: 'Bob' });
+    const shared = await app.request('POST', '/api/folders', { body: { name: 'Shared' }, token: bob });
+    assert.equal(shared.status, 201);
+    const url = `/api/folders/${shared.body.id}`;
+
+    // Edit access lets anyone add their own documents, but not take over the folder
+    assert.equal((await app.request('POST', '/api/documents/sample-pres-001/move', { body: { folderId: shared.body.id } })).status, 200);
+    assert.equal((await app.request('PATCH', url, { body: { name: 'Mine now' } })).status, 403);
+    assert.equal((await app.request('PATCH', url, { body: { parentId: folderId } })).status, 403);
+    assert.equal((await app.request('DELETE', url)).status, 403);
+    const carol = tokenService.generateAppToken({ id: 'carol', name: 'Carol' });
+    assert.equal((await app.request('DELETE', url, { token: carol })).status, 403);
+    assert.equal((await app.request('GET', '/api/documents/sample-pres-001/versions')).status, 200);
+
+    assert.equal((await app.request('PATCH', url, { body: { name: 'Renamed' }, token: bob })).status, 200);
+});
@@ -0,0 +1,113 @@
+/**
+ * Test helpers: start the app on a free port with a fresh storage directory,
+ * and fake editors serving a discovery XML
+ *
+ * server.js reads its environment when it is loaded, so each test file starts
+ * the app once (node --test runs every file in its own process).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { once } = require('events');
+
+const TEST_JWT_SECRET = 'test-secret-test-secret-test-secret';
+
+/**
+ * Discovery XML with an edit and a view action per app
+ */
+function discoveryXml(publicUrl, { urlPath = '/browser/dist/cool.html', proofKey = null } = {}) {
+    const urlsrc = `${publicUrl}${urlPath}?`;
+    const app = (name, extensions) => `<app name="${name}">${extensions.map(ext =>
+        `<action name="edit" ext="${ext}" urlsrc="${urlsrc}"/><action name="view" ext="${ext}" urlsrc="${urlsrc}"/>`).join('')}</app>`;
+    const key = proofKey ? `<proof-key modulus="${proofKey.modulus}" exponent="${proofKey.exponent}"/>` : '';
+    return `<wopi-discovery><net-zone name="external-http">${app('writer', ['docx', 'odt'])}${app('calc', ['xlsx', 'ods', 'csv'])}${app('impress', ['pptx', 'odp'])}</net-zone>${key}</wopi-discovery>`;
+}
+
+/**
+ * A fake editor answering /hosting/discovery
+ * options.status: HTTP status to answer with (changeable through editor.status)
+ */
+async function startFakeEditor(options = {}) {
+    const editor = { status: options.status || 200, requests: 0, xml: null };
+    const server = http.createServer((req, res) => {
+        editor.requests++;
+        if (req.url !== '/hosting/discovery' || editor.status !== 200) {
+            res.statusCode = req.url === '/hosting/discovery' ? editor.status : 404;
+            return res.end();
+        }
+        res.setHeader('Content-Type', 'text/xml');
+        res.end(editor.xml);
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    editor.url = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port}`;
+    editor.xml = discoveryXml(editor.url, options);
+    editor.close = () => {
+        server.closeAllConnections();
+        server.close();
+    };
+    return editor;
+}
+
+/**
+ * Start the app; env is added to process.env before server.js is loaded
+ * Logs are silenced unless TEST_VERBOSE is set.
+ */
+async function startApp(env = {}) {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamsync-test-'));
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        PORT: '0',
+        JWT_SECRET: TEST_JWT_SECRET,
+        STORAGE_DIR: storageDir,
+        WOPI_PROOF_VALIDATION: 'off',
+        ...env
+    });
+    // An undefined value leaves the variable unset, so the app's default applies
+    for (const [name, value] of Object.entries(env)) {
+        if (value === undefined) delete process.env[name];
+    }
+    if (!process.env.TEST_VERBOSE) {
+        for (const level of ['log', 'info', 'warn', 'error']) console[level] = () => {};
+    }
+
+    const server = await require('../server').startServer();
+    const baseUrl = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port}`;
+
+    /**
+     * Call the app; returns { status, headers, body } with body parsed as JSON when it is JSON
+     * options: { body (object, string or Buffer), token (bearer), headers }
+     * @returns {Promise<{ status: number, headers: Headers, body: any }>}
+     */
+    async function request(method, url, options = {}) {
+        const headers = { ...options.headers };
+        let body = options.body;
+        if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body) && !(body instanceof FormData)) {
+            body = JSON.stringify(body);
+            headers['Content-Type'] = 'application/json';
+        }
+        if (options.token) headers.Authorization = `Bearer ${options.token}`;
+        const response = await fetch(`${baseUrl}${url}`, { method, headers, body, redirect: 'manual' });
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get('content-type') || '').includes('application/json')) {
+            parsed = JSON.parse(text);
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    return {
+        baseUrl,
+        storageDir,
+        request,
+        close() {
+            server.closeAllConnections();
+            server.close();
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { TEST_JWT_SECRET, discoveryXml, startFakeEditor, startApp };
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const owner = { id: 'demo-user-001', name: 'Demo User', email: 'demo@example.com' };
+
+let app;
+let tokenService;
+let documentLocks;
+let forcedLockReleases;
+
+before(async () => {
+    app = await startApp({ ADMIN_USER_IDS: 'demo-user-001' });
+    ({ tokenService } = require('../lib/tokens'));
+    ({ documentLocks, forcedLockReleases } = require('../lib/locks'));
+});
+
+after(() => app.close());
+
+/**
+ * Send a WOPI lock operation for fileId as the document owner
+ */
+function lockCall(override, fileId, lockId) {
+    const token = tokenService.generateWopiToken(fileId, owner, 'edit');
+    return app.request('POST', `/wopi/files/${fileId}?access_token=${encodeURIComponent(token)}`, {
+        headers: { 'X-WOPI-Override': override, 'X-WOPI-Lock': lockId }
+    });
+}
+
+test('a lock that is not refreshed expires and no longer blocks other editors', async () => {
+    assert.equal((await lockCall('LOCK', 'sample-doc-001', 'crashed-editor')).status, 200);
+    documentLocks.get('sample-doc-001').timestamp -= 1800 * 1000;
+
+    assert.equal((await lockCall('LOCK', 'sample-doc-001', 'new-editor')).status, 200);
+    assert.equal((await lockCall('UNLOCK', 'sample-doc-001', 'new-editor')).status, 200);
+});
+
+test('forced releases are recorded in storage and survive a reload', async () => {
+    assert.equal((await lockCall('LOCK', 'sample-sheet-001', 'stuck')).status, 200);
+
+    const released = await app.request('DELETE', '/api/admin/locks/sample-sheet-001', { body: { reason: 'editor crashed' } });
+    assert.equal(released.status, 200);
+    assert.equal(released.body.lockId, 'stuck');
+    assert.equal((await lockCall('LOCK', 'sample-sheet-001', 'next')).status, 200);
+    assert.equal((await app.request('DELETE', '/api/admin/locks/sample-pres-001')).status, 404);
+
+    // What a restart does: forget the records and read them back from storage
+    forcedLockReleases.records = [];
+    await forcedLockReleases.load();
+
+    const { status, body } = await app.request('GET', '/api/admin/locks/releases');
+    assert.equal(status, 200);
+    assert.equal(body.releases.length, 1);
+    assert.equal(body.releases[0].fileId, 'sample-sheet-001');
+    assert.equal(body.releases[0].reason, 'editor crashed');
+    assert.equal(body.releases[0].releasedBy.id, 'demo-user-001');
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, startFakeEditor } = require('./helpers');
+
+let app;
+let editor;
+
+before(async () => {
+    editor = await startFakeEditor();
+    app = await startApp({ TEAMSYNC_EDITOR_URL: editor.url, TEAMSYNC_EDITOR_PUBLIC_URL: editor.url });
+});
+
+after(() => {
+    app.close();
+    editor.close();
+});
+
+/**
+ * Request an editor token and call CheckFileInfo with it
+ * A policy change revokes the document's tokens issued up to that second, so
+ * the new token is requested in the next one.
+ */
+async function openDocument(fileId, body = {}) {
+    await new Promise(resolve => setTimeout(resolve, 1000 - Date.now() % 1000));
+    const token = await app.request('POST', `/api/documents/${fileId}/token`, { body });
+    assert.equal(token.status, 200);
+    const info = await app.request('GET', `/wopi/files/${fileId}?access_token=${encodeURIComponent(token.body.accessToken)}`);
+    assert.equal(info.status, 200);
+    return { token: token.body, info: info.body };
+}
+
+test('folder and document policies combine into the token and CheckFileInfo', async () => {
+    const folder = await app.request('POST', '/api/folders', { body: { name: 'Legal' } });
+    assert.equal((await app.request('PATCH', `/api/folders/${folder.body.id}`, { body: { policy: { noDownload: true } } })).status, 200);
+    assert.equal((await app.request('POST', '/api/documents/sample-doc-001/move', { body: { folderId: folder.body.id } })).status, 200);
+    const updated = await app.request('PUT', '/api/documents/sample-doc-001/policy', { body: { policy: { noPrint: true, commentOnly: true } } });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.effective, { noDownload: true, noPrint: true, commentOnly: true });
+
+    const { token, info } = await openDocument('sample-doc-001');
+    assert.equal(token.permissions, 'comment');
+    assert.deepEqual(token.policy, { noDownload: true, noPrint: true, commentOnly: true });
+    assert.equal(info.UserCanOnlyComment, true);
+    assert.equal(info.DisableExport, true);
+    assert.equal(info.HideExportOption, true);
+    assert.equal(info.DisablePrint, true);
+    assert.equal(info.DisableCopy, false);
+
+    const { currentVersion } = (await app.request('GET', '/api/documents/sample-doc-001/versions')).body;
+    assert.equal((await app.request('GET', `/api/documents/sample-doc-001/versions/${currentVersion}/content`)).status, 403);
+});
+
+test('token requests can add restrictions but not lift the document policy', async () => {
+    assert.equal((await app.request('PUT', '/api/documents/sample-sheet-001/policy', { body: { policy: { noPrint: true } } })).status, 200);
+
+    const { token, info } = await openDocument('sample-sheet-001', { policy: { noCopy: true, noPrint: false } });
+    assert.deepEqual(token.policy, { noPrint: true, noCopy: true });
+    assert.equal(info.DisablePrint, true);
+    assert.equal(info.DisableCopy, true);
+});
+
+test('only the owner can change a document policy', async () => {
+    const { tokenService } = require('../lib/tokens');
+    assert.equal((await app.request('POST', '/api/documents/sample-pres-001/shares', { body: { type: 'user', id: 'bob', role: 'editor' } })).status, 200);
+    const bob = tokenService.generateAppToken({ id: 'bob', name: 'Bob' });
+
+    const refused = await app.request('PUT', '/api/documents/sample-pres-001/policy', { body: { policy: null }, token: bob });
+    assert.equal(refused.status, 403);
+    assert.equal((await app.request('PUT', '/api/documents/sample-pres-001/policy', { body: { policy: { noCopy: 'yes' } } })).status, 400);
+});
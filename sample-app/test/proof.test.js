@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, startFakeEditor } = require('./helpers');
+
+const TICKS_AT_UNIX_EPOCH = 621355968000000000n;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = publicKey.export({ format: 'jwk' });
+const proofKey = {
+    modulus: Buffer.from(jwk.n, 'base64url').toString('base64'),
+    exponent: Buffer.from(jwk.e, 'base64url').toString('base64')
+};
+
+let app;
+let editor;
+let tokenService;
+let wopiProof;
+
+before(async () => {
+    editor = await startFakeEditor({ proofKey });
+    app = await startApp({
+        // Unset: proofs are enforced by default
+        WOPI_PROOF_VALIDATION: undefined,
+        TEAMSYNC_EDITOR_URL: editor.url,
+        TEAMSYNC_EDITOR_PUBLIC_URL: editor.url
+    });
+    ({ tokenService } = require('../lib/tokens'));
+    ({ wopiProof } = require('../lib/wopi'));
+});
+
+after(() => {
+    app.close();
+    editor.close();
+});
+
+/**
+ * Sign a WOPI request the way an editor does
+ */
+function proofHeaders(accessToken, url, key = privateKey) {
+    const ticks = BigInt(Date.now()) * 10000n + TICKS_AT_UNIX_EPOCH;
+    const token = Buffer.from(accessToken);
+    const target = Buffer.from(url.toUpperCase());
+    const data = Buffer.alloc(4 + token.length + 4 + target.length + 4 + 8);
+    let offset = data.writeInt32BE(token.length, 0);
+    offset += token.copy(data, offset);
+    offset = data.writeInt32BE(target.length, offset);
+    offset += target.copy(data, offset);
+    offset = data.writeInt32BE(8, offset);
+    data.writeBigInt64BE(ticks, offset);
+    return {
+        'X-WOPI-Proof': crypto.sign('RSA-SHA256', data, key).toString('base64'),
+        'X-WOPI-TimeStamp': String(ticks)
+    };
+}
+
+function checkFileInfo(headers) {
+    const token = tokenService.generateWopiToken('sample-doc-001', { id: 'demo-user-001', name: 'Demo User' });
+    const url = `/wopi/files/sample-doc-001?access_token=${encodeURIComponent(token)}`;
+    return app.request('GET', url, { headers: headers(token, `${app.baseUrl}${url}`) });
+}
+
+test('signed WOPI requests are accepted', async () => {
+    const { status } = await checkFileInfo(proofHeaders);
+    assert.equal(status, 200);
+});
+
+test('proofs are enforced when WOPI_PROOF_VALIDATION is not set', async () => {
+    const { config } = require('../lib/tenants');
+    assert.equal(config.wopiProofValidation, 'enforce');
+    const { status, body } = await checkFileInfo(() => ({}));
+    assert.equal(status, 500);
+    assert.equal(body.error, 'WOPI proof validation failed');
+});
+
+test('unsigned or wrongly signed WOPI requests are rejected in enforce mode', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    assert.equal((await checkFileInfo(() => ({}))).status, 500);
+    assert.equal((await checkFileInfo((token, url) => proofHeaders(token, url, otherKey))).status, 500);
+});
+
+test('failing proofs do not refetch a discovery fetched within the last minute', async () => {
+    const before = editor.requests;
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await checkFileInfo(() => ({ 'X-WOPI-Proof': 'AAAA', 'X-WOPI-TimeStamp': String(BigInt(Date.now()) * 10000n + TICKS_AT_UNIX_EPOCH) }))).status, 500);
+    }
+    assert.equal(editor.requests, before);
+});
+
+test('only the keys of the editors in use are tried', () => {
+    assert.deepEqual(wopiProof.editorUrls(), [editor.url]);
+});
@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApp } = require('./helpers');
+
+let app;
+let tokenService;
+
+before(async () => {
+    app = await startApp({ ADMIN_USER_IDS: 'demo-user-001' });
+    ({ tokenService } = require('../lib/tokens'));
+});
+
+after(() => app.close());
+
+test('app tokens carry a jti and can be revoked one by one', async () => {
+    const token = tokenService.generateAppToken({ id: 'carol', name: 'Carol' });
+    const { jti } = jwt.decode(token, { json: true });
+    assert.ok(jti);
+    assert.equal((await app.request('GET', '/api/auth/me', { token })).status, 200);
+
+    assert.equal((await app.request('POST', '/api/admin/revocations', { body: { jti } })).status, 200);
+    assert.equal((await app.request('GET', '/api/auth/me', { token })).status, 401);
+});
+
+test('revoking a user rejects the bearer tokens issued to them', async () => {
+    const token = tokenService.generateAppToken({ id: 'dave', name: 'Dave' });
+    const other = tokenService.generateAppToken({ id: 'erin', name: 'Erin' });
+
+    assert.equal((await app.request('POST', '/api/admin/revocations', { body: { userId: 'dave' } })).status, 200);
+    assert.equal((await app.request('GET', '/api/documents', { token })).status, 401);
+    assert.equal((await app.request('GET', '/api/documents', { token: other })).status, 200);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers');
+
+let app;
+let searchIndex;
+
+before(async () => {
+    app = await startApp();
+    ({ searchIndex } = require('../lib/search'));
+});
+
+after(() => app.close());
+
+async function upload(name, text) {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type: 'text/plain' }), name);
+    const { status, body } = await app.request('POST', '/api/documents/upload', { body: form });
+    assert.equal(status, 200);
+    await searchIndex.queue;
+    return body;
+}
+
+const readState = name => JSON.parse(fs.readFileSync(path.join(app.storageDir, '.state', `${name}.json`), 'utf8'));
+
+test('finds uploaded text and stores it per document, not in the index', async () => {
+    const doc = await upload('minutes.txt', 'The quarterly budget review moved to Thursday.');
+
+    const { body } = await app.request('GET', '/api/search?q=quarterly budg');
+    const hit = body.results.find(result => result.id === doc.id);
+    assert.ok(hit, 'document is found');
+    assert.match(hit.snippet, /quarterly budget review/);
+
+    await searchIndex.flush();
+    const entry = readState('search-index')[doc.id];
+    assert.equal(entry.text, undefined);
+    assert.equal(entry.terms.quarterly, 1);
+    assert.equal(readState(`search-text-${doc.id}`), 'The quarterly budget review moved to Thursday.');
+});
+
+test('batches index writes instead of saving on every change', async () => {
+    await searchIndex.flush();
+    const indexFile = path.join(app.storageDir, '.state', 'search-index.json');
+    const writtenAt = fs.statSync(indexFile).mtimeMs;
+
+    const doc = await upload('notes.txt', 'Pelican crossing');
+    assert.equal(fs.statSync(indexFile).mtimeMs, writtenAt, 'not written yet');
+
+    await searchIndex.flush();
+    assert.ok(readState('search-index')[doc.id]);
+});
+
+test('removing a document drops its terms and stored text', async () => {
+    const doc = await upload('obsolete.txt', 'Zeppelin maintenance schedule');
+    assert.equal((await searchIndex.search('zeppelin'))[0]?.fileId, doc.id);
+
+    await searchIndex.remove(doc.id);
+    assert.deepEqual(await searchIndex.search('zeppelin'), []);
+    assert.ok(!searchIndex.postings.has('zeppelin'));
+    assert.ok(!searchIndex.documentTerms.has(doc.id));
+    assert.ok(!fs.existsSync(path.join(app.storageDir, '.state', `search-text-${doc.id}.json`)));
+});
+
+test('a rename replaces the name terms and keeps the content terms', async () => {
+    const doc = await upload('draft.txt', 'Harbour lighthouse');
+    await searchIndex.rename(doc.id, 'final.txt');
+
+    assert.deepEqual(await searchIndex.search('draft'), []);
+    assert.equal((await searchIndex.search('final'))[0]?.fileId, doc.id);
+    assert.equal((await searchIndex.search('lighthouse'))[0]?.fileId, doc.id);
+});
@@ -0,0 +1,17 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(() => app.close());
+
+test('starts on a free port and answers API requests', async () => {
+    const { status, body } = await app.request('GET', '/api/documents');
+    assert.equal(status, 200);
+    assert.ok(Array.isArray(body.documents));
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, startFakeEditor } = require('./helpers');
+
+let app;
+let editor;
+
+before(async () => {
+    editor = await startFakeEditor();
+    app = await startApp({ TEAMSYNC_EDITOR_URL: editor.url, TEAMSYNC_EDITOR_PUBLIC_URL: editor.url });
+});
+
+after(() => {
+    app.close();
+    editor.close();
+});
+
+async function createLink(options) {
+    const { status, body } = await app.request('POST', '/api/documents/sample-doc-001/links', {
+        body: { permissions: 'view', ...options }
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+async function usesOf(linkId) {
+    const { body } = await app.request('GET', '/api/documents/sample-doc-001/links');
+    return body.links.find(link => link.id === linkId).uses;
+}
+
+test('a wrong password does not use up the link', async () => {
+    const link = await createLink({ password: 'open sesame', maxUses: 1 });
+
+    const refused = await app.request('POST', `/api/links/${link.token}/open`, { body: { password: 'guess' } });
+    assert.equal(refused.status, 401);
+    assert.equal(await usesOf(link.id), 0);
+
+    const opened = await app.request('POST', `/api/links/${link.token}/open`, { body: { password: 'open sesame' } });
+    assert.equal(opened.status, 200);
+    assert.ok(opened.body.accessToken);
+    assert.equal(await usesOf(link.id), 1);
+});
+
+test('concurrent opens never exceed maxUses', async () => {
+    const link = await createLink({ maxUses: 2 });
+    const results = await Promise.all(Array.from({ length: 5 }, () =>
+        app.request('POST', `/api/links/${link.token}/open`, { body: {} })));
+
+    assert.equal(results.filter(result => result.status === 200).length, 2);
+    assert.ok(results.every(result => result.status === 200 || result.status === 410));
+    assert.equal(await usesOf(link.id), 2);
+});
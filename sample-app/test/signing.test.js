@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { startApp, TEST_JWT_SECRET } = require('./helpers');
+
+let app;
+let keysDir;
+
+before(async () => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamsync-keys-'));
+    app = await startApp({ JWT_ALGORITHM: 'ES256', JWT_KEYS_DIR: keysDir });
+});
+
+after(() => {
+    app.close();
+    fs.rmSync(keysDir, { recursive: true, force: true });
+});
+
+// An app token as it was signed before switching from HS256
+const legacyToken = () => jwt.sign({
+    sub: 'demo-user-001',
+    name: 'Demo User',
+    type: 'app_auth',
+    exp: Math.floor(Date.now() / 1000) + 600
+}, TEST_JWT_SECRET, { algorithm: 'HS256' });
+
+test('the signing key is generated and loaded at startup', async () => {
+    const files = fs.readdirSync(keysDir).filter(file => file.endsWith('.json'));
+    assert.equal(files.length, 1);
+
+    const { body } = await app.request('GET', '/.well-known/jwks.json');
+    assert.deepEqual(body.keys.map(key => `${key.kid}.json`), files);
+
+    const { tokenService } = require('../lib/tokens');
+    const token = tokenService.generateAppToken({ id: 'demo-user-001', name: 'Demo User' });
+    assert.equal(jwt.decode(token, { complete: true }).header.alg, 'ES256');
+    assert.equal((await app.request('GET', '/api/documents', { token })).status, 200);
+});
+
+test('HS256 tokens are refused after switching algorithms, even with JWT_SECRET set', async () => {
+    assert.equal((await app.request('GET', '/api/documents', { token: legacyToken() })).status, 401);
+});
+
+test('HS256 tokens are accepted until the end of a transition window', async t => {
+    const { baseConfig } = require('../lib/config');
+    t.after(() => { baseConfig.jwtHs256AcceptUntil = null; });
+
+    baseConfig.jwtHs256AcceptUntil = Date.now() + 60 * 1000;
+    assert.equal((await app.request('GET', '/api/documents', { token: legacyToken() })).status, 200);
+
+    baseConfig.jwtHs256AcceptUntil = Date.now() - 1;
+    assert.equal((await app.request('GET', '/api/documents', { token: legacyToken() })).status, 401);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { TEST_JWT_SECRET } = require('./helpers');
+
+process.env.JWT_SECRET = TEST_JWT_SECRET;
+const { createFilesystemStorageAdapter, createS3StorageAdapter } = require('../lib/storage');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamsync-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('filesystem adapter: concurrent first reads all see the complete index', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = tempDir(t);
+    const writer = createFilesystemStorageAdapter(dir);
+    for (const id of ['doc-a', 'doc-b', 'doc-c']) {
+        await writer.put(id, Buffer.from(id), { id, name: `${id}.txt`, lastModified: new Date().toISOString() });
+    }
+
+    const reader = createFilesystemStorageAdapter(dir);
+    const [first, second, doc] = await Promise.all([reader.list(), reader.list(), reader.metadata('doc-c')]);
+    assert.equal(first.length, 3);
+    assert.equal(second.length, 3);
+    assert.equal(doc?.id, 'doc-c');
+});
+
+/**
+ * Minimal S3 endpoint for one bucket: HeadBucket, CreateBucket, ListObjectsV2,
+ * GetObject and DeleteObjects; keys listed in failKeys fail to delete
+ */
+async function startFakeS3(t, { objects = {}, exists = true, failKeys = [] } = {}) {
+    const s3 = { objects: new Map(Object.entries(objects)), exists, deleteRequests: [], created: false };
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const url = new URL(req.url, 'http://s3');
+        const key = decodeURIComponent(url.pathname.split('/').slice(2).join('/'));
+        const xml = content => {
+            res.setHeader('Content-Type', 'application/xml');
+            res.end(`<?xml version="1.0" encoding="UTF-8"?>${content}`);
+        };
+
+        if (!key && req.method === 'HEAD') {
+            res.statusCode = s3.exists ? 200 : 404;
+            return res.end();
+        }
+        if (!key && req.method === 'PUT') {
+            s3.exists = s3.created = true;
+            return res.end();
+        }
+        if (!key && url.searchParams.has('delete')) {
+            const keys = Array.from(body.matchAll(/<Key>([^<]*)<\/Key>/g), match => match[1]);
+            s3.deleteRequests.push(keys);
+            const errors = keys.filter(k => failKeys.includes(k));
+            keys.filter(k => !errors.includes(k)).forEach(k => s3.objects.delete(k));
+            return xml(`<DeleteResult>${errors.map(k => `<Error><Key>${k}</Key><Code>AccessDenied</Code><Message>Access Denied</Message></Error>`).join('')}</DeleteResult>`);
+        }
+        if (!key) {
+            const prefix = url.searchParams.get('prefix') || '';
+            const keys = Array.from(s3.objects.keys()).filter(k => k.startsWith(prefix));
+            return xml(`<ListBucketResult><Name>documents</Name><KeyCount>${keys.length}</KeyCount><IsTruncated>false</IsTruncated>${keys.map(k => `<Contents><Key>${k}</Key></Contents>`).join('')}</ListBucketResult>`);
+        }
+        if (!s3.objects.has(key)) {
+            res.statusCode = 404;
+            return xml('<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+        }
+        res.end(s3.objects.get(key));
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => server.close());
+
+    s3.adapter = (options = {}) => createS3StorageAdapter({
+        endpoint: `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port}`,
+        region: 'us-east-1',
+        bucket: 'documents',
+        prefix: '',
+        accessKeyId: 'test',
+        secretAccessKey: 'test',
+        forcePathStyle: true,
+        ...options
+    });
+    return s3;
+}
+
+function documentObjects(id, versions) {
+    const objects = { [`${id}/metadata.json`]: JSON.stringify({ id, name: `${id}.txt` }), [`${id}/content`]: id };
+    for (let version = 1; version <= versions; version++) {
+        objects[`${id}/versions/${version}`] = String(version);
+    }
+    return objects;
+}
+
+test('s3 adapter: deletes the objects of a document in batches of 1000 keys', async t => {
+    t.mock.method(console, 'log', () => {});
+    const s3 = await startFakeS3(t, { objects: documentObjects('doc-a', 2300) });
+    const storage = s3.adapter();
+
+    assert.equal(await storage.delete('doc-a'), true);
+    assert.deepEqual(s3.deleteRequests.map(keys => keys.length), [1000, 1000, 302]);
+    assert.equal(s3.objects.size, 0);
+    assert.equal(await storage.metadata('doc-a'), null);
+});
+
+test('s3 adapter: a delete that S3 partly refuses fails and keeps the document', async t => {
+    t.mock.method(console, 'log', () => {});
+    const s3 = await startFakeS3(t, { objects: documentObjects('doc-a', 1), failKeys: ['doc-a/versions/1'] });
+    const storage = s3.adapter();
+
+    await assert.rejects(storage.delete('doc-a'), { code: 'S3_DELETE_FAILED', message: /doc-a\/versions\/1 \(AccessDenied\)/ });
+    assert.equal((await storage.metadata('doc-a'))?.id, 'doc-a');
+});
+
+test('s3 adapter: a missing bucket is only created when asked to', async t => {
+    t.mock.method(console, 'log', () => {});
+    const s3 = await startFakeS3(t, { exists: false });
+
+    await assert.rejects(s3.adapter().list(), /S3_CREATE_BUCKET/);
+    assert.equal(s3.created, false);
+
+    assert.deepEqual(await s3.adapter({ createBucket: true }).list(), []);
+    assert.equal(s3.created, true);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startApp, TEST_JWT_SECRET } = require('./helpers');
+
+const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamsync-tenants-'));
+
+function writeTenants(name, tenants) {
+    const file = path.join(tenantsDir, name);
+    fs.writeFileSync(file, JSON.stringify(tenants));
+    return file;
+}
+
+let app;
+
+before(async () => {
+    app = await startApp({
+        TENANTS_FILE: writeTenants('tenants.json', [
+            { id: 'acme', hosts: ['acme.test'], config: { jwtSecret: 'acme-secret-0123456789abcdef' } },
+            { id: 'globex', hosts: ['globex.test'], default: true, config: { jwtSecret: 'globex-secret-0123456789abcdef' } }
+        ])
+    });
+});
+
+after(() => {
+    app.close();
+    fs.rmSync(tenantsDir, { recursive: true, force: true });
+});
+
+/**
+ * Call the app under a tenant's host name (fetch does not let the Host header be set)
+ */
+function requestAs(host, method, url, token) {
+    return new Promise((resolve, reject) => {
+        const headers = { host, 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        const req = http.request(`${app.baseUrl}${url}`, { method, headers }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+        });
+        req.on('error', reject);
+        req.end(method === 'GET' ? undefined : '{}');
+    });
+}
+
+test('a token issued by one tenant is rejected by another', async () => {
+    const { status, body } = await requestAs('acme.test', 'POST', '/api/auth/token');
+    assert.equal(status, 200);
+
+    assert.equal((await requestAs('acme.test', 'GET', '/api/documents', body.token)).status, 200);
+    assert.equal((await requestAs('globex.test', 'GET', '/api/documents', body.token)).status, 401);
+});
+
+test('config cannot be changed at runtime', () => {
+    const { config } = require('../lib/tenants');
+    assert.throws(() => { config.editorMode = 'multi-editor'; }, TypeError);
+    assert.throws(() => { delete config.editorMode; }, TypeError);
+});
+
+/**
+ * Load the tenants of a TENANTS_FILE in a separate process; returns { status, stderr }
+ */
+function loadTenants(tenants) {
+    const result = spawnSync(process.execPath, ['-e', "require('./lib/tenants')"], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, JWT_SECRET: TEST_JWT_SECRET, TENANTS_FILE: writeTenants('check.json', tenants) },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    return { status: result.status, stderr: result.stderr };
+}
+
+test('with HS256 every tenant needs a jwtSecret of its own', () => {
+    const missing = loadTenants([{ id: 'acme', default: true, config: {} }]);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /tenant acme: HS256 signing needs a config\.jwtSecret of its own/);
+
+    const shared = loadTenants([
+        { id: 'acme', config: { jwtSecret: 'same-secret' } },
+        { id: 'globex', default: true, config: { jwtSecret: 'same-secret' } }
+    ]);
+    assert.equal(shared.status, 1);
+    assert.match(shared.stderr, /tenants acme and globex share a jwtSecret/);
+
+    assert.equal(loadTenants([{ id: 'acme', default: true, config: { jwtSecret: 'acme-secret' } }]).status, 0);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const owner = { id: 'demo-user-001', name: 'Demo User', email: 'demo@example.com' };
+
+let app;
+let tokenService;
+
+before(async () => {
+    app = await startApp();
+    ({ tokenService } = require('../lib/tokens'));
+});
+
+after(() => app.close());
+
+/**
+ * Save new content through WOPI PutFile, as an editor does
+ */
+function putFile(fileId, content) {
+    const token = tokenService.generateWopiToken(fileId, owner, 'edit');
+    return app.request('POST', `/wopi/files/${fileId}/contents?access_token=${encodeURIComponent(token)}`, {
+        headers: { 'X-WOPI-Override': 'PUT', 'Content-Type': 'application/octet-stream' },
+        body: Buffer.from(content)
+    });
+}
+
+const versionContent = async (fileId, version) =>
+    (await app.request('GET', `/api/documents/${fileId}/versions/${version}/content`)).body;
+
+test('every save adds a version, and restoring one saves its content as a new version', async () => {
+    const initial = (await app.request('GET', '/api/documents/sample-doc-001/versions')).body;
+    assert.equal(initial.versions.length, 1);
+    const original = initial.currentVersion;
+
+    assert.equal((await putFile('sample-doc-001', 'second draft')).status, 200);
+    const saved = (await app.request('GET', '/api/documents/sample-doc-001/versions')).body;
+    assert.equal(saved.versions.length, 2);
+    assert.equal(await versionContent('sample-doc-001', saved.currentVersion), 'second draft');
+
+    const restored = await app.request('POST', `/api/documents/sample-doc-001/versions/${original}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.restoredFrom, original);
+
+    const history = (await app.request('GET', '/api/documents/sample-doc-001/versions')).body;
+    assert.equal(history.versions.length, 3);
+    assert.equal(history.currentVersion, restored.body.version);
+    assert.deepEqual(
+        Buffer.from(await versionContent('sample-doc-001', restored.body.version)),
+        Buffer.from(await versionContent('sample-doc-001', original))
+    );
+});
+
+test('restoring needs editor access and an existing version', async () => {
+    const shared = await app.request('POST', '/api/documents/sample-sheet-001/shares', {
+        body: { type: 'user', id: 'bob', role: 'viewer' }
+    });
+    assert.equal(shared.status, 200);
+    const bob = tokenService.generateAppToken({ id: 'bob', name: 'Bob' });
+    const { currentVersion } = (await app.request('GET', '/api/documents/sample-sheet-001/versions', { token: bob })).body;
+
+    assert.equal((await app.request('POST', `/api/documents/sample-sheet-001/versions/${currentVersion}/restore`, { token: bob })).status, 403);
+    assert.equal((await app.request('POST', '/api/documents/sample-sheet-001/versions/999/restore')).status, 404);
+});
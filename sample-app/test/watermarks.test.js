@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PDFDocument, PDFRawStream } = require('pdf-lib');
+const { startApp, startFakeEditor } = require('./helpers');
+
+let app;
+let editor;
+let accessToken;
+
+before(async () => {
+    editor = await startFakeEditor();
+    app = await startApp({ TEAMSYNC_EDITOR_URL: editor.url, TEAMSYNC_EDITOR_PUBLIC_URL: editor.url });
+
+    const policy = { watermark: 'CONFIDENTIAL {userName} {userEmail}' };
+    assert.equal((await app.request('PUT', '/api/documents/sample-doc-001/policy', { body: { policy } })).status, 200);
+    // Setting the policy revoked the tokens issued up to this second
+    await new Promise(resolve => setTimeout(resolve, 1000 - Date.now() % 1000));
+    ({ accessToken } = (await app.request('POST', '/api/documents/sample-doc-001/token')).body);
+});
+
+after(() => {
+    app.close();
+    editor.close();
+});
+
+/**
+ * The decompressed content streams of a PDF, joined
+ */
+async function pdfStreams(bytes) {
+    const pdf = await PDFDocument.load(bytes);
+    const streams = [];
+    for (const [, object] of pdf.context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFRawStream)) continue;
+        try {
+            streams.push(zlib.inflateSync(object.contents).toString('latin1'));
+        } catch {
+            streams.push(Buffer.from(object.contents).toString('latin1'));
+        }
+    }
+    return streams.join('\n');
+}
+
+test('the watermark is rendered for the user opening the document and blocks downloads', async () => {
+    const info = await app.request('GET', `/wopi/files/sample-doc-001?access_token=${encodeURIComponent(accessToken)}`);
+    assert.equal(info.status, 200);
+    assert.equal(info.body.WatermarkText, 'CONFIDENTIAL Demo User demo@example.com');
+    assert.equal(info.body.DisableExport, true);
+
+    const { currentVersion } = (await app.request('GET', '/api/documents/sample-doc-001/versions')).body;
+    assert.equal((await app.request('GET', `/api/documents/sample-doc-001/versions/${currentVersion}/content`)).status, 403);
+});
+
+test('PDF exports saved with Save As carry the same watermark', async () => {
+    const source = await PDFDocument.create();
+    source.addPage([595, 842]);
+
+    const created = await app.request('POST', `/wopi/files/sample-doc-001?access_token=${encodeURIComponent(accessToken)}`, {
+        headers: { 'X-WOPI-Override': 'PUT_RELATIVE', 'X-WOPI-SuggestedTarget': '.pdf', 'Content-Type': 'application/octet-stream' },
+        body: Buffer.from(await source.save())
+    });
+    assert.equal(created.status, 200);
+
+    const url = new URL(created.body.Url);
+    const response = await fetch(`${app.baseUrl}${url.pathname}/contents${url.search}`);
+    assert.equal(response.status, 200);
+    const streams = await pdfStreams(Buffer.from(await response.arrayBuffer()));
+    const hex = Buffer.from('CONFIDENTIAL Demo User demo@example.com', 'latin1').toString('hex').toUpperCase();
+    assert.ok(streams.toUpperCase().includes(hex), 'the page draws the watermark text');
+});
+
+test('a Save As to PDF that is not a PDF is refused instead of leaving without a watermark', async () => {
+    const { status } = await app.request('POST', `/wopi/files/sample-doc-001?access_token=${encodeURIComponent(accessToken)}`, {
+        headers: { 'X-WOPI-Override': 'PUT_RELATIVE', 'X-WOPI-SuggestedTarget': 'Broken.pdf', 'Content-Type': 'application/octet-stream' },
+        body: Buffer.from('not a pdf')
+    });
+    assert.equal(status, 400);
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const owner = { id: 'demo-user-001', name: 'Demo User', email: 'demo@example.com' };
+
+let app;
+let tokenService;
+
+before(async () => {
+    app = await startApp({ MAX_SPREADSHEET_SIZE_MB: '1' });
+    ({ tokenService } = require('../lib/tokens'));
+});
+
+after(() => app.close());
+
+/**
+ * Call a WOPI file endpoint with a fresh access token for user
+ * @param {string} method
+ * @param {string} fileId
+ * @param {{ user?: object, permissions?: string, headers?: object, body?: any }} [options]
+ */
+function wopi(method, fileId, { user = owner, permissions = 'edit', headers = {}, body } = {}) {
+    const token = tokenService.generateWopiToken(fileId, user, permissions);
+    return app.request(method, `/wopi/files/${fileId}?access_token=${encodeURIComponent(token)}`, { headers, body });
+}
+
+test('RenameFile renames the document', async () => {
+    const { status, body } = await wopi('POST', 'sample-sheet-001', {
+        headers: { 'X-WOPI-Override': 'RENAME_FILE', 'X-WOPI-RequestedName': encodeURIComponent('Budget 2026.xlsx') }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.Name, 'Budget 2026.xlsx');
+});
+
+test('RenameFile rejects invalid and undecodable names with 400', async () => {
+    for (const requestedName of ['a%2Fb.xlsx', '%E0%A4%A', '%20']) {
+        const { status, headers } = await wopi('POST', 'sample-sheet-001', {
+            headers: { 'X-WOPI-Override': 'RENAME_FILE', 'X-WOPI-RequestedName': requestedName }
+        });
+        assert.equal(status, 400, requestedName);
+        assert.ok(headers.get('x-wopi-invalidfilenameerror'), requestedName);
+    }
+});
+
+test('PutRelativeFile only overwrites a target the user may edit', async () => {
+    const overwrite = user => wopi('POST', 'sample-doc-001', {
+        user,
+        headers: {
+            'X-WOPI-Override': 'PUT_RELATIVE',
+            'X-WOPI-RelativeTarget': 'Sample Presentation.pptx',
+            'X-WOPI-OverwriteRelativeTarget': 'true',
+            'Content-Type': 'application/octet-stream'
+        },
+        body: Buffer.from('exported')
+    });
+
+    const refused = await overwrite({ id: 'mallory', name: 'Mallory' });
+    assert.equal(refused.status, 409);
+    assert.ok(refused.headers.get('x-wopi-validrelativetarget'));
+
+    const allowed = await overwrite(owner);
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.Name, 'Sample Presentation.pptx');
+});
+
+test('PutRelativeFile needs write access to the folder for new files', async () => {
+    const folder = await app.request('POST', '/api/folders', { body: { name: 'Read only' } });
+    assert.equal(folder.status, 201);
+    const folderId = folder.body.id;
+    assert.equal((await app.request('PATCH', `/api/folders/${folderId}`, { body: { permissions: { viewer: 'view' } } })).status, 200);
+    assert.equal((await app.request('POST', '/api/documents/sample-doc-001/move', { body: { folderId } })).status, 200);
+
+    const { status } = await wopi('POST', 'sample-doc-001', {
+        user: { id: 'viewer', name: 'Viewer' },
+        headers: { 'X-WOPI-Override': 'PUT_RELATIVE', 'X-WOPI-SuggestedTarget': '.pdf' },
+        body: Buffer.from('%PDF')
+    });
+    assert.equal(status, 403);
+});
+
+test('Lock, RefreshLock and Unlock only succeed with the current lock ID', async () => {
+    const call = (override, lockId) => wopi('POST', 'sample-pres-001', { headers: { 'X-WOPI-Override': override, 'X-WOPI-Lock': lockId } });
+
+    assert.equal((await call('LOCK', 'lock-a')).status, 200);
+    const conflict = await call('LOCK', 'lock-b');
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.headers.get('x-wopi-lock'), 'lock-a');
+
+    const current = await wopi('POST', 'sample-pres-001', { headers: { 'X-WOPI-Override': 'GET_LOCK' } });
+    assert.equal(current.headers.get('x-wopi-lock'), 'lock-a');
+
+    assert.equal((await call('REFRESH_LOCK', 'lock-b')).status, 409);
+    assert.equal((await call('REFRESH_LOCK', 'lock-a')).status, 200);
+    assert.equal((await call('UNLOCK', 'lock-b')).status, 409);
+    assert.equal((await call('UNLOCK', 'lock-a')).status, 200);
+
+    const released = await wopi('POST', 'sample-pres-001', { headers: { 'X-WOPI-Override': 'GET_LOCK' } });
+    assert.equal(released.headers.get('x-wopi-lock'), '');
+});
+
+test('DeleteFile is refused while the file is locked, even by the caller', async () => {
+    const lock = { 'X-WOPI-Lock': 'lock-1' };
+    assert.equal((await wopi('POST', 'sample-sheet-001', { headers: { 'X-WOPI-Override': 'LOCK', ...lock } })).status, 200);
+
+    const locked = await wopi('POST', 'sample-sheet-001', { headers: { 'X-WOPI-Override': 'DELETE', ...lock } });
+    assert.equal(locked.status, 409);
+    assert.equal(locked.headers.get('x-wopi-lock'), 'lock-1');
+
+    assert.equal((await wopi('POST', 'sample-sheet-001', { headers: { 'X-WOPI-Override': 'UNLOCK', ...lock } })).status, 200);
+});
+
+test('DeleteFile is limited to the document owner', async () => {
+    const headers = { 'X-WOPI-Override': 'DELETE' };
+    const editor = await wopi('POST', 'sample-sheet-001', { user: { id: 'mallory', name: 'Mallory' }, headers });
+    assert.equal(editor.status, 403);
+
+    const owned = await wopi('POST', 'sample-sheet-001', { headers });
+    assert.equal(owned.status, 200);
+    assert.equal((await app.request('GET', '/api/documents/sample-sheet-001/versions')).status, 404);
+});
+
+test('PutRelativeFile streams the body into the new document', async () => {
+    const created = await wopi('POST', 'sample-doc-001', {
+        headers: { 'X-WOPI-Override': 'PUT_RELATIVE', 'X-WOPI-SuggestedTarget': 'Copy.odt' },
+        body: Buffer.from('saved as copy')
+    });
+    assert.equal(created.status, 200);
+
+    const url = new URL(created.body.Url);
+    const content = await app.request('GET', `${url.pathname}/contents${url.search}`);
+    assert.equal(content.status, 200);
+    assert.equal(content.body, 'saved as copy');
+});
+
+test('PutRelativeFile rejects a body over the size limit of the target type', async () => {
+    const { status } = await wopi('POST', 'sample-doc-001', {
+        headers: { 'X-WOPI-Override': 'PUT_RELATIVE', 'X-WOPI-SuggestedTarget': 'Large.xlsx' },
+        body: Buffer.alloc(2 * 1024 * 1024)
+    });
+    assert.equal(status, 413);
+});
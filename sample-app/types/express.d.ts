@@ -0,0 +1,33 @@
+/**
+ * Request properties set by the middleware in lib/auth.js and lib/tenants.js
+ */
+
+/** The signed-in user of an app API request (validateAppAuth) */
+interface AppUser {
+    id: string;
+    name?: string;
+    email?: string;
+    groups: string[];
+    /** Set when the request authenticated with an API key */
+    apiKey?: { id: string; name: string; scopes: string[] };
+}
+
+/** The user a WOPI access token was issued to (validateWopiToken, validateWopiContainerToken) */
+interface WopiUser {
+    id: string;
+    name?: string;
+    email?: string;
+    groups: string[];
+    guest?: boolean;
+    permissions: string;
+}
+
+declare namespace Express {
+    interface Request {
+        tenant?: any;
+        user?: AppUser;
+        authMethod?: 'apiKey' | 'token' | 'session' | 'demo';
+        wopiUser?: WopiUser;
+        wopiToken?: import('jsonwebtoken').JwtPayload;
+    }
+}